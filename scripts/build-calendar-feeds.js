@@ -0,0 +1,46 @@
+// Writes subscribable calendar feeds next to the built app:
+//   build/calendar.ics                  every upcoming show
+//   build/calendar/groups/<slug>.ics    one per group
+//   build/calendar/venues/<slug>.ics    one per venue
+// Run after `react-scripts build` (see the build:calendar script). It loads
+// shows from the same data source the app is configured with.
+
+const fs = require('fs');
+const path = require('path');
+const { buildDir, loadShows, pageUrlFor, requireBuild } = require('./loadShows');
+const { slugify } = require('../src/domain/show');
+const { buildShowsCalendar, selectCalendarShows } = require('../src/domain/ics');
+
+const writeCalendar = (relativePath, shows, name) => {
+  const file = path.join(buildDir, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buildShowsCalendar(shows, { name, pageUrlFor }));
+};
+
+const main = async () => {
+  requireBuild();
+
+  const shows = selectCalendarShows(await loadShows());
+  writeCalendar('calendar.ics', shows, 'Classical Trombone Shows');
+
+  const groups = new Map();
+  const venues = new Map();
+  shows.forEach(show => {
+    if (show.group) groups.set(slugify(show.group), show.group);
+    venues.set(slugify(show.venue), show.venue);
+  });
+
+  groups.forEach((name, slug) => {
+    writeCalendar(`calendar/groups/${slug}.ics`, selectCalendarShows(shows, { group: slug }), name);
+  });
+  venues.forEach((name, slug) => {
+    writeCalendar(`calendar/venues/${slug}.ics`, selectCalendarShows(shows, { venue: slug }), name);
+  });
+
+  console.log(`Wrote calendar feeds for ${shows.length} show(s), ${groups.size} group(s) and ${venues.size} venue(s)`);
+};
+
+main().catch(error => {
+  console.error('Failed to build calendar feeds:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// Writes build/shows/<id>/index.html for every public show: the app's
+// index.html with the show's title, Open Graph/Twitter tags and MusicEvent
+// JSON-LD already in the page, for crawlers and link previews that don't run
+// JavaScript. The app takes over as usual once it loads.
+// Run after `react-scripts build` (see the build:pages script).
+
+const fs = require('fs');
+const path = require('path');
+const { buildDir, loadShows, pageUrlFor, requireBuild } = require('./loadShows');
+const { isShowVisible } = require('../src/domain/dates');
+const { buildMusicEvents, buildShowMeta, serializeJsonLd } = require('../src/domain/structuredData');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderHead = (show) => {
+  const pageUrl = pageUrlFor ? pageUrlFor(show) : undefined;
+  const meta = buildShowMeta(show, { pageUrl });
+  const tags = meta.tags.map(tag => {
+    const key = tag.property ? `property="${escapeHtml(tag.property)}"` : `name="${escapeHtml(tag.name)}"`;
+    return `<meta ${key} content="${escapeHtml(tag.content)}"/>`;
+  });
+  const canonical = pageUrl ? [`<link rel="canonical" href="${escapeHtml(pageUrl)}"/>`] : [];
+  const jsonLd = `<script type="application/ld+json">${serializeJsonLd(buildMusicEvents(show, { pageUrl }))}</script>`;
+  return { title: `<title>${escapeHtml(meta.title)}</title>`, head: [...tags, ...canonical, jsonLd].join('') };
+};
+
+const main = async () => {
+  requireBuild();
+
+  const template = fs.readFileSync(path.join(buildDir, 'index.html'), 'utf8')
+    .replace(/<meta name="description"[^>]*>/, '');
+  const shows = (await loadShows()).filter(show => isShowVisible(show));
+
+  shows.forEach(show => {
+    const { title, head } = renderHead(show);
+    // Replacer functions, so a "$&" or "$'" in show text is inserted as written
+    const html = template
+      .replace(/<title>[\s\S]*?<\/title>/, () => title)
+      .replace('</head>', () => `${head}</head>`);
+    const dir = path.join(buildDir, 'shows', show.id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+  });
+
+  console.log(`Wrote ${shows.length} show page(s)`);
+};
+
+main().catch(error => {
+  console.error('Failed to build show pages:', error.message);
+  process.exit(1);
+});
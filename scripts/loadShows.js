@@ -0,0 +1,67 @@
+// Shared setup for the post-build scripts: the app's environment, Babel for
+// the ES modules in src/, and loading shows exactly as the app does. Require
+// this before anything from src/.
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+process.env.BABEL_ENV = process.env.BABEL_ENV || process.env.NODE_ENV;
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+
+// Same .env files and REACT_APP_* variables as the app build
+require('react-scripts/config/env');
+
+require('@babel/register')({
+  presets: [require.resolve('babel-preset-react-app')],
+  only: [path.join(root, 'src')],
+  babelrc: false,
+  configFile: false
+});
+
+const axios = require('axios');
+const { createDataSource } = require('../src/services/dataSources');
+const { partitionShows } = require('../src/domain/validation');
+const { assignShowIds } = require('../src/domain/show');
+const { LOCAL_SHOWS_URL, readLocalShows } = require('./localShowsFile');
+
+const buildDir = path.join(root, 'build');
+const publicDir = path.join(root, 'public');
+
+// JSON and CSV sources usually point at files in public/, which the browser
+// fetches relative to the site. Read those straight from disk, and the local
+// file backend from its file.
+const httpAdapter = axios.getAdapter('http');
+axios.defaults.adapter = (config) => {
+  if (/^https?:\/\//i.test(config.url)) return httpAdapter(config);
+  if (config.url === LOCAL_SHOWS_URL) {
+    return Promise.resolve({ data: readLocalShows(), status: 200, statusText: 'OK', headers: {}, config, request: {} });
+  }
+
+  const publicUrl = process.env.PUBLIC_URL || '';
+  const relative = config.url.startsWith(publicUrl) ? config.url.slice(publicUrl.length) : config.url;
+  const data = fs.readFileSync(path.join(publicDir, relative.split('?')[0]), 'utf8');
+  return Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config, request: {} });
+};
+
+const siteUrl = (process.env.REACT_APP_SITE_URL || '').replace(/\/+$/, '');
+const pageUrlFor = siteUrl ? (show) => `${siteUrl}/shows/${encodeURIComponent(show.id)}` : undefined;
+
+const requireBuild = () => {
+  if (!fs.existsSync(buildDir)) {
+    throw new Error('No build/ directory. Run `npm run build` first.');
+  }
+};
+
+// Valid shows with their IDs, as the app would list them
+const loadShows = async () => {
+  const source = createDataSource();
+  const { valid, rejected } = partitionShows(await source.loadShows(), source.describeRow);
+  if (rejected.length > 0) {
+    console.warn(`Skipping ${rejected.length} row(s) that failed validation`);
+  }
+  return assignShowIds(valid);
+};
+
+module.exports = { buildDir, loadShows, pageUrlFor, requireBuild, siteUrl };
@@ -0,0 +1,34 @@
+// The local JSON file behind REACT_APP_DATA_SOURCE=local, shared by the dev
+// server (src/setupProxy.js) and the post-build scripts. The file holds an
+// array of shows; it's created on the first save.
+
+const fs = require('fs');
+const path = require('path');
+
+// Where the app reads and writes the file; keep in step with
+// src/services/dataSources/index.js
+const LOCAL_SHOWS_URL = '/api/local-shows';
+
+const getLocalShowsPath = () => path.resolve(process.env.LOCAL_SHOWS_FILE || 'data/shows.json');
+
+const readLocalShows = (file = getLocalShowsPath()) => {
+  if (!fs.existsSync(file)) return [];
+  const shows = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(shows)) {
+    throw new Error(`Expected an array of shows in ${file}`);
+  }
+  return shows;
+};
+
+// Written to a temporary file first so a failed write can't truncate the data
+const writeLocalShows = (shows, file = getLocalShowsPath()) => {
+  if (!Array.isArray(shows) || shows.some(show => !show || typeof show !== 'object' || Array.isArray(show))) {
+    throw new Error('Expected an array of show objects');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(shows, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+};
+
+module.exports = { LOCAL_SHOWS_URL, getLocalShowsPath, readLocalShows, writeLocalShows };
@@ -1,9 +1,206 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Calendar, MapPin, Search, ArrowLeft, Video, X } from 'lucide-react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { Calendar, CalendarPlus, Download, Eye, LocateFixed, MapPin, PlayCircle, Search, ArrowLeft, Video, X, AlertTriangle, ChevronDown, ChevronLeft, ChevronRight, ChevronUp, RefreshCw, SlidersHorizontal, Users, WifiOff } from 'lucide-react';
+import { convertShowTime, getVenueTimezone } from './domain/timezone';
+import { formatDate, isShowPast, isShowVisible, parseDate, parseShowTimes } from './domain/dates';
+import { partitionShows, validateShow } from './domain/validation';
+import { assignShowIds, createEmptyShow, createShowId, slugify } from './domain/show';
+import { EDITOR_SECTIONS, inspectShowDraft } from './domain/showDraft';
+import { formatLocationLabel, getShowLocation, parseAddress } from './domain/addresses';
+import { parseLineup } from './domain/lineup';
+import { getPerformances } from './domain/performances';
+import { getShowStatus, getStatusNotice } from './domain/status';
+import { formatOnSaleDate, getTicketInfo } from './domain/tickets';
+import { createSearchIndex, getHighlightRanges, normalizeText, parseSearchQuery } from './domain/search';
+import { createPerformerIndex } from './domain/performers';
+import { createGroupIndex, createGroupSlug } from './domain/groups';
+import { VENUE_SORTS, createVenueIndex, sortVenues } from './domain/venues';
+import { EMPTY_FILTERS, FACETS, applyFilters, countFacets, getMonthRange, hasActiveFilters, parseInputDate, toInputDate } from './domain/facets';
+import { formatCalendarTitle, getCalendarWeeks, groupShowsByDay, shiftCalendarDate } from './domain/calendar';
+import { RADIUS_STEPS, formatDistance, getDistanceUnit, getRadiusBounds, getShowDistance, isWithinRadius, sortByDistance, toKilometres } from './domain/distance';
+import { formatLaunchTime, getLaunchSchedule, isEmbargoed } from './domain/launches';
+import { formatCountdown, formatStreamStart, getReplays, getStreamState, getStreams } from './domain/livestreams';
+import { buildMusicEvents, buildShowMeta, serializeJsonLd } from './domain/structuredData';
+import { buildCalendar, buildShowEvents, buildShowsCalendar, googleCalendarUrl, outlookCalendarUrl, selectCalendarShows } from './domain/ics';
+import { buildAbsoluteUrl, buildPath, parsePath, useHistoryLocation } from './routing';
+import { createDataSource } from './services/dataSources';
+import { loadShowCache, saveShowCache } from './services/showCache';
+import { exitPreviewMode, readPreviewMode } from './services/preview';
+import { geocodeAddress, geocodeShows, getShowCoordinates } from './services/geocoding';
+import { locateBrowser, locatePlace, readNearMe, saveNearMe } from './services/nearMe';
+import { downloadFile } from './services/download';
+import {
+  MIXED_COLOR,
+  PAST_COLOR,
+  UPCOMING_COLOR,
+  createVenueClusterIndex,
+  getClusterCollection,
+  venueGroupsToFeatures
+} from './domain/mapClusters';
+
+const VENUE_SOURCE_ID = 'venues';
+
+// Blue when everything is upcoming, gray when everything is past, purple in between
+const UPCOMING_RATIO_COLOR = [
+  'interpolate', ['linear'], ['get', 'upcomingRatio'],
+  0, PAST_COLOR,
+  0.5, MIXED_COLOR,
+  1, UPCOMING_COLOR
+];
+
+const LABEL_FONT = ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'];
+
+// Source and layers for venue clusters; safe to call more than once
+const addVenueLayers = (map) => {
+  if (map.getSource(VENUE_SOURCE_ID)) return;
+
+  map.addSource(VENUE_SOURCE_ID, {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: [] }
+  });
+
+  map.addLayer({
+    id: 'venue-clusters',
+    type: 'circle',
+    source: VENUE_SOURCE_ID,
+    filter: ['has', 'point_count'],
+    paint: {
+      'circle-color': UPCOMING_RATIO_COLOR,
+      'circle-radius': ['step', ['get', 'showCount'], 16, 10, 20, 50, 26, 200, 32],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#ffffff',
+      'circle-opacity': 0.9
+    }
+  });
+
+  map.addLayer({
+    id: 'venue-cluster-counts',
+    type: 'symbol',
+    source: VENUE_SOURCE_ID,
+    filter: ['has', 'point_count'],
+    layout: {
+      'text-field': ['get', 'countLabel'],
+      'text-font': LABEL_FONT,
+      'text-size': 13,
+      'text-allow-overlap': true
+    },
+    paint: { 'text-color': '#ffffff' }
+  });
+
+  // "8 up · 4 past" under clusters that mix upcoming and past shows
+  map.addLayer({
+    id: 'venue-cluster-mix',
+    type: 'symbol',
+    source: VENUE_SOURCE_ID,
+    filter: ['all', ['has', 'point_count'], ['!=', ['get', 'mixLabel'], '']],
+    layout: {
+      'text-field': ['get', 'mixLabel'],
+      'text-font': LABEL_FONT,
+      'text-size': 10,
+      'text-offset': [0, 2.6],
+      'text-allow-overlap': true
+    },
+    paint: {
+      'text-color': '#374151',
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1.5
+    }
+  });
+
+  map.addLayer({
+    id: 'venue-points',
+    type: 'circle',
+    source: VENUE_SOURCE_ID,
+    filter: ['!', ['has', 'point_count']],
+    paint: {
+      'circle-color': UPCOMING_RATIO_COLOR,
+      'circle-radius': 10,
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#ffffff'
+    }
+  });
+
+  map.addLayer({
+    id: 'venue-point-counts',
+    type: 'symbol',
+    source: VENUE_SOURCE_ID,
+    filter: ['all', ['!', ['has', 'point_count']], ['>', ['get', 'showCount'], 1]],
+    layout: {
+      'text-field': ['get', 'countLabel'],
+      'text-font': LABEL_FONT,
+      'text-size': 10,
+      'text-allow-overlap': true
+    },
+    paint: { 'text-color': '#ffffff' }
+  });
+};
+
+// Contents of a venue's map popup: the next couple of shows plus a link to the
+// full venue listing.
+const VenuePopup = ({ venueGroup, onShowSelect, onViewVenue }) => {
+  const { venue, shows } = venueGroup;
+  const showCount = shows.length;
+  const upcomingCount = shows.filter(show => !show.isPast).length;
+  const pastCount = showCount - upcomingCount;
+
+  const maxShowsToDisplay = 2;
+  const sortedShows = [...shows].sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date));
+  const showsToDisplay = sortedShows.slice(0, maxShowsToDisplay);
+  const remainingCount = sortedShows.length - maxShowsToDisplay;
+
+  return (
+    <div className="p-3 min-w-[250px] max-w-[300px] max-h-[350px] overflow-y-auto">
+      <h3 className="font-bold text-gray-900 mb-2">{venue}</h3>
+
+      {showCount > 1 && (
+        <div className="text-xs mb-3 flex gap-1">
+          {upcomingCount > 0 && (
+            <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded">{upcomingCount} upcoming</span>
+          )}
+          {pastCount > 0 && (
+            <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded">{pastCount} past</span>
+          )}
+        </div>
+      )}
+
+      {showsToDisplay.map((show, index) => (
+        <button
+          key={show.id}
+          onClick={() => onShowSelect(show)}
+          className={`block w-full text-left mb-2 pb-2 hover:bg-gray-50 p-1 rounded transition-colors ${
+            index < showsToDisplay.length - 1 ? 'border-b border-gray-100' : ''
+          }`}
+        >
+          <p className="text-blue-600 font-medium text-sm hover:text-blue-800">{show.group}</p>
+          <p className="text-xs text-gray-600">{formatDate(show.show_date)}</p>
+          <div className="mt-1 flex flex-wrap gap-1"><StatusNotice show={show} /><TicketBadges show={show} /></div>
+          <span className={`text-xs px-1 py-0.5 rounded inline-block mt-1 ${
+            show.isPast ? 'bg-gray-100 text-gray-700' : 'bg-blue-100 text-blue-700'
+          }`}>
+            {show.isPast ? 'Past' : 'Upcoming'}
+          </span>
+          <p className="text-xs text-gray-500 mt-1">Click for details</p>
+        </button>
+      ))}
+
+      {remainingCount > 0 && (
+        <div className="text-xs text-gray-500 italic mb-2 p-1">
+          + {remainingCount} more show{remainingCount > 1 ? 's' : ''} at this venue
+        </div>
+      )}
+
+      <button
+        onClick={() => onViewVenue(venueGroup)}
+        className="w-full bg-blue-600 text-white text-xs px-2 py-1 rounded hover:bg-blue-700"
+      >
+        {showCount > 1 ? 'View All Shows at This Venue' : 'View Venue Details'}
+      </button>
+    </div>
+  );
+};
 
 // MapView Component with automatic geocoding
-  const MapView = ({ shows, onShowSelect, onVenueSelect, setSelectedVenue }) => {
+  const MapView = ({ shows, onShowSelect, onVenueSelect, filter, onFilterChange, facetFilters = EMPTY_FILTERS, nearMe = null, compact = false }) => {
   const waitForMapbox = (maxAttempts = 20, interval = 500) => {
   return new Promise((resolve, reject) => {
     let attempts = 0;
@@ -28,77 +225,33 @@ import axios from 'axios';
 };
   const mapContainerRef = React.useRef(null);
   const mapInitializedRef = React.useRef(false);
+  // Set while a map is being built, so a shows update arriving mid-geocode
+  // (near-me merging in located places) doesn't start a second one
+  const mapInitializingRef = React.useRef(false);
   const showsData = React.useMemo(() => shows, [shows]);
   const [map, setMap] = React.useState(null);
   const [isLoading, setIsLoading] = React.useState(true);
   const [error, setError] = React.useState(null);
   const [geocodedShows, setGeocodedShows] = React.useState([]);
-  const [showFilter, setShowFilter] = React.useState('upcoming'); // 'upcoming', 'past', 'all'
-
-  // Helper function to determine if a show is past
-  const isShowPast = useCallback((show) => {
-    const [month, day, year] = show.show_date.split('/');
-    const showDate = new Date(year, month - 1, day);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return showDate < today;
-  }, []);
-
-  // Geocode addresses to get coordinates
-  const geocodeAddress = async (address) => {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-      
-      const response = await fetch(
-        `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json?access_token=${process.env.REACT_APP_MAPBOX_TOKEN}&limit=1`,
-        { signal: controller.signal }
-      );
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`Geocoding failed: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.features && data.features.length > 0) {
-        const [lng, lat] = data.features[0].center;
-        return { lat, lng };
-      }
-      return null;
-    } catch (error) {
-      console.error('Geocoding error for address:', address, {
-        errorMessage: error.message,
-        errorName: error.name,
-        isAbortError: error.name === 'AbortError',
-        isNetworkError: error.message.includes('fetch')
-      });
-      return null;
-    }
-  };
-
-  const formatDate = (dateString) => {
-    const [month, day, year] = dateString.split('/');
-    const date = new Date(year, month - 1, day);
-    return date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  };
+  const showFilter = filter; // 'upcoming', 'past', 'all'
+  const setShowFilter = onFilterChange;
+  const [popupVenue, setPopupVenue] = React.useState(null);
+  const popupContainer = React.useMemo(() => document.createElement('div'), []);
 
-  // Filter shows based on selected filter
+  // Filter shows based on selected filter, the sidebar's facets and the
+  // near-me radius
   const getFilteredShows = useCallback(() => {
+    const faceted = applyFilters(geocodedShows, facetFilters);
+    const matching = nearMe && nearMe.radiusKm !== null
+      ? faceted.filter(show => isWithinRadius(show, nearMe.origin, nearMe.radiusKm))
+      : faceted;
     if (showFilter === 'upcoming') {
-      return geocodedShows.filter(show => !isShowPast(show));
+      return matching.filter(show => !isShowPast(show));
     } else if (showFilter === 'past') {
-      return geocodedShows.filter(show => isShowPast(show));
+      return matching.filter(show => isShowPast(show));
     }
-    return geocodedShows; // 'all'
-  }, [geocodedShows, showFilter, isShowPast]);
+    return matching; // 'all'
+  }, [geocodedShows, showFilter, facetFilters, nearMe]);
   // Group shows by venue location (lat/lng)
    const groupShowsByVenue = useCallback((shows) => {
     const venueGroups = {};
@@ -109,6 +262,7 @@ import axios from 'axios';
       
       if (!venueGroups[venueKey]) {
         venueGroups[venueKey] = {
+          key: venueKey,
           venue: show.venue,
           address: show.address,
           lat: show.lat,
@@ -134,7 +288,8 @@ import axios from 'axios';
     }
 
     // Only initialize once
-    if (mapInitializedRef.current) return;
+    if (mapInitializedRef.current || mapInitializingRef.current) return;
+    mapInitializingRef.current = true;
     const initializeMap = async () => {
       try {
         console.log('=== MAP INITIALIZATION START ===', {
@@ -155,18 +310,16 @@ import axios from 'axios';
           console.error('=== MAPBOX TOKEN MISSING ===');
           setError('Mapbox access token not found. Please add REACT_APP_MAPBOX_TOKEN to your environment variables.');
           setIsLoading(false);
+          mapInitializingRef.current = false;
           return;
         }
 
         console.log('Starting geocoding for', showsData.length, 'shows...');
-        // Geocode all show addresses
-        const geocodingPromises = showsData.map(async (show, index) => {
-          const coords = await geocodeAddress(show.address);
-          return coords ? { ...show, ...coords, isPast: isShowPast(show) } : null;
-        });
-
-        const results = await Promise.all(geocodingPromises);
-        const validShows = results.filter(show => show !== null);
+        // Cached, deduplicated and rate-limited; explicit lat/lng columns skip the lookup
+        const results = await geocodeShows(showsData);
+        const validShows = results
+          .filter(show => Number.isFinite(show.lat) && Number.isFinite(show.lng))
+          .map(show => ({ ...show, isPast: isShowPast(show) }));
         console.log('Geocoding complete:', {
           totalShows: showsData.length,
           validShows: validShows.length,
@@ -192,6 +345,7 @@ import axios from 'axios';
             console.error('Container ref became null during map creation');
             setError('Map container not available');
             setIsLoading(false);
+            mapInitializingRef.current = false;
             return;
           }
           
@@ -209,6 +363,7 @@ import axios from 'axios';
             console.log('✓ Map loaded successfully!');
             setMap(mapInstance);
             mapInitializedRef.current = true;
+            mapInitializingRef.current = false;
           });
 
           mapInstance.on('error', (e) => {
@@ -220,6 +375,7 @@ import axios from 'axios';
             containerExists: !!mapContainerRef.current,
             validShowsCount: validShows.length
           });
+          mapInitializingRef.current = false;
         }
         
         console.log('Setting loading to false...');
@@ -232,6 +388,7 @@ import axios from 'axios';
         });
         setError(`Error initializing map: ${error.message}`);
         setIsLoading(false);
+        mapInitializingRef.current = false;
       }
     };
     initializeMap();
@@ -239,7 +396,9 @@ import axios from 'axios';
     return () => {
       // Don't cleanup the map here - let the separate cleanup effect handle it
     };
-  }, [showsData, isShowPast, map]);
+    // The container only renders once loading ends, so a pass that finished
+    // without one runs again then
+  }, [showsData, map, isLoading]);
       React.useEffect(() => {
     return () => {
       if (map) {
@@ -248,226 +407,114 @@ import axios from 'axios';
       }
     };
   }, [map]);
-      React.useEffect(() => {
+  // Venues are drawn from a GeoJSON source with circle/symbol layers rather
+  // than DOM markers, clustered with supercluster for the current zoom.
+  React.useEffect(() => {
     if (!map || geocodedShows.length === 0) return;
-    document.querySelectorAll('.mapboxgl-popup').forEach(p => p.remove());
-    // Clear existing markers
-    const existingMarkers = document.querySelectorAll('.mapboxgl-marker');
-    existingMarkers.forEach(marker => marker.remove());
+    setPopupVenue(null);
 
-    const filteredShows = getFilteredShows();
-    
-    if (filteredShows.length === 0) return;
+    addVenueLayers(map);
 
-    // Group shows by venue
+    const filteredShows = getFilteredShows();
     const venueGroups = groupShowsByVenue(filteredShows);
+    const clusterIndex = createVenueClusterIndex(venueGroupsToFeatures(venueGroups));
 
-    // Add markers for each venue group
-    const bounds = new window.mapboxgl.LngLatBounds();
-    
-    venueGroups.forEach(venueGroup => {
-      const { venue, shows, lat, lng } = venueGroup;
-      const showCount = shows.length;
-      
-      // Determine if venue has upcoming, past, or mixed shows
-      const upcomingShows = shows.filter(show => !show.isPast);
-      const pastShows = shows.filter(show => show.isPast);
-      
-      let markerColor;
-      if (showFilter === 'upcoming' || (upcomingShows.length > 0 && pastShows.length === 0)) {
-        markerColor = '#2563EB'; // Blue for upcoming
-      } else if (showFilter === 'past' || (pastShows.length > 0 && upcomingShows.length === 0)) {
-        markerColor = '#6B7280'; // Gray for past
-      } else {
-        // Mixed shows (when showing all)
-        markerColor = '#8B5CF6'; // Purple for mixed
-      }
-
-      // Create a single, simple marker element with inline badge
-      const markerElement = document.createElement('div');
-      markerElement.className = 'venue-marker';
-      
-      if (showCount > 1) {
-        // Marker with count badge
-        markerElement.innerHTML = `
-          <div style="position: relative; display: inline-block;">
-            <div style="
-              width: 20px; 
-              height: 20px; 
-              background-color: ${markerColor}; 
-              border: 2px solid white; 
-              border-radius: 50%; 
-              box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-            "></div>
-            <div style="
-              position: absolute;
-              top: -6px;
-              right: -6px;
-              background-color: ${markerColor};
-              color: white;
-              border-radius: 50%;
-              width: 16px;
-              height: 16px;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              font-size: 9px;
-              font-weight: bold;
-              border: 1px solid white;
-              font-family: Arial, sans-serif;
-            ">${showCount > 99 ? '99+' : showCount}</div>
-          </div>
-        `;
-      } else {
-        // Simple marker without badge
-        markerElement.innerHTML = `
-          <div style="
-            width: 20px; 
-            height: 20px; 
-            background-color: ${markerColor}; 
-            border: 2px solid white; 
-            border-radius: 50%; 
-            box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-          "></div>
-        `;
-      }
-
-      markerElement.style.cssText = 'cursor: pointer;';
-
-      // Sort shows by date for popup
-      const sortedShows = shows.sort((a, b) => {
-        const dateA = new Date(a.show_date.split('/')[2], a.show_date.split('/')[0] - 1, a.show_date.split('/')[1]);
-        const dateB = new Date(b.show_date.split('/')[2], b.show_date.split('/')[0] - 1, b.show_date.split('/')[1]);
-        return dateA - dateB;
-      });
-
-      // Create enhanced popup content
-      const createPopupContent = () => {
-        const maxShowsToDisplay = 2; // Back to showing 2 shows max
-        const showsToDisplay = sortedShows.slice(0, maxShowsToDisplay);
-        const remainingCount = sortedShows.length - maxShowsToDisplay;
-
-        let content = `
-          <div class="p-3 min-w-[250px] max-w-[300px] max-h-[350px] overflow-y-auto">
-            <h3 class="font-bold text-gray-900 mb-2">${venue}</h3>
-        `;
-
-        // Show count and type summary
-        if (showCount > 1) {
-          const upcomingCount = upcomingShows.length;
-          const pastCount = pastShows.length;
-          
-          content += `<div class="text-xs mb-3 flex gap-1">`;
-          if (upcomingCount > 0) {
-            content += `<span class="bg-blue-100 text-blue-700 px-2 py-1 rounded">${upcomingCount} upcoming</span>`;
-          }
-          if (pastCount > 0) {
-            content += `<span class="bg-gray-100 text-gray-700 px-2 py-1 rounded">${pastCount} past</span>`;
-          }
-          content += `</div>`;
-        }
-
-        // Display individual shows (clickable)
-        showsToDisplay.forEach((show, index) => {
-          const isPast = show.isPast;
-          const showId = `${show.venue}_${show.show_date}_${show.group}`.replace(/[^a-zA-Z0-9]/g, '_');
-          content += `
-            <div 
-              class="mb-2 pb-2 cursor-pointer hover:bg-gray-50 p-1 rounded ${index < showsToDisplay.length - 1 ? 'border-b border-gray-100' : ''}"
-              onclick="window.showIndividualShow('${showId}')"
-              style="transition: background-color 0.2s;"
-            >
-              <p class="text-blue-600 font-medium text-sm hover:text-blue-800">${show.group}</p>
-              <p class="text-xs text-gray-600">${formatDate(show.show_date)}</p>
-              <div class="text-xs px-1 py-0.5 rounded inline-block mt-1 ${
-                isPast ? 'bg-gray-100 text-gray-700' : 'bg-blue-100 text-blue-700'
-              }">
-                ${isPast ? 'Past' : 'Upcoming'}
-              </div>
-              <p class="text-xs text-gray-500 mt-1">Click for details</p>
-            </div>
-          `;
-        });
+    const updateClusters = () => {
+      const bounds = map.getBounds();
+      const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+      map.getSource(VENUE_SOURCE_ID).setData(getClusterCollection(clusterIndex, bbox, map.getZoom()));
+    };
 
-        // Add "view more" if there are remaining shows
-        if (remainingCount > 0) {
-          content += `
-            <div class="text-xs text-gray-500 italic mb-2 p-1">
-              + ${remainingCount} more show${remainingCount > 1 ? 's' : ''} at this venue
-            </div>
-          `;
-        }
+    // Clicking a cluster zooms in far enough to split it
+    const handleClusterClick = (e) => {
+      const feature = e.features[0];
+      const zoom = clusterIndex.getClusterExpansionZoom(feature.properties.cluster_id);
+      map.easeTo({ center: feature.geometry.coordinates, zoom });
+    };
 
-        // Add view all button
-        content += `
-            <button 
-              onclick="window.showVenueDetails('${venue.replace(/'/g, "\\'")}')"
-              class="w-full bg-blue-600 text-white text-xs px-2 py-1 rounded hover:bg-blue-700"
-            >
-              ${showCount > 1 ? 'View All Shows at This Venue' : 'View Venue Details'}
-            </button>
-          </div>
-        `;
-
-        return content;
-      };
-
-      const popup = new window.mapboxgl.Popup({ 
-        offset: 25, 
-        maxWidth: '320px',
-        maxHeight: '400px',
-        closeButton: true,
-        closeOnClick: true,
-        focusAfterOpen: false,
-        className: 'venue-popup'
-      })
-        .setHTML(createPopupContent());
+    const handleVenueClick = (e) => {
+      const feature = e.features[0];
+      const venueGroup = venueGroups.find(vg => vg.key === feature.properties.venueKey);
+      if (venueGroup) {
+        setPopupVenue({ venueGroup, coordinates: feature.geometry.coordinates });
+      }
+    };
 
-      new window.mapboxgl.Marker(markerElement)
-        .setLngLat([lng, lat])
-        .setPopup(popup)
-        .addTo(map);
+    const setPointer = () => { map.getCanvas().style.cursor = 'pointer'; };
+    const clearPointer = () => { map.getCanvas().style.cursor = ''; };
 
-      bounds.extend([lng, lat]);
+    map.on('moveend', updateClusters);
+    map.on('click', 'venue-clusters', handleClusterClick);
+    map.on('click', 'venue-points', handleVenueClick);
+    ['venue-clusters', 'venue-points'].forEach(layer => {
+      map.on('mouseenter', layer, setPointer);
+      map.on('mouseleave', layer, clearPointer);
     });
 
-    // Fit map to show all markers
-    if (venueGroups.length > 1) {
+    updateClusters();
+
+    // Fit map to the near-me radius, or to show all venues
+    if (nearMe && nearMe.radiusKm !== null) {
+      map.fitBounds(getRadiusBounds(nearMe.origin, nearMe.radiusKm), { padding: 20 });
+    } else if (venueGroups.length > 1) {
+      const bounds = new window.mapboxgl.LngLatBounds();
+      venueGroups.forEach(({ lng, lat }) => bounds.extend([lng, lat]));
+      if (nearMe) bounds.extend([nearMe.origin.lng, nearMe.origin.lat]);
       map.fitBounds(bounds, { padding: 50 });
     } else if (venueGroups.length === 1) {
       map.setCenter([venueGroups[0].lng, venueGroups[0].lat]);
       map.setZoom(12);
     }
 
-    // Global functions to handle clicks
-    window.showVenueDetails = (venueName) => {
-      // Find the venue group from the original geocoded shows (unfiltered)
-      const allVenueGroups = groupShowsByVenue(geocodedShows);
-      const venueGroup = allVenueGroups.find(vg => vg.venue === venueName);
-      if (venueGroup && venueGroup.shows.length > 0) {
-        // Open venue modal with ALL shows from this venue and current map filter
-        setSelectedVenue({
-          name: venueGroup.venue,
-          shows: venueGroup.shows,
-          defaultFilter: showFilter // Pass current map filter as default
-        });
-      }
-    };
-
-    // Function to handle individual show clicks from popups
-    window.showIndividualShow = (showId) => {
-      // Find the show by reconstructing the ID
-      const show = venueGroups.flatMap(vg => vg.shows).find(s => {
-        const reconstructedId = `${s.venue}_${s.show_date}_${s.group}`.replace(/[^a-zA-Z0-9]/g, '_');
-        return reconstructedId === showId;
+    return () => {
+      map.off('moveend', updateClusters);
+      map.off('click', 'venue-clusters', handleClusterClick);
+      map.off('click', 'venue-points', handleVenueClick);
+      ['venue-clusters', 'venue-points'].forEach(layer => {
+        map.off('mouseenter', layer, setPointer);
+        map.off('mouseleave', layer, clearPointer);
       });
-      
-      if (show) {
-        onShowSelect(show);
-      }
     };
+  }, [map, geocodedShows, getFilteredShows, groupShowsByVenue, nearMe]);
+
+  // Where the visitor said they are
+  React.useEffect(() => {
+    if (!map || !nearMe) return;
+    const marker = new window.mapboxgl.Marker({ color: '#2563eb' })
+      .setLngLat([nearMe.origin.lng, nearMe.origin.lat])
+      .addTo(map);
+    return () => marker.remove();
+  }, [map, nearMe]);
+
+  // The open venue popup is a Mapbox popup whose content React renders
+  // through a portal (see VenuePopup below).
+  React.useEffect(() => {
+    if (!map || !popupVenue) return;
+
+    const popup = new window.mapboxgl.Popup({ 
+      offset: 15, 
+      maxWidth: '320px',
+      closeButton: true,
+      closeOnClick: true,
+      focusAfterOpen: false,
+      className: 'venue-popup'
+    })
+      .setLngLat(popupVenue.coordinates)
+      .setDOMContent(popupContainer)
+      .addTo(map);
+
+    popup.on('close', () => {
+      setPopupVenue(current => (current === popupVenue ? null : current));
+    });
+
+    return () => popup.remove();
+  }, [map, popupVenue, popupContainer]);
 
-  }, [map, geocodedShows, showFilter, onShowSelect, getFilteredShows, groupShowsByVenue, setSelectedVenue]);
+  const openVenueDetails = (venueGroup) => {
+    // Open the venue page with ALL shows from this venue (not just the ones
+    // the current filter shows) and the current map filter as default
+    onVenueSelect(venueGroup.shows[0], showFilter);
+  };
 
   if (error) {
     return (
@@ -497,438 +544,1938 @@ import axios from 'axios';
 
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden">
-      {/* Filter Controls */}
-      <div className="p-4 border-b border-gray-200">
-        <div className="flex items-center justify-between mb-3">
-          <div className="flex space-x-2">
-            <button
-              onClick={() => setShowFilter('all')}
-              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                showFilter === 'all'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              All Shows ({geocodedShows.length})
-            </button>
-            <button
-              onClick={() => setShowFilter('upcoming')}
-              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                showFilter === 'upcoming'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              Upcoming ({upcomingCount})
-            </button>
-            <button
-              onClick={() => {
-                setShowFilter('past');
-                // Reset map view to show past markers
-                if (map && geocodedShows.length > 0) {
-                  const pastShows = geocodedShows.filter(show => show.isPast);
-                  if (pastShows.length > 0) {
-                    const bounds = new window.mapboxgl.LngLatBounds();
-                    pastShows.forEach(show => {
-                      bounds.extend([show.lng, show.lat]);
-                    });
-                    map.fitBounds(bounds, { padding: 50 });
+      {/* Filter Controls (a compact map shows every venue it is given) */}
+      {!compact && (
+        <div className="p-4 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setShowFilter('all')}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  showFilter === 'all'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                All Shows ({geocodedShows.length})
+              </button>
+              <button
+                onClick={() => setShowFilter('upcoming')}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  showFilter === 'upcoming'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Upcoming ({upcomingCount})
+              </button>
+              <button
+                onClick={() => {
+                  setShowFilter('past');
+                  // Reset map view to show past markers
+                  if (map && geocodedShows.length > 0) {
+                    const pastShows = geocodedShows.filter(show => show.isPast);
+                    if (pastShows.length > 0) {
+                      const bounds = new window.mapboxgl.LngLatBounds();
+                      pastShows.forEach(show => {
+                        bounds.extend([show.lng, show.lat]);
+                      });
+                      map.fitBounds(bounds, { padding: 50 });
+                    }
                   }
-                }
-              }}
-              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                showFilter === 'past'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-              }`}
-            >
-              Past ({pastCount})
-            </button>
-          </div>
-          
-          {/* Legend */}
-          <div className="flex items-center space-x-4 text-xs text-gray-600">
-            <div className="flex items-center space-x-1">
-              <div className="w-3 h-3 bg-blue-600 rounded-full border border-white"></div>
-              <span>Upcoming</span>
+                }}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  showFilter === 'past'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Past ({pastCount})
+              </button>
             </div>
-            <div className="flex items-center space-x-1">
-              <div className="w-3 h-3 bg-gray-500 rounded-full border border-white"></div>
-              <span>Past</span>
+          
+            {/* Legend */}
+            <div className="flex items-center space-x-4 text-xs text-gray-600">
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-blue-600 rounded-full border border-white"></div>
+                <span>Upcoming</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-gray-500 rounded-full border border-white"></div>
+                <span>Past</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-violet-500 rounded-full border border-white"></div>
+                <span>Mixed</span>
+              </div>
             </div>
           </div>
-        </div>
         
-        <p className="text-sm text-gray-600">
-          Showing {filteredShows.length} of {shows.length} venues on map
-          {geocodedShows.length < shows.length && (
-            <span className="text-amber-600 ml-2">
-              ({shows.length - geocodedShows.length} addresses could not be geocoded)
-            </span>
-          )}
-        </p>
-      </div>
+          <p className="text-sm text-gray-600">
+            Showing {filteredShows.length} of {shows.length} venues on map
+            {geocodedShows.length < shows.length && (
+              <span className="text-amber-600 ml-2">
+                ({shows.length - geocodedShows.length} addresses could not be geocoded)
+              </span>
+            )}
+          </p>
+        </div>
+      )}
       
       <div 
         ref={mapContainerRef} 
-        className="w-full h-[800px]"
-        style={{ minHeight: '800px' }}
+        className={compact ? 'w-full h-[400px]' : 'w-full h-[800px]'}
+        style={{ minHeight: compact ? '400px' : '800px' }}
       />
+
+      {popupVenue && createPortal(
+        <VenuePopup
+          venueGroup={popupVenue.venueGroup}
+          onShowSelect={onShowSelect}
+          onViewVenue={openVenueDetails}
+        />,
+        popupContainer
+      )}
     </div>
   );
 };
 
-const ShowsTracker = () => {
-  const [shows, setShows] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [currentView, setCurrentView] = useState('upcoming');
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedShow, setSelectedShow] = useState(null);
-  const [selectedVenue, setSelectedVenue] = useState(null);
-  const [userTimezone, setUserTimezone] = useState('');
-  const [upcomingPage, setUpcomingPage] = useState(1);
-  const [pastPage, setPastPage] = useState(1);
-  const SHOWS_PER_PAGE = 30;
-  const parseDate = (dateString) => {
-  const [month, day, year] = dateString.split('/');
- 
-  return new Date(year, month - 1, day);
+// Rows that failed validation, listed so whoever maintains the sheet can fix them
+const DataQualityPanel = ({ rejectedRows }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (rejectedRows.length === 0) return null;
+
+  return (
+    <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between p-4 text-left"
+      >
+        <span className="flex items-center gap-2 text-amber-800 text-sm font-medium">
+          <AlertTriangle size={16} />
+          {rejectedRows.length} show{rejectedRows.length !== 1 ? 's' : ''} hidden because of data problems
+        </span>
+        {expanded ? <ChevronUp size={16} className="text-amber-700" /> : <ChevronDown size={16} className="text-amber-700" />}
+      </button>
+
+      {expanded && (
+        <ul className="px-4 pb-4 space-y-3">
+          {rejectedRows.map(({ row, show, issues }) => (
+            <li key={row} className="text-sm">
+              <p className="font-medium text-amber-900">
+                {row}: {show.venue || 'Unknown venue'}{show.show_date ? ` (${show.show_date})` : ''}
+              </p>
+              <ul className="list-disc ml-5 text-amber-800">
+                {issues.map((issue, index) => (
+                  <li key={index}>{issue.message}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 };
 
-const parseShowTimes = (timeString) => {
-  if (!timeString) return [];
-  return timeString.split(',').map(time => time.trim()).filter(time => time.length > 0);
+const TICKET_BADGE_CLASSES = {
+  on_sale: 'bg-green-100 text-green-800',
+  few_left: 'bg-amber-100 text-amber-800',
+  sold_out: 'bg-gray-200 text-gray-700',
+  free: 'bg-green-100 text-green-800'
 };
 
-  useEffect(() => {
-    // Get user's timezone
-    setUserTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone);
-    loadShows();
-  }, []);
+// Ticket status and price of a show still to come. Cancelled and postponed
+// shows have a StatusNotice instead.
+const TicketBadges = ({ show }) => {
+  const tickets = getTicketInfo(show);
+  if (isShowPast(show) || tickets.status === 'cancelled' || tickets.status === 'postponed') return null;
+  const price = tickets.status === 'free' ? '' : tickets.price;
+  if (!tickets.label && !price) return null;
 
-  // Reset pagination when search term changes
-  useEffect(() => {
-    setUpcomingPage(1);
-    setPastPage(1);
-  }, [searchTerm]);
+  return (
+    <span className="inline-flex flex-wrap items-center gap-1">
+      {tickets.label && (
+        <span className={`${TICKET_BADGE_CLASSES[tickets.status]} text-xs font-semibold uppercase px-2 py-1 rounded-full whitespace-nowrap`}>
+          {tickets.label}
+        </span>
+      )}
+      {price && <span className="bg-gray-100 text-gray-800 text-xs px-2 py-1 rounded-full whitespace-nowrap">{price}</span>}
+    </span>
+  );
+};
 
-  const loadShows = async () => {
-    setLoading(true);
-    try {
+const STATUS_NOTICE_CLASSES = {
+  rescheduled: 'bg-amber-100 text-amber-800',
+  postponed: 'bg-orange-100 text-orange-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
 
-console.log('Sheet ID:', process.env.REACT_APP_GOOGLE_SHEETS_ID);
-console.log('API Key exists:', !!process.env.REACT_APP_GOOGLE_API_KEY);
+// "Rescheduled — was Mar 3", "Postponed — ..." or "Cancelled" (see
+// getStatusNotice). Past shows only keep a cancelled or postponed notice.
+const StatusNotice = ({ show }) => {
+  const status = getShowStatus(show);
+  if (status === 'scheduled' || (status === 'rescheduled' && isShowPast(show))) return null;
 
-      const response = await axios.get(
-  `https://sheets.googleapis.com/v4/spreadsheets/${process.env.REACT_APP_GOOGLE_SHEETS_ID}/values/Sheet1!A2:L?key=${process.env.REACT_APP_GOOGLE_API_KEY}`
-  
+  return (
+    <span className={`${STATUS_NOTICE_CLASSES[status]} text-xs font-semibold px-2 py-1 rounded-full whitespace-nowrap`}>
+      {getStatusNotice(show)}
+    </span>
+  );
+};
+
+// Cards of cancelled and postponed shows stand out instead of looking bookable
+const getStatusCardClass = (show) => ({
+  cancelled: 'bg-gray-50 border-red-200 opacity-80',
+  postponed: 'bg-white border-orange-300'
+}[getShowStatus(show)] || 'bg-white border-gray-200');
+
+// "Goes public on ..." for shows only preview mode can see
+const EmbargoBadge = ({ show }) => (
+  <span className="inline-flex items-center gap-1 bg-amber-100 text-amber-800 text-xs px-2 py-1 rounded-full">
+    <Eye size={12} />
+    Goes public on {formatLaunchTime(show)}
+  </span>
 );
 
-      const rows = response.data.values || [];
-      const formattedShows = rows.map(row => ({
-  launch_date: row[0] || '',           // A: Launch_Date
-  show_date: row[1] || '',             // B: Show_Date  
-  show_time: row[2] || '',             // C: Show_Time
-  venue: row[3] || '',                 // D: Venue
-  address: row[4] || '',               // E: Address
-  group: row[5] || '',                 // F: Group
-  ticket_url: row[6] || '',            // G: Ticket_URL
-  show_type: row[7] || '',             // H: Show_Type
-  show_description: row[8] || '',      // I: Show_Description
-  lineup: row[9] || '',                // J: Lineup
-  show_image: row[10] || '',           // K: Show_Image
-  livestream_ticket_url: row[11] || '', // L: Livestream_Ticket_URL
-  capacity: ''                         // Not in your sheet, keeping as empty for compatibility
-}));
-
-      console.log('Loaded shows:', formattedShows);
-      setShows(formattedShows);
-      setLoading(false);
-    } catch (error) {
-      console.error('Error loading shows:', error);
-      console.error('Error details:', error.response?.data);
-      
-      // Fallback to mock data if API fails
-      const mockData = [
-  {
-    launch_date: '',
-    show_date: '09/15/2025',
-    show_time: '8:00pm',
-    venue: 'Test Venue (API Error)',
-    address: 'New York, NY', // Changed from separate city/state
-    group: 'Test Group',
-    ticket_url: '',
-    capacity: '',
-    show_image: '',
-    show_type: 'Concert',
-    show_description: 'This is mock data - check console for API errors',
-    lineup: '',
-    livestream_ticket_url: ''
-  }
-];
-      
-      setShows(mockData);
-      setLoading(false);
-    }
-  };
-      
+// Preview mode banner with the timeline of upcoming announcements
+const PreviewPanel = ({ schedule, onShowSelect, onExit }) => {
+  const [expanded, setExpanded] = useState(false);
+  const embargoedCount = schedule.reduce((count, launch) => count + launch.shows.length, 0);
 
-const parseAddress = (addressString) => {
-  if (!addressString) return { fullAddress: '', city: '', state: '', country: 'USA' };
-  
-  // Clean up and split by commas
-  const parts = addressString.trim().split(',').map(p => p.trim()).filter(p => p.length > 0);
-  
-  if (parts.length === 0) {
-    return { fullAddress: addressString, city: addressString, state: '', country: 'USA' };
-  }
-  
-  // Look for zip/postal code patterns in any part
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
-    
-    // Check if this part is just a US ZIP code (5 digits, optionally with dash and 4 more)
-    const standAloneZipMatch = part.match(/^(\d{5}(-\d{4})?)$/);
-    if (standAloneZipMatch && i >= 2) {
-      // State should be in the previous part
-      const statePart = parts[i - 1];
-      if (statePart.match(/^[A-Z]{2}$/)) {
-        const state = statePart;
-        const zip = standAloneZipMatch[1];
-        
-        // City should be in the part before the state
-        const cityPart = parts[i - 2];
-        const city = extractCityFromPart(cityPart);
-        
-        return {
-          fullAddress: addressString,
-          city: city,
-          state: state,
-          zip: zip,
-          country: 'USA'
-        };
-      }
-    }
-    
-    // US ZIP code pattern within a part: 5 digits, optionally followed by dash and 4 more digits
-    const usZipMatch = part.match(/\b(\d{5}(-\d{4})?)\b/);
-    if (usZipMatch) {
-      // Extract state (should be 2 letters before the zip in the same part)
-      const beforeZip = part.replace(usZipMatch[0], '').trim();
-      const stateMatch = beforeZip.match(/\b([A-Z]{2})\b$/);
-      
-      if (stateMatch && i > 0) {
-        const state = stateMatch[1];
-        const zip = usZipMatch[1];
-        
-        // Get city from the previous part (before state/zip part)
-        const cityPart = parts[i - 1];
-        const city = extractCityFromPart(cityPart);
-        
-        return {
-          fullAddress: addressString,
-          city: city,
-          state: state,
-          zip: zip,
-          country: 'USA'
-        };
-      }
-    }
-    
-    // UK postal code pattern: Letters and numbers like "WC2H 7BX" or "M1 1AA"
-    const ukPostalMatch = part.match(/\b([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})\b/);
-    if (ukPostalMatch) {
-      // Get the city from this same part, before the postal code
-      const beforePostal = part.replace(ukPostalMatch[0], '').trim();
-      const city = beforePostal || (i > 0 ? extractCityFromPart(parts[i - 1]) : '');
-      
-      return {
-        fullAddress: addressString,
-        city: city,
-        state: '',
-        country: 'UK'
-      };
-    }
-  }
-  
-  // Fallback: try the old method for addresses without clear zip patterns
-  const lastPart = parts[parts.length - 1];
-  
-  // Check if last part is just US state (no zip found)
-  if (lastPart.match(/^[A-Z]{2}$/) && parts.length >= 2) {
-    const state = lastPart;
-    const cityPart = parts[parts.length - 2];
-    const city = extractCityFromPart(cityPart);
-    
-    return {
-      fullAddress: addressString,
-      city: city,
-      state: state,
-      zip: '',
-      country: 'USA'
-    };
-  }
-  
-  // Check for other countries
-  if (lastPart.match(/^[A-Z]{2,3}$/) || (lastPart.length > 3 && /^[A-Za-z\s]+$/.test(lastPart))) {
-    const country = lastPart;
-    
-    if (parts.length >= 2) {
-      const cityPart = parts[parts.length - 2];
-      const city = extractCityFromPart(cityPart);
-      
-      return {
-        fullAddress: addressString,
-        city: city,
-        state: '',
-        country: country
-      };
-    }
-  }
-  
-  // Final fallback
-  return {
-    fullAddress: addressString,
-    city: addressString,
-    state: '',
-    country: 'USA'
-  };
-};
+  return (
+    <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg">
+      <div className="flex items-center justify-between gap-3 p-4">
+        <button
+          onClick={() => setExpanded(prev => !prev)}
+          className="flex items-center gap-2 text-left text-amber-800 text-sm font-medium"
+        >
+          <Eye size={16} />
+          Preview mode: {embargoedCount} embargoed show{embargoedCount !== 1 ? 's' : ''} visible
+          {expanded ? <ChevronUp size={16} className="text-amber-700" /> : <ChevronDown size={16} className="text-amber-700" />}
+        </button>
+        <button onClick={onExit} className="text-sm text-amber-800 hover:text-amber-900 underline whitespace-nowrap">
+          Exit preview
+        </button>
+      </div>
 
-// Helper function to extract city from a part that might contain street address
-const extractCityFromPart = (part) => {
-  if (!part) return '';
-  
-  const words = part.split(/\s+/);
-  
-  // Remove obvious street address components from the beginning
-  let cityWords = [];
-  let foundCity = false;
-  
-  for (let i = 0; i < words.length; i++) {
-    const word = words[i].toLowerCase();
-    
-    // Skip leading numbers
-    if (i === 0 && /^\d+$/.test(word)) {
-      continue;
+      {expanded && (
+        <div className="px-4 pb-4">
+          <h2 className="text-sm font-semibold text-amber-900 mb-2">Announcement timeline</h2>
+          {schedule.length === 0 ? (
+            <p className="text-sm text-amber-800">No announcements scheduled.</p>
+          ) : (
+            <ol className="space-y-3">
+              {schedule.map(launch => (
+                <li key={launch.instant.getTime()} className="text-sm">
+                  <p className="font-medium text-amber-900">{launch.label}</p>
+                  <ul className="ml-5 list-disc text-amber-800">
+                    {launch.shows.map(show => (
+                      <li key={show.id}>
+                        <button onClick={() => onShowSelect(show)} className="text-left hover:underline">
+                          {formatDate(show.show_date)}: {[show.venue, formatLocationLabel(getShowLocation(show))].filter(Boolean).join(', ')}
+                          {show.group ? ` (${show.group})` : ''}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shown for /shows/<id> links to shows that don't exist (or aren't public yet)
+const ShowNotFound = ({ onClose }) => (
+  <div 
+    className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[100]"
+    onClick={onClose}
+  >
+    <div 
+      className="bg-white rounded-lg max-w-md w-full p-8 text-center"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <Calendar size={48} className="mx-auto text-gray-400 mb-4" />
+      <h2 className="text-lg font-medium text-gray-900 mb-2">Show not found</h2>
+      <p className="text-gray-600 mb-6">This show may have been removed, or the link may be incorrect.</p>
+      <button
+        onClick={onClose}
+        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+      >
+        Browse shows
+      </button>
+    </div>
+  </div>
+);
+
+const FACET_PREVIEW_SIZE = 6;
+
+const FacetGroup = ({ label, options, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  const visible = expanded ? options : options.slice(0, FACET_PREVIEW_SIZE);
+
+  return (
+    <fieldset className="mb-5">
+      <legend className="text-sm font-semibold text-gray-900 mb-2">{label}</legend>
+      {visible.map(option => (
+        <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700 py-0.5 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={option.selected}
+            onChange={() => onToggle(option.value)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="flex-grow truncate">{option.value}</span>
+          <span className="text-xs text-gray-500">{option.count}</span>
+        </label>
+      ))}
+      {options.length > FACET_PREVIEW_SIZE && (
+        <button onClick={() => setExpanded(!expanded)} className="text-xs text-blue-600 hover:text-blue-700 mt-1">
+          {expanded ? 'Show fewer' : `Show all ${options.length}`}
+        </button>
+      )}
+    </fieldset>
+  );
+};
+
+// Sidebar narrowing the current view by facet, date range and livestream.
+// Counts are for the shows the view would list with that value picked.
+const FacetPanel = ({ facets, filters, onChange, resultCount }) => {
+  const [open, setOpen] = useState(false);
+  const active = hasActiveFilters(filters);
+
+  const toggleValue = (key, value) => {
+    const selected = filters[key].includes(value)
+      ? filters[key].filter(item => item !== value)
+      : [...filters[key], value];
+    onChange({ ...filters, [key]: selected });
+  };
+
+  return (
+    <aside className="lg:w-64 flex-shrink-0 mb-6 lg:mb-0">
+      <button
+        onClick={() => setOpen(!open)}
+        className="lg:hidden inline-flex items-center gap-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg px-3 py-2"
+      >
+        <SlidersHorizontal size={16} />
+        Filters{active ? ` (${resultCount} shows)` : ''}
+      </button>
+
+      <div className={`${open ? 'block mt-3' : 'hidden'} lg:block bg-white rounded-lg border border-gray-200 p-4`}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-sm font-semibold text-gray-900 uppercase tracking-wide">Filters</h2>
+          {active && (
+            <button onClick={() => onChange(EMPTY_FILTERS)} className="text-xs text-blue-600 hover:text-blue-700">
+              Clear all
+            </button>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-5 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={filters.livestream}
+            onChange={(e) => onChange({ ...filters, livestream: e.target.checked })}
+            className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+          />
+          <Video size={14} className="text-red-600" />
+          Livestream only
+        </label>
+
+        <fieldset className="mb-5">
+          <legend className="text-sm font-semibold text-gray-900 mb-2">Dates</legend>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-500">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => onChange({ ...filters, from: e.target.value })}
+                className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm text-gray-700"
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => onChange({ ...filters, to: e.target.value })}
+                className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm text-gray-700"
+              />
+            </label>
+          </div>
+          <div className="flex gap-3 mt-2">
+            <button onClick={() => onChange({ ...filters, ...getMonthRange() })} className="text-xs text-blue-600 hover:text-blue-700">
+              This month
+            </button>
+            {(filters.from || filters.to) && (
+              <button onClick={() => onChange({ ...filters, from: '', to: '' })} className="text-xs text-gray-500 hover:text-gray-700">
+                Any date
+              </button>
+            )}
+          </div>
+        </fieldset>
+
+        {FACETS.filter(({ key }) => facets[key].length > 0).map(({ key, label }) => (
+          <FacetGroup key={key} label={label} options={facets[key]} onToggle={(value) => toggleValue(key, value)} />
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+// "Near me": the visitor's location (from the browser or a typed place) and
+// a radius, sorting and narrowing the upcoming list and the map
+const DEFAULT_RADIUS = 50;
+
+const NearMePanel = ({ nearMe, unit, unlocatedCount, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [query, setQuery] = useState('');
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyOrigin = async (findOrigin) => {
+    setLocating(true);
+    setError(null);
+    try {
+      const origin = await findOrigin();
+      if (origin) {
+        onChange({ origin, radius: nearMe ? nearMe.radius : DEFAULT_RADIUS });
+        setEditing(false);
+        setQuery('');
+      } else {
+        setError(`Couldn't find "${query.trim()}"`);
+      }
+    } catch (locateError) {
+      setError(locateError.message);
     }
-    
-    // Skip directionals and street types, but only at the beginning or if we haven't found city yet
-    if (!foundCity && /^(n|s|e|w|north|south|east|west|street|st|avenue|ave|road|rd|blvd|boulevard|drive|dr|lane|ln|way|place|pl|court|ct|circle|cir)$/i.test(word)) {
-      continue;
+    setLocating(false);
+  };
+
+  // The slider's last step is any distance
+  const radiusStep = nearMe && nearMe.radius !== null ? RADIUS_STEPS.indexOf(nearMe.radius) : RADIUS_STEPS.length;
+  const radiusLabel = nearMe && nearMe.radius !== null ? `Within ${nearMe.radius} ${unit}` : 'Any distance';
+
+  const locationForm = (
+    <div className="flex flex-col sm:flex-row gap-2">
+      <button
+        onClick={() => applyOrigin(() => locateBrowser())}
+        disabled={locating}
+        className="inline-flex items-center justify-center gap-2 text-sm font-medium text-blue-700 bg-blue-50 border border-blue-200 rounded-lg px-3 py-2 hover:bg-blue-100 disabled:opacity-50"
+      >
+        <LocateFixed size={16} />
+        Use my location
+      </button>
+      <form
+        className="flex flex-1 gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (query.trim()) applyOrigin(() => locatePlace(query));
+        }}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="or enter a city or address"
+          aria-label="City or address"
+          className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={locating || !query.trim()}
+          className="text-sm font-medium px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          {locating ? 'Finding...' : 'Find'}
+        </button>
+      </form>
+    </div>
+  );
+
+  return (
+    <div className="mb-6 bg-white border border-gray-200 rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="flex items-center gap-2 font-medium text-gray-900">
+          <MapPin size={16} className="text-blue-600" />
+          {nearMe ? `Near ${nearMe.origin.label}` : 'Shows near you'}
+        </h2>
+        {nearMe && (
+          <div className="flex gap-3 text-sm">
+            <button onClick={() => setEditing(!editing)} className="text-blue-600 hover:text-blue-700">
+              {editing ? 'Keep this location' : 'Change location'}
+            </button>
+            <button
+              onClick={() => {
+                onChange(null);
+                setEditing(false);
+              }}
+              className="text-gray-600 hover:text-gray-900"
+            >
+              Turn off
+            </button>
+          </div>
+        )}
+      </div>
+
+      {(!nearMe || editing) && locationForm}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      {nearMe && !editing && (
+        <>
+          <label htmlFor="near-me-radius" className="block text-sm text-gray-700 mb-1">{radiusLabel}</label>
+          <input
+            id="near-me-radius"
+            type="range"
+            min={0}
+            max={RADIUS_STEPS.length}
+            step={1}
+            value={radiusStep}
+            aria-valuetext={radiusLabel}
+            onChange={(e) => onChange({ ...nearMe, radius: RADIUS_STEPS[Number(e.target.value)] ?? null })}
+            className="w-full sm:w-64 accent-blue-600"
+          />
+          {unlocatedCount > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              {unlocatedCount} show{unlocatedCount !== 1 ? 's' : ''} without a known location {unlocatedCount !== 1 ? 'aren\'t' : 'isn\'t'} listed.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const PerformerDirectory = ({ performers, query, onQueryChange, onSelect }) => {
+  const needle = normalizeText(query).trim();
+  const matching = needle
+    ? performers.filter(performer => normalizeText([
+      performer.name,
+      ...performer.aliases,
+      ...performer.instruments.map(instrument => instrument.name)
+    ].join(' ')).includes(needle))
+    : performers;
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Performers</h1>
+        <p className="text-gray-600">Everyone who has played in a lineup</p>
+      </div>
+
+      <div className="mb-6 relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+        <input
+          type="text"
+          placeholder="Search by name or instrument..."
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      {matching.length === 0 ? (
+        <div className="text-center py-12">
+          <Users size={48} className="mx-auto text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No performers found</h3>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {matching.map(performer => {
+            const upcomingCount = performer.shows.filter(show => !isShowPast(show)).length;
+            return (
+              <button
+                key={performer.slug}
+                onClick={() => onSelect(performer.slug)}
+                className="text-left bg-white rounded-lg shadow-sm p-4 border border-gray-200 hover:shadow-md hover:bg-green-50 transition-all"
+              >
+                <h3 className="font-semibold text-gray-900">{performer.name}</h3>
+                {performer.instruments.length > 0 && (
+                  <p className="text-sm text-gray-600">{performer.instruments.map(instrument => instrument.name).join(', ')}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-2">
+                  {performer.shows.length} {performer.shows.length === 1 ? 'show' : 'shows'}
+                  {upcomingCount > 0 && ` · ${upcomingCount} upcoming`}
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const COLLABORATOR_LIMIT = 10;
+
+// A performer's shows, instruments, links and the people they play with most.
+// Show cards come from the caller so they open like everywhere else.
+const PerformerPage = ({ performer, onBack, onSelectPerformer, renderShow }) => {
+  if (!performer) {
+    return (
+      <div className="text-center py-12">
+        <Users size={48} className="mx-auto text-gray-400 mb-4" />
+        <h1 className="text-lg font-medium text-gray-900 mb-2">Performer not found</h1>
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-700">Browse all performers</button>
+      </div>
+    );
+  }
+
+  const upcoming = performer.shows.filter(show => !isShowPast(show));
+  const past = performer.shows.filter(show => isShowPast(show)).reverse();
+
+  return (
+    <div>
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ArrowLeft size={16} />
+        All performers
+      </button>
+
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{performer.name}</h1>
+        {performer.aliases.length > 0 && (
+          <p className="text-sm text-gray-500 mb-2">Also listed as {performer.aliases.join(', ')}</p>
+        )}
+        {performer.instruments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {performer.instruments.map(instrument => (
+              <span key={instrument.name} className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+                {instrument.name} ({instrument.count})
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex gap-4 text-sm">
+          {performer.instagramLink && (
+            <a href={performer.instagramLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+              Instagram
+            </a>
+          )}
+          {performer.websiteLink && (
+            <a href={performer.websiteLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+              Website
+            </a>
+          )}
+        </div>
+      </div>
+
+      <div className="lg:flex lg:items-start lg:gap-8">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Upcoming shows ({upcoming.length})</h2>
+          {upcoming.length === 0
+            ? <p className="text-gray-600 mb-8">No upcoming shows.</p>
+            : <div className="mb-8">{upcoming.map(renderShow)}</div>}
+
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Past shows ({past.length})</h2>
+          {past.length === 0
+            ? <p className="text-gray-600">No past shows.</p>
+            : <div>{past.map(renderShow)}</div>}
+        </div>
+
+        {performer.collaborators.length > 0 && (
+          <aside className="lg:w-64 flex-shrink-0 mt-8 lg:mt-0 bg-white rounded-lg border border-gray-200 p-4">
+            <h2 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">Plays most with</h2>
+            <ul className="space-y-1">
+              {performer.collaborators.slice(0, COLLABORATOR_LIMIT).map(collaborator => (
+                <li key={collaborator.slug} className="flex items-center justify-between text-sm">
+                  <button onClick={() => onSelectPerformer(collaborator.slug)} className="text-blue-600 hover:text-blue-800 truncate">
+                    {collaborator.name}
+                  </button>
+                  <span className="text-xs text-gray-500">{collaborator.count}</span>
+                </li>
+              ))}
+            </ul>
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// "2019–2030", or one year
+const formatYearSpan = (shows) => {
+  const years = shows.map(show => parseDate(show.show_date).getFullYear());
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  return first === last ? String(first) : `${first}–${last}`;
+};
+
+const GroupDirectory = ({ groups, query, onQueryChange, onSelect }) => {
+  const needle = normalizeText(query).trim();
+  const matching = needle ? groups.filter(group => normalizeText(group.name).includes(needle)) : groups;
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Groups</h1>
+        <p className="text-gray-600">Ensembles and their tours</p>
+      </div>
+
+      <div className="mb-6 relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+        <input
+          type="text"
+          placeholder="Search groups..."
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      {matching.length === 0 ? (
+        <div className="text-center py-12">
+          <Users size={48} className="mx-auto text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No groups found</h3>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {matching.map(group => {
+            const upcomingCount = group.shows.filter(show => !isShowPast(show)).length;
+            return (
+              <button
+                key={group.slug}
+                onClick={() => onSelect(group.slug)}
+                className="text-left bg-white rounded-lg shadow-sm p-4 border border-gray-200 hover:shadow-md hover:bg-green-50 transition-all"
+              >
+                <h3 className="font-semibold text-gray-900">{group.name}</h3>
+                <p className="text-sm text-gray-600">
+                  {formatYearSpan(group.shows)} · {group.venueCount} {group.venueCount === 1 ? 'venue' : 'venues'}
+                </p>
+                <p className="text-xs text-gray-500 mt-2">
+                  {group.shows.length} {group.shows.length === 1 ? 'show' : 'shows'}
+                  {upcomingCount > 0 && ` · ${upcomingCount} upcoming`}
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Label plus a bar sized against the largest count
+const CountBars = ({ title, rows }) => {
+  const max = Math.max(...rows.map(row => row.count));
+  return (
+    <div className="mb-6">
+      <h2 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">{title}</h2>
+      <ul className="space-y-1">
+        {rows.map(row => (
+          <li key={row.label} className="flex items-center gap-2 text-sm">
+            <span className="w-24 truncate text-gray-700">{row.label}</span>
+            <span className="flex-grow bg-gray-100 rounded h-2">
+              <span className="block bg-blue-600 rounded h-2" style={{ width: `${(row.count / max) * 100}%` }} />
+            </span>
+            <span className="w-6 text-right text-xs text-gray-500">{row.count}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// A group's upcoming dates, archive, venues, yearly and per-country counts
+// and regular lineup. Show cards and the map come from the caller.
+const GroupPage = ({ group, onBack, onSelectPerformer, renderShow, renderMap }) => {
+  if (!group) {
+    return (
+      <div className="text-center py-12">
+        <Users size={48} className="mx-auto text-gray-400 mb-4" />
+        <h1 className="text-lg font-medium text-gray-900 mb-2">Group not found</h1>
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-700">Browse all groups</button>
+      </div>
+    );
+  }
+
+  const upcoming = group.shows.filter(show => !isShowPast(show));
+  const past = group.shows.filter(show => isShowPast(show)).reverse();
+
+  return (
+    <div>
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ArrowLeft size={16} />
+        All groups
+      </button>
+
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{group.name}</h1>
+        <p className="text-gray-600">
+          {group.shows.length} {group.shows.length === 1 ? 'show' : 'shows'} at {group.venueCount} {group.venueCount === 1 ? 'venue' : 'venues'} in {group.showsByCountry.length} {group.showsByCountry.length === 1 ? 'country' : 'countries'}, {formatYearSpan(group.shows)}
+        </p>
+      </div>
+
+      <div className="lg:flex lg:items-start lg:gap-8">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Upcoming dates ({upcoming.length})</h2>
+          {upcoming.length === 0
+            ? <p className="text-gray-600 mb-8">No upcoming dates.</p>
+            : <div className="mb-8">{upcoming.map(renderShow)}</div>}
+
+          {renderMap && (
+            <div className="mb-8">
+              <h2 className="text-xl font-semibold text-gray-900 mb-3">Venues played</h2>
+              {renderMap(group.shows)}
+            </div>
+          )}
+
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Past shows ({past.length})</h2>
+          {past.length === 0
+            ? <p className="text-gray-600">No past shows.</p>
+            : <div>{past.map(renderShow)}</div>}
+        </div>
+
+        <aside className="lg:w-64 flex-shrink-0 mt-8 lg:mt-0 bg-white rounded-lg border border-gray-200 p-4">
+          <CountBars title="Shows by year" rows={group.showsByYear.map(({ year, count }) => ({ label: String(year), count }))} />
+          <CountBars title="Shows by country" rows={group.showsByCountry.map(({ country, count }) => ({ label: country, count }))} />
+
+          {group.regulars.length > 0 && (
+            <>
+              <h2 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">Regular lineup</h2>
+              <ul className="space-y-1">
+                {group.regulars.map(member => (
+                  <li key={member.slug} className="flex items-center justify-between gap-2 text-sm">
+                    <span className="truncate">
+                      <button onClick={() => onSelectPerformer(member.slug)} className="text-blue-600 hover:text-blue-800">
+                        {member.name}
+                      </button>
+                      {member.instruments.length > 0 && (
+                        <span className="text-gray-500"> ({member.instruments.join(', ')})</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-gray-500">{member.count}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+const VenueDirectory = ({ venues, query, sort, onQueryChange, onSortChange, onSelect }) => {
+  const needle = normalizeText(query).trim();
+  const matching = needle
+    ? venues.filter(venue => normalizeText([venue.name, ...venue.aliases, venue.locationLabel, venue.address].join(' ')).includes(needle))
+    : venues;
+  const sorted = sortVenues(matching, sort);
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Venues</h1>
+        <p className="text-gray-600">Every hall, club and church we've played</p>
+      </div>
+
+      <div className="mb-6 flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-grow">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+          <input
+            type="text"
+            placeholder="Search venues by name, city or address..."
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Sort by
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-700"
+          >
+            {Object.entries(VENUE_SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div className="text-center py-12">
+          <MapPin size={48} className="mx-auto text-gray-400 mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No venues found</h3>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {sorted.map(venue => (
+            <button
+              key={venue.slug}
+              onClick={() => onSelect(venue)}
+              className="text-left bg-white rounded-lg shadow-sm p-4 border border-gray-200 hover:shadow-md hover:bg-green-50 transition-all"
+            >
+              <h3 className="font-semibold text-gray-900">{venue.name}</h3>
+              {venue.locationLabel && <p className="text-sm text-gray-600">{venue.locationLabel}</p>}
+              <p className="text-xs text-gray-500 mt-2">
+                {venue.shows.length} {venue.shows.length === 1 ? 'show' : 'shows'} · last {formatDate(venue.shows[venue.shows.length - 1].show_date)}
+              </p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ADMIN_INPUT_CLASS = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const AdminField = ({ field, value, issues = [], onChange, children }) => {
+  const id = `admin-${field.key}`;
+  const Input = field.multiline ? 'textarea' : 'input';
+
+  return (
+    <div className={field.multiline ? 'sm:col-span-2' : ''}>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+      <Input
+        id={id}
+        type={field.multiline ? undefined : 'text'}
+        rows={field.multiline ? 3 : undefined}
+        value={value}
+        placeholder={field.placeholder}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${ADMIN_INPUT_CLASS} ${issues.length > 0 ? 'border-red-400' : 'border-gray-300'}`}
+      />
+      {field.hint && <p className="text-xs text-gray-500 mt-1">{field.hint}</p>}
+      {issues.map(message => (
+        <p key={message} className="text-xs text-red-600 mt-1">{message}</p>
+      ))}
+      {children}
+    </div>
+  );
+};
+
+// One show's form, with how the site will read it and a rendered preview
+const ShowForm = ({ initial, label, writable, onSave, onDelete, onCancel, renderCard, renderModal, renderMap }) => {
+  const [draft, setDraft] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  // null, { status: 'searching' | 'missing' } or { status: 'found', lat, lng, place }
+  const [located, setLocated] = useState(null);
+
+  const inspected = inspectShowDraft(draft);
+  const preview = { ...draft, id: draft.id || createShowId(draft) };
+  const setField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  const run = async (action) => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await action();
+    } catch (error) {
+      setSaveError(error.message || 'Unknown error');
+      setSaving(false);
     }
-    
-    // Once we have a non-street word, consider it part of the city
-    foundCity = true;
-    cityWords.push(words[i]);
+  };
+
+  const locate = async () => {
+    setLocated({ status: 'searching' });
+    const result = await geocodeAddress(draft.address);
+    setLocated(result ? { status: 'found', ...result } : { status: 'missing' });
+  };
+
+  const useLocation = () => {
+    setDraft(prev => ({ ...prev, lat: located.lat.toFixed(6), lng: located.lng.toFixed(6) }));
+    setLocated(null);
+  };
+
+  // How the site reads the free-text fields, under each one
+  const feedback = {
+    show_time: inspected.times.length > 0 && (
+      <div className="flex flex-wrap gap-1 mt-2">
+        {inspected.times.map(({ time, readable }, index) => (
+          <span
+            key={index}
+            className={`text-xs px-2 py-0.5 rounded-full ${readable ? 'bg-blue-100 text-blue-800' : 'bg-red-100 text-red-800'}`}
+          >
+            {time}
+          </span>
+        ))}
+      </div>
+    ),
+    lineup: inspected.lineup.length > 0 && (
+      <ul className="mt-2 text-xs text-gray-700 space-y-0.5">
+        {inspected.lineup.map((member, index) => (
+          <li key={index}>
+            <span className="font-medium">{member.name}</span>
+            {member.instrument && ` · ${member.instrument}`}
+            {member.instagramLink && ` · ${member.instagramLink.replace(/^.*instagram\.com\//, '@')}`}
+            {member.websiteLink && ` · ${member.websiteLink}`}
+          </li>
+        ))}
+      </ul>
+    ),
+    performances: inspected.performances.length > 0 && (
+      <ul className="mt-2 text-xs text-gray-700 space-y-0.5">
+        {inspected.performances.map(performance => (
+          <li key={performance.index}>
+            <span className="font-medium">{performance.time || 'No time'}</span>
+            {performance.ticketUrl && ` · ${performance.ticketUrl}`}
+            {performance.soldOut && ' · sold out'}
+            {performance.livestream && ' · livestream'}
+          </li>
+        ))}
+      </ul>
+    ),
+    address: inspected.address && (
+      <div className="mt-2 text-xs text-gray-700">
+        <p>
+          {inspected.address.city
+            ? `Reads as ${[inspected.address.city, inspected.address.state, inspected.address.zip, inspected.address.country].filter(Boolean).join(', ')}`
+            : 'No city found in this address; fill in City below'}
+        </p>
+        <button
+          type="button"
+          onClick={locate}
+          disabled={!process.env.REACT_APP_MAPBOX_TOKEN || located?.status === 'searching'}
+          className="mt-1 text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          {located?.status === 'searching' ? 'Locating...' : 'Locate on map'}
+        </button>
+        {!process.env.REACT_APP_MAPBOX_TOKEN && <span className="text-gray-500"> (needs REACT_APP_MAPBOX_TOKEN)</span>}
+        {located?.status === 'missing' && <p className="text-red-600 mt-1">The geocoder couldn't find this address.</p>}
+      </div>
+    )
+  };
+
+  return (
+    <div>
+      <button onClick={onCancel} className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ArrowLeft size={16} />
+        All entries
+      </button>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 mb-1">{initial.venue ? `Edit ${initial.venue}` : 'New show'}</h1>
+        {label && <p className="text-gray-600">{label}</p>}
+      </div>
+
+      <div className="lg:flex lg:items-start lg:gap-8">
+        <form
+          className="flex-1 min-w-0"
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(() => onSave(draft));
+          }}
+        >
+          {EDITOR_SECTIONS.map(section => (
+            <fieldset key={section.title} className="mb-6">
+              <legend className="text-lg font-semibold text-gray-900 mb-3">{section.title}</legend>
+              <div className="grid gap-4 sm:grid-cols-2">
+                {section.fields.map(field => (
+                  <AdminField
+                    key={field.key}
+                    field={field}
+                    value={draft[field.key]}
+                    issues={inspected.issues[field.key]}
+                    onChange={(value) => setField(field.key, value)}
+                  >
+                    {feedback[field.key]}
+                  </AdminField>
+                ))}
+              </div>
+              {section.title === 'Where' && located?.status === 'found' && (
+                <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+                  <p className="text-sm text-green-900 mb-2">
+                    Found at {located.lat.toFixed(6)}, {located.lng.toFixed(6)}
+                    {located.place && located.place.city ? ` in ${formatLocationLabel(located.place)}` : ''}. Is this the venue?
+                  </p>
+                  {renderMap && <div className="mb-3">{renderMap([{ ...preview, lat: located.lat, lng: located.lng }])}</div>}
+                  <div className="flex gap-3">
+                    <button type="button" onClick={useLocation} className="bg-green-600 text-white text-sm px-3 py-1.5 rounded-lg hover:bg-green-700">
+                      Use these coordinates
+                    </button>
+                    <button type="button" onClick={() => setLocated(null)} className="text-sm text-gray-600 hover:text-gray-900">
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              )}
+            </fieldset>
+          ))}
+
+          {saveError && <p className="text-sm text-red-600 mb-3">Couldn't save: {saveError}</p>}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="submit"
+              disabled={!writable || !inspected.valid || saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+              Cancel
+            </button>
+            {onDelete && (
+              <button
+                type="button"
+                disabled={!writable || saving}
+                onClick={() => {
+                  if (window.confirm('Delete this show?')) run(onDelete);
+                }}
+                className="ml-auto px-4 py-2 text-red-600 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="lg:w-96 flex-shrink-0 mt-8 lg:mt-0 lg:sticky lg:top-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Preview</h2>
+          {/* Inert: clicking the preview shouldn't leave the editor */}
+          <div inert>{renderCard(preview)}</div>
+          <button type="button" onClick={() => setModalOpen(true)} className="mt-3 text-sm text-blue-600 hover:text-blue-700">
+            Preview show details
+          </button>
+        </div>
+      </div>
+
+      {modalOpen && (
+        <>
+          <div inert>{renderModal(preview)}</div>
+          <button
+            type="button"
+            onClick={() => setModalOpen(false)}
+            className="fixed top-4 left-1/2 -translate-x-1/2 z-[110] bg-white shadow-md rounded-full px-4 py-2 text-sm font-medium text-gray-800 hover:bg-gray-50"
+          >
+            Close preview
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Admin editor at /admin: the data source's own entries (not the site's
+// processed shows), edited one at a time. `entry` is null for the list,
+// 'new', or an entry number from 1.
+// The editor lists every raw entry, embargoed shows included, so it only opens
+// on the dev server or against a local file. Preview mode doesn't count: its
+// token ships in the public bundle.
+const isAdminAvailable = (env = process.env) => (
+  env.NODE_ENV === 'development' || (env.REACT_APP_DATA_SOURCE || '').toLowerCase() === 'local'
+);
+
+const AdminEditor = ({ source, entry, onOpenEntry, onSaved, renderCard, renderModal, renderMap }) => {
+  const [records, setRecords] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const writable = typeof source.saveShows === 'function';
+
+  useEffect(() => {
+    let cancelled = false;
+    source.loadShows()
+      .then(loaded => {
+        if (!cancelled) setRecords(loaded);
+      })
+      .catch(error => {
+        if (!cancelled) setLoadError(error.message || 'Unknown error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  const save = async (next) => {
+    await source.saveShows(next);
+    setRecords(next);
+    onSaved();
+    onOpenEntry(null);
+  };
+
+  if (loadError) {
+    return <p className="text-red-600">Couldn't load shows from the data source: {loadError}</p>;
+  }
+  if (!records) {
+    return <p className="text-gray-600">Loading entries...</p>;
+  }
+
+  const readOnlyNotice = !writable && (
+    <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+      This data source is read-only. Set <code>REACT_APP_DATA_SOURCE=local</code> to edit a local JSON file, or use the
+      editor to check a show and copy it into the spreadsheet.
+    </div>
+  );
+
+  if (entry === null) {
+    return (
+      <div>
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-3">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Edit shows</h1>
+            <p className="text-gray-600">{records.length} {records.length === 1 ? 'entry' : 'entries'} in the data source</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => downloadFile('shows.json', `${JSON.stringify(records, null, 2)}\n`, 'application/json')}
+              className={CALENDAR_LINK_CLASS}
+            >
+              <Download size={14} />
+              Download JSON
+            </button>
+            <button onClick={() => onOpenEntry('new')} className="bg-blue-600 text-white text-sm px-3 py-1.5 rounded-lg hover:bg-blue-700">
+              New show
+            </button>
+          </div>
+        </div>
+        {readOnlyNotice}
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-200">
+          {records.map((record, index) => {
+            const issueCount = validateShow(record).length;
+            return (
+              <button
+                key={index}
+                onClick={() => onOpenEntry(index + 1)}
+                className="w-full text-left px-4 py-3 flex flex-wrap items-center gap-x-4 gap-y-1 hover:bg-gray-50"
+              >
+                <span className="text-xs text-gray-500 w-20">{source.describeRow(index)}</span>
+                <span className="text-sm text-gray-700 w-24">{record.show_date}</span>
+                <span className="font-medium text-gray-900 flex-1 min-w-0 truncate">{record.venue || 'Unknown venue'}</span>
+                <span className="text-sm text-gray-600">{record.group}</span>
+                {issueCount > 0 && (
+                  <span className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded-full">
+                    {issueCount} problem{issueCount !== 1 ? 's' : ''}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
   }
-  
-  // If we found city words, use them; otherwise use the original part
-  return cityWords.length > 0 ? cityWords.join(' ') : part;
+
+  const index = entry === 'new' ? records.length : entry - 1;
+  if (entry !== 'new' && !records[index]) {
+    return (
+      <div className="text-center py-12">
+        <h1 className="text-lg font-medium text-gray-900 mb-2">No such entry</h1>
+        <button onClick={() => onOpenEntry(null)} className="text-blue-600 hover:text-blue-700">Back to all entries</button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {readOnlyNotice}
+      <ShowForm
+        key={entry}
+        initial={{ ...createEmptyShow(), ...records[index] }}
+        label={entry === 'new' ? '' : source.describeRow(index)}
+        writable={writable}
+        onSave={(draft) => save(entry === 'new' ? [...records, draft] : records.map((record, i) => (i === index ? draft : record)))}
+        onDelete={entry !== 'new' && (() => save(records.filter((record, i) => i !== index)))}
+        onCancel={() => onOpenEntry(null)}
+        renderCard={renderCard}
+        renderModal={renderModal}
+        renderMap={renderMap}
+      />
+    </>
+  );
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Entries a month cell lists before "+N more" (which opens that week)
+const MONTH_CELL_ENTRIES = 3;
+
+const CalendarEntry = ({ entry, detailed, onSelect }) => {
+  const { show, performance } = entry;
+  const cancelled = getShowStatus(show) === 'cancelled';
+
+  return (
+    <button
+      onClick={() => onSelect(show)}
+      className={`w-full text-left text-xs rounded px-1.5 py-1 transition-colors ${
+        isShowPast(show) || cancelled ? 'bg-gray-100 text-gray-600 hover:bg-gray-200' : 'bg-blue-50 text-blue-900 hover:bg-blue-100'
+      }`}
+    >
+      <span className={`block truncate ${cancelled ? 'line-through' : ''}`}>
+        {performance.time && <span className="font-semibold">{performance.time} </span>}
+        {show.venue}
+      </span>
+      {detailed && (
+        <span className="block truncate text-gray-600">
+          {[formatLocationLabel(getShowLocation(show)), show.group].filter(Boolean).join(' · ')}
+        </span>
+      )}
+      {performance.livestream && (
+        <span className="inline-flex items-center gap-0.5 mt-0.5 px-1 rounded bg-red-100 text-red-700">
+          <Video size={10} />
+          Livestream
+        </span>
+      )}
+      {performance.soldOut && (
+        <span className="inline-block mt-0.5 ml-0.5 px-1 rounded bg-gray-200 text-gray-700">Sold out</span>
+      )}
+    </button>
+  );
+};
+
+// Month or week grid of the given shows, one entry per performance. `date`
+// ("2030-03-14", or empty for today) picks the month or week shown.
+const CalendarView = ({ shows, layout, date, onNavigate, onShowSelect }) => {
+  const anchor = parseInputDate(date) || new Date();
+  const weeks = getCalendarWeeks(layout, anchor);
+  const days = groupShowsByDay(shows);
+  const todayKey = toInputDate(new Date());
+  const rangeStart = toInputDate(weeks[0][0]);
+  const rangeEnd = toInputDate(weeks[weeks.length - 1][6]);
+  const dayKeys = [...days.keys()].sort();
+  const hasShowsInRange = dayKeys.some(key => key >= rangeStart && key <= rangeEnd);
+  const nextKey = dayKeys.find(key => key > rangeEnd);
+
+  const goTo = (next, nextLayout = layout) => onNavigate({ layout: nextLayout, date: toInputDate(next) });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => goTo(shiftCalendarDate(layout, anchor, -1))}
+            aria-label={`Previous ${layout}`}
+            className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <button
+            onClick={() => onNavigate({ layout, date: '' })}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => goTo(shiftCalendarDate(layout, anchor, 1))}
+            aria-label={`Next ${layout}`}
+            className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <ChevronRight size={16} />
+          </button>
+          <h2 className="text-xl font-semibold text-gray-900 ml-2">{formatCalendarTitle(layout, anchor)}</h2>
+        </div>
+
+        <div className="flex space-x-2">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              onClick={() => goTo(anchor, option)}
+              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                layout === option
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option === 'month' ? 'Month' : 'Week'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 border-t border-l border-gray-200 bg-white rounded-lg overflow-hidden">
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="border-r border-b border-gray-200 px-2 py-1 text-xs font-medium text-gray-500 bg-gray-50">
+            {weekday}
+          </div>
+        ))}
+        {weeks.flat().map(day => {
+          const key = toInputDate(day);
+          const entries = days.get(key) || [];
+          const outside = layout === 'month' && day.getMonth() !== anchor.getMonth();
+          const listed = layout === 'month' ? entries.slice(0, MONTH_CELL_ENTRIES) : entries;
+
+          return (
+            <div
+              key={key}
+              className={`border-r border-b border-gray-200 p-1 space-y-1 min-w-0 ${
+                layout === 'week' ? 'min-h-[12rem]' : 'min-h-[7rem]'
+              } ${outside ? 'bg-gray-50' : ''}`}
+            >
+              <div className={`text-xs font-medium px-1 ${
+                key === todayKey ? 'text-blue-600' : (outside ? 'text-gray-400' : 'text-gray-700')
+              }`}>
+                {layout === 'week' ? day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : day.getDate()}
+              </div>
+              {listed.map(entry => (
+                <CalendarEntry key={entry.performance.id} entry={entry} detailed={layout === 'week'} onSelect={onShowSelect} />
+              ))}
+              {entries.length > listed.length && (
+                <button onClick={() => goTo(day, 'week')} className="w-full text-left text-xs px-1.5 text-blue-600 hover:text-blue-700">
+                  +{entries.length - listed.length} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {!hasShowsInRange && (
+        <div className="text-center py-8">
+          <p className="text-gray-600 mb-2">No shows this {layout}.</p>
+          {nextKey && (
+            <button onClick={() => goTo(parseInputDate(nextKey))} className="text-blue-600 hover:text-blue-700">
+              Jump to the next show ({parseInputDate(nextKey).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })})
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SEARCH_HINT = 'Narrow it down with venue:, city:, country:, group:, player:, type:, before: or after: (e.g. player:"ana ruiz" after:2030-01-01)';
+
+// Marks the parts of `text` that matched the search
+const Highlight = ({ text, query, field }) => {
+  const ranges = getHighlightRanges(text, query, field);
+  if (ranges.length === 0) return text || null;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="bg-yellow-200 text-inherit rounded-sm">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return parts;
+};
+
+// JSON-LD can sit anywhere in the page; React 19 hoists the <title> and
+// <meta> tags into <head> and removes them again on unmount
+const StructuredData = ({ data }) => (
+  <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: serializeJsonLd(data) }} />
+);
+
+const getShowUrl = (show) => buildAbsoluteUrl(buildPath({ type: 'show', showId: show.id }));
+
+const ShowMetadata = ({ show }) => {
+  const pageUrl = getShowUrl(show);
+  const meta = buildShowMeta(show, { pageUrl });
+
+  return (
+    <>
+      <title>{meta.title}</title>
+      <link rel="canonical" href={pageUrl} />
+      {meta.tags.map(tag => (
+        <meta key={tag.property || tag.name} {...tag} />
+      ))}
+      <StructuredData data={buildMusicEvents(show, { pageUrl })} />
+    </>
+  );
+};
+
+const CALENDAR_LINK_CLASS = 'inline-flex items-center gap-1 border border-gray-300 text-gray-700 text-sm px-3 py-1.5 rounded-lg hover:bg-gray-50 transition-colors';
+
+// One row per performance: an .ics file plus Google/Outlook links, all built
+// from the same events
+const AddToCalendar = ({ show }) => {
+  const events = buildShowEvents(show, { pageUrl: getShowUrl(show) });
+
+  return (
+    <div className="mb-6">
+      <h3 className="font-semibold text-gray-900 mb-3">Add to Calendar</h3>
+      <div className="space-y-2">
+        {events.map(event => (
+          <div key={event.uid} className="flex flex-wrap items-center gap-2">
+            {events.length > 1 && (
+              <span className="text-sm font-medium text-gray-700 w-20">{event.performanceTime}</span>
+            )}
+            <button
+              onClick={() => downloadFile(`${event.uid.split('@')[0]}.ics`, buildCalendar([event], { name: event.title }), 'text/calendar')}
+              className={CALENDAR_LINK_CLASS}
+            >
+              <Download size={14} />
+              .ics
+            </button>
+            <a href={googleCalendarUrl(event)} target="_blank" rel="noopener noreferrer" className={CALENDAR_LINK_CLASS}>
+              Google
+            </a>
+            <a href={outlookCalendarUrl(event)} target="_blank" rel="noopener noreferrer" className={CALENDAR_LINK_CLASS}>
+              Outlook
+            </a>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Feeds are only there when the deploy runs `npm run build:calendar`
+const CALENDAR_FEEDS_ENABLED = process.env.REACT_APP_CALENDAR_FEEDS === 'true';
+
+const getFeedUrl = (filter) => {
+  const [kind, slug] = filter.split(':');
+  const file = kind === 'group' ? `calendar/groups/${slug}.ics`
+    : kind === 'venue' ? `calendar/venues/${slug}.ics`
+    : 'calendar.ics';
+  return buildAbsoluteUrl(`/${file}`).replace(/^https?:/, 'webcal:');
+};
+
+// Whole-calendar export of upcoming shows, optionally for one group or venue
+const CalendarExport = ({ shows }) => {
+  const [filter, setFilter] = useState('all');
+
+  const groups = new Map();
+  const venues = new Map();
+  shows.forEach(show => {
+    if (show.group) groups.set(slugify(show.group), show.group);
+    venues.set(slugify(show.venue), show.venue);
+  });
+  const sortByName = (entries) => [...entries].sort((a, b) => a[1].localeCompare(b[1]));
+
+  const [kind, slug] = filter.split(':');
+  const selected = selectCalendarShows(shows, { group: kind === 'group' ? slug : '', venue: kind === 'venue' ? slug : '' });
+  const name = kind === 'group' ? groups.get(slug) : kind === 'venue' ? venues.get(slug) : 'Classical Trombone Shows';
+
+  const download = () => {
+    const calendar = buildShowsCalendar(selected, {
+      name,
+      pageUrlFor: getShowUrl
+    });
+    downloadFile(`${filter === 'all' ? 'shows' : slug}.ics`, calendar, 'text/calendar');
+  };
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center gap-2">
+      <CalendarPlus size={16} className="text-gray-500" />
+      <select
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        aria-label="Calendar to export"
+        className="border border-gray-300 rounded-lg text-sm px-2 py-1.5"
+      >
+        <option value="all">All upcoming shows</option>
+        {groups.size > 0 && (
+          <optgroup label="Groups">
+            {sortByName(groups).map(([groupSlug, groupName]) => (
+              <option key={groupSlug} value={`group:${groupSlug}`}>{groupName}</option>
+            ))}
+          </optgroup>
+        )}
+        <optgroup label="Venues">
+          {sortByName(venues).map(([venueSlug, venueName]) => (
+            <option key={venueSlug} value={`venue:${venueSlug}`}>{venueName}</option>
+          ))}
+        </optgroup>
+      </select>
+      <button onClick={download} disabled={selected.length === 0} className={`${CALENDAR_LINK_CLASS} disabled:opacity-50`}>
+        <Download size={14} />
+        Download .ics ({selected.length})
+      </button>
+      {CALENDAR_FEEDS_ENABLED && (
+        <a href={getFeedUrl(filter)} className={CALENDAR_LINK_CLASS}>
+          <Calendar size={14} />
+          Subscribe
+        </a>
+      )}
+    </div>
+  );
+};
+
+const REPLAY_LINK_CLASS = 'inline-flex items-center gap-1 bg-gray-800 text-white text-sm px-4 py-2 rounded-lg hover:bg-gray-900 transition-colors font-medium whitespace-nowrap';
+
+const showTitle = (show) => (show.group ? `${show.group} at ${show.venue}` : show.venue);
+
+// One streamed performance: when it starts on the viewer's clock, then a
+// countdown, LIVE NOW while it runs, or why it won't stream
+const LivestreamRow = ({ stream, now, onShowSelect }) => {
+  const { show, performance, start } = stream;
+  const state = getStreamState(stream, now);
+  const status = getShowStatus(show);
+  const off = status === 'cancelled' || status === 'postponed';
+
+  return (
+    <li className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-wrap items-center gap-4">
+      <div className="flex-1 min-w-[12rem]">
+        <button onClick={() => onShowSelect(show)} className="text-left font-semibold text-gray-900 hover:text-blue-600">
+          {showTitle(show)}
+        </button>
+        <p className="text-sm text-gray-600">
+          {start ? formatStreamStart(start, now) : `${formatDate(show.show_date)} • Time to be announced`}
+        </p>
+      </div>
+      {off && <StatusNotice show={show} />}
+      {!off && state === 'live' && (
+        <span className="bg-red-600 text-white text-xs font-bold px-2 py-1 rounded-full animate-pulse">LIVE NOW</span>
+      )}
+      {!off && state === 'upcoming' && start && (
+        <span className="text-sm text-gray-700 tabular-nums whitespace-nowrap">Starts in {formatCountdown(start - now)}</span>
+      )}
+      {!off && (
+        <a
+          href={performance.livestreamUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-center gap-1 bg-red-600 text-white text-sm px-4 py-2 rounded-lg hover:bg-red-700 transition-colors font-medium"
+        >
+          <Video size={14} />
+          {state === 'live' ? 'Watch now' : 'Stream'}
+        </a>
+      )}
+    </li>
+  );
+};
+
+// Streamed shows: what's live, what's coming up, and replays of finished ones.
+// The clock ticks every second so countdowns and live states stay current.
+const LivestreamHub = ({ shows, onShowSelect }) => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const streams = useMemo(() => getStreams(shows), [shows]);
+  const live = streams.filter(stream => getStreamState(stream, now) === 'live');
+  const upcoming = streams.filter(stream => getStreamState(stream, now) === 'upcoming');
+  const replays = getReplays(shows, now);
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Livestreams</h1>
+        <p className="text-gray-600">Times are in your time zone</p>
+      </div>
+
+      {live.length > 0 && (
+        <section className="mb-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Live now</h2>
+          <ul className="space-y-3">
+            {live.map(stream => (
+              <LivestreamRow key={stream.performance.id} stream={stream} now={now} onShowSelect={onShowSelect} />
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="mb-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-3">Coming up</h2>
+        {upcoming.length === 0 ? (
+          <p className="text-gray-600">No livestreams scheduled right now.</p>
+        ) : (
+          <ul className="space-y-3">
+            {upcoming.map(stream => (
+              <LivestreamRow key={stream.performance.id} stream={stream} now={now} onShowSelect={onShowSelect} />
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {replays.length > 0 && (
+        <section>
+          <h2 className="text-xl font-semibold text-gray-900 mb-3">Replays</h2>
+          <ul className="space-y-3">
+            {replays.map(show => (
+              <li key={show.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-wrap items-center gap-4">
+                <div className="flex-1 min-w-[12rem]">
+                  <button onClick={() => onShowSelect(show)} className="text-left font-semibold text-gray-900 hover:text-blue-600">
+                    {showTitle(show)}
+                  </button>
+                  <p className="text-sm text-gray-600">{formatDate(show.show_date)}</p>
+                </div>
+                <a href={show.replay_url} target="_blank" rel="noopener noreferrer" className={REPLAY_LINK_CLASS}>
+                  <PlayCircle size={14} />
+                  Watch replay
+                </a>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+// Geocoding fills in city/region/country for addresses the text parser can't
+// read, and coordinates once near-me wants distances; rows with their own
+// lat/lng are never looked up, and the map geocodes for itself. It runs in the
+// background and is dropped if a newer list has replaced this one meanwhile.
+const needsLocating = (show, wantDistances) => (
+  !getShowCoordinates(show) && (wantDistances || !parseAddress(show.address).city)
+);
+
+const locateShows = (list, setShows, wantDistances) => {
+  const pending = list.filter(show => needsLocating(show, wantDistances));
+  if (pending.length === 0) return;
+  geocodeShows(pending)
+    .then(located => {
+      // Addresses the geocoder can't place come back unchanged
+      const placed = new Map(pending.map((show, index) => [show, located[index]]).filter(([show, result]) => result !== show));
+      if (placed.size === 0) return;
+      setShows(current => (current === list ? list.map(show => placed.get(show) || show) : current));
+    })
+    .catch(error => console.warn('Could not geocode shows:', error.message));
 };
 
-  const isShowVisible = (show) => {
-    if (!show.launch_date) return true;
-    const launchDate = parseDate(show.launch_date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return launchDate <= today;
+const SHOW_VIEWS = ['upcoming', 'past', 'map', 'calendar'];
+// View highlighted in the header for each full-page route
+const PAGE_VIEWS = { performer: 'performers', group: 'groups', venue: 'venues', admin: 'admin' };
+
+const ShowsTracker = () => {
+  const [shows, setShows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [location, navigate] = useHistoryLocation();
+  const { route } = location;
+  const [rejectedRows, setRejectedRows] = useState([]);
+  const [staleSince, setStaleSince] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [userTimezone, setUserTimezone] = useState('');
+  const [previewMode, setPreviewMode] = useState(() => readPreviewMode());
+  const [nearMe, setNearMeState] = useState(() => readNearMe());
+  const distanceUnit = useMemo(() => getDistanceUnit(), []);
+  const SHOWS_PER_PAGE = 30;
+
+  useEffect(() => {
+    // Get user's timezone
+    setUserTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    loadShows();
+  }, []);
+
+  // Each new list (a load, or rows the geocoder just placed) is checked again;
+  // turning near-me on also looks up the rows it can't measure yet
+  const wantDistances = !!nearMe;
+  useEffect(() => {
+    locateShows(shows, setShows, wantDistances);
+  }, [shows, wantDistances]);
+
+  // Keep the preview token out of links copied from the address bar
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).has('preview')) {
+      navigate(buildPath(route), { replace: true, state: location.state });
+    }
+  }, [route, navigate, location.state]);
+
+  const loadShows = async () => {
+    try {
+      const source = createDataSource();
+      const loadedShows = await source.loadShows();
+      const { valid: validShows, rejected } = partitionShows(loadedShows, source.describeRow);
+      const valid = assignShowIds(validShows);
+
+      console.log('Loaded shows:', valid);
+      if (rejected.length > 0) {
+        console.warn(`${rejected.length} row(s) failed validation:`, rejected);
+      }
+      setShows(valid);
+      setRejectedRows(rejected);
+      setStaleSince(null);
+      setLoadError(null);
+      saveShowCache({ shows: valid, rejectedRows: rejected });
+    } catch (error) {
+      console.error('Error loading shows:', error);
+      console.error('Error details:', error.response?.data);
+
+      // Serve the last good dataset, flagged as stale, rather than nothing
+      const cached = loadShowCache();
+      if (cached) {
+        const cachedShows = assignShowIds(cached.shows);
+        setShows(cachedShows);
+        setRejectedRows(cached.rejectedRows);
+        setStaleSince(cached.savedAt);
+        setLoadError(null);
+      } else {
+        setLoadError(error.message || 'Unknown error');
+      }
+    } finally {
+      setLoading(false);
+      setRetrying(false);
+    }
   };
 
-  const isShowPast = (show) => {
-    const showDate = parseDate(show.show_date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return showDate < today;
+  const retryLoadShows = () => {
+    setRetrying(true);
+    loadShows();
   };
 
-  const visibleShows = shows.filter(isShowVisible);
+  // Preview mode lists embargoed shows too
+  const visibleShows = useMemo(() => (
+    previewMode ? shows : shows.filter(show => isShowVisible(show))
+  ), [shows, previewMode]);
+  const launchSchedule = previewMode ? getLaunchSchedule(shows) : [];
+
+  const leavePreview = () => {
+    exitPreviewMode();
+    setPreviewMode(false);
+  };
   
   const upcomingShows = visibleShows
     .filter(show => !isShowPast(show))
     .sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date));
   
   const pastShows = visibleShows
-    .filter(isShowPast)
+    .filter(show => isShowPast(show))
     .sort((a, b) => parseDate(b.show_date) - parseDate(a.show_date));
 
-  const filteredUpcomingShows = upcomingShows.filter(show => {
-    const addressInfo = parseAddress(show.address);
-    return (
-      show.venue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      show.address.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      addressInfo.city.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      addressInfo.state.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      show.group.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      show.lineup.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      show.show_type.toLowerCase().includes(searchTerm.toLowerCase())
-    );
-  });
+  // Everything navigational lives in the URL. Modals (/shows/<id>,
+  // /venues/<slug>) render over the view they were opened from, which is kept
+  // in history state; links opened directly fall back to the matching list.
+  const selectedShow = route.type === 'show'
+    ? visibleShows.find(show => show.id === route.showId) || null
+    : null;
+  const defaultBackground = selectedShow && isShowPast(selectedShow) ? '/past' : '/';
+  // Performer, group and venue pages replace the view, like a view does
+  const isPage = route.type === 'view' || !!PAGE_VIEWS[route.type];
+  const backgroundPath = isPage ? location.path : (location.state.background || defaultBackground);
+  const baseRoute = isPage ? route : parsePath(backgroundPath);
+
+  const currentView = PAGE_VIEWS[baseRoute.type] || baseRoute.view;
+  const showsFacets = SHOW_VIEWS.includes(currentView);
+  const searchTerm = showsFacets ? baseRoute.q || '' : '';
+  const upcomingPage = currentView === 'upcoming' ? baseRoute.page : 1;
+  const pastPage = currentView === 'past' ? baseRoute.page : 1;
+  const mapFilter = currentView === 'map' ? baseRoute.filter : 'upcoming';
+
+  // Facet filters stay put when switching between views
+  const filters = baseRoute.filters || EMPTY_FILTERS;
+
+  const setCurrentView = (view) => {
+    navigate(buildPath(SHOW_VIEWS.includes(view) ? { type: 'view', view, q: searchTerm, filters } : { type: 'view', view }));
+  };
 
-  // Helper function to check if search term exists in other section
-  const searchExistsInUpcoming = (searchTerm) => {
-    if (!searchTerm) return false;
-    return upcomingShows.some(show => {
-      const addressInfo = parseAddress(show.address);
-      return (
-        show.venue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.address.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        addressInfo.city.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        addressInfo.state.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.group.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.lineup.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    	show.show_type.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    });
+  const openPerformer = (slug) => {
+    navigate(buildPath({ type: 'performer', performerSlug: slug }));
   };
 
-  const searchExistsInPast = (searchTerm) => {
-    if (!searchTerm) return false;
-    return pastShows.some(show => {
-      const addressInfo = parseAddress(show.address);
-      return (
-        show.venue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.address.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        addressInfo.city.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        addressInfo.state.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.group.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.lineup.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        show.show_type.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    });
+  const openGroup = (slug) => {
+    navigate(buildPath({ type: 'group', groupSlug: slug }));
   };
 
-  const filteredPastShows = pastShows.filter(show => {
-  const addressInfo = parseAddress(show.address);
-  return (
-    show.venue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    show.address.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    addressInfo.city.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    addressInfo.state.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    show.group.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    show.lineup.toLowerCase().includes(searchTerm.toLowerCase()) ||
-       show.show_type.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-});
-
-  const formatDate = (dateString) => {
-    const date = parseDate(dateString);
-    return date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+  // Search box of the performer and group directories
+  const setDirectoryQuery = (q) => {
+    navigate(buildPath({ ...baseRoute, q }), { replace: true });
+  };
+
+  // Typing shouldn't leave a history entry per keystroke
+  const setSearchTerm = (q) => {
+    navigate(buildPath({ ...baseRoute, q, page: 1 }), { replace: true });
+  };
+
+  const setFilters = (next) => {
+    navigate(buildPath({ ...baseRoute, page: 1, filters: next }));
+  };
+
+  const setPage = (update) => {
+    const page = typeof update === 'function' ? update(baseRoute.page) : update;
+    navigate(buildPath({ ...baseRoute, page }));
+  };
+
+  const setCalendarRange = ({ layout, date }) => {
+    navigate(buildPath({ ...baseRoute, layout, date }));
+  };
+
+  const setNearMe = (next) => {
+    saveNearMe(next);
+    setNearMeState(next);
+    // The list reorders, so start it from the top
+    if (currentView === 'upcoming' && upcomingPage > 1) setPage(1);
+  };
+
+  const setMapFilter = (filter) => {
+    navigate(buildPath({ type: 'view', view: 'map', filter, filters }));
+  };
+
+  const openShow = (show) => {
+    navigate(buildPath({ type: 'show', showId: show.id }), {
+      state: { background: backgroundPath }
     });
   };
 
-  const convertToUserTimezone = (showTime, address) => {
-    // TODO: Implement actual timezone conversion
-    // This is a placeholder that simulates timezone conversion
-     if (userTimezone === 'America/New_York') return null; // Same timezone
-     if (userTimezone === 'America/Los_Angeles') return '4:00pm PST in your time zone';
-     if (userTimezone === 'Europe/London') return '1:00am GMT, Saturday the 16th in your time zone';
-     return null;
-};
+  // Any of the venue's shows identifies it
+  const openVenue = (show, filter = 'all') => {
+    navigate(buildPath({ type: 'venue', venueSlug: venueIndex.getSlug(show), filter }));
+  };
+
+  const setVenueFilter = (filter) => {
+    navigate(buildPath({ ...baseRoute, filter }), { replace: true });
+  };
+
+  const openAdminEntry = (entry) => {
+    navigate(buildPath({ type: 'admin', entry }));
+  };
+
+  const setVenueSort = (sort) => {
+    navigate(buildPath({ ...baseRoute, sort }), { replace: true });
+  };
+
+  // Modals opened in the app close with a history step back, so the browser's
+  // back button and the close button agree
+  const closeModal = () => {
+    if (location.state.background) {
+      window.history.back();
+    } else {
+      navigate(backgroundPath, { replace: true });
+    }
+  };
+
+  // Near me sorts upcoming shows by distance and keeps those within the radius
+  const nearRadiusKm = nearMe && nearMe.radius !== null ? toKilometres(nearMe.radius, distanceUnit) : null;
+  const mapNearMe = useMemo(() => (
+    nearMe ? { origin: nearMe.origin, radiusKm: nearRadiusKm } : null
+  ), [nearMe, nearRadiusKm]);
+
+  // The editor works on the source's own entries, loaded when it opens
+  const adminAvailable = isAdminAvailable();
+  const adminSource = useMemo(() => (
+    route.type === 'admin' && adminAvailable ? createDataSource() : null
+  ), [route.type, adminAvailable]);
+
+  // Indexed once per dataset; each keystroke only scores the shows
+  const searchIndex = useMemo(() => createSearchIndex(shows), [shows]);
+  const performerIndex = useMemo(() => createPerformerIndex(visibleShows), [visibleShows]);
+  const venueIndex = useMemo(() => createVenueIndex(visibleShows), [visibleShows]);
+  const groupIndex = useMemo(() => (
+    createGroupIndex(visibleShows, { performerSlug: performerIndex.getSlug })
+  ), [visibleShows, performerIndex]);
+  const searchQuery = useMemo(() => parseSearchQuery(searchTerm), [searchTerm]);
+  const matchingUpcomingShows = searchIndex.filter(upcomingShows, searchQuery);
+  const searchedUpcomingShows = nearMe
+    ? sortByDistance(matchingUpcomingShows, nearMe.origin, nearRadiusKm)
+    : matchingUpcomingShows;
+  // Shows the geocoder hasn't placed (yet) have no distance
+  const unlocatedCount = nearMe
+    ? matchingUpcomingShows.filter(show => getShowDistance(show, nearMe.origin) === null).length
+    : 0;
+  const searchedPastShows = searchIndex.filter(pastShows, searchQuery);
+  const filteredUpcomingShows = applyFilters(searchedUpcomingShows, filters);
+  const filteredPastShows = applyFilters(searchedPastShows, filters);
+  const filtersActive = hasActiveFilters(filters);
+  // The calendar spans past and upcoming shows
+  const searchedCalendarShows = currentView === 'calendar' ? searchIndex.filter(visibleShows, searchQuery) : [];
+  const filteredCalendarShows = applyFilters(searchedCalendarShows, filters);
+
+  // Facet counts are for whatever the current view lists before faceting
+  const mapFilterShows = { upcoming: upcomingShows, past: pastShows }[mapFilter] || visibleShows;
+  const mapShows = nearRadiusKm !== null
+    ? mapFilterShows.filter(show => isWithinRadius(show, nearMe.origin, nearRadiusKm))
+    : mapFilterShows;
+  const facetBase = { upcoming: searchedUpcomingShows, past: searchedPastShows, map: mapShows, calendar: searchedCalendarShows }[currentView];
+  const facetCounts = showsFacets ? countFacets(facetBase, filters) : null;
+  const facetResultCount = {
+    upcoming: filteredUpcomingShows,
+    past: filteredPastShows,
+    map: applyFilters(mapShows, filters),
+    calendar: filteredCalendarShows
+  }[currentView]?.length;
+
+  // Whether the other list has results worth pointing to
+  const searchExistsInUpcoming = (!!searchTerm || filtersActive) && filteredUpcomingShows.length > 0;
+  const searchExistsInPast = (!!searchTerm || filtersActive) && filteredPastShows.length > 0;
+
+  // Describe a venue-local show time in the viewer's zone, or null if there's
+  // nothing to convert (same zone, unknown venue zone, unparsable time).
+  const convertToUserTimezone = (show, showTime) => {
+    return convertShowTime(show.show_date, showTime, getVenueTimezone(show), userTimezone);
+  };
 
 
   const getPaginatedShows = (showsList, currentPage) => {
@@ -941,59 +2488,11 @@ const extractCityFromPart = (part) => {
     return Math.ceil(showsList.length / SHOWS_PER_PAGE);
   };
 
-  const parseLineup = (lineupString) => {
-    if (!lineupString) return [];
-    
-    return lineupString.split('::').map(person => {
-      const trimmed = person.trim();
-      if (!trimmed) return null;
-      
-      let name = '';
-      let instrument = '';
-      let instagramLink = null;
-      let websiteLink = null;
-      
-      // Extract instrument (anything in parentheses)
-      const instrumentMatch = trimmed.match(/\(([^)]+)\)/);
-      if (instrumentMatch) {
-        instrument = instrumentMatch[1].trim();
-      }
-      
-      // Extract Instagram handle
-      const instagramMatch = trimmed.match(/@(\w+)/);
-      if (instagramMatch) {
-        instagramLink = `https://www.instagram.com/${instagramMatch[1]}`;
-      }
-      
-      // Extract website - flexible patterns
-      const websiteMatch = trimmed.match(/(https?:\/\/\S+|www\.\S+|\S+\.(com|net|org|edu|gov|io|co|me|info|biz|tv|fm|ly|gg|xyz|dev|app|blog|music|band|studio|art)\b\S*)/i);
-      if (websiteMatch) {
-        let website = websiteMatch[1];
-        // Add https:// if it doesn't have a protocol
-        if (!website.match(/^https?:\/\//)) {
-          website = 'https://' + website;
-        }
-        websiteLink = website;
-      }
-      
-      // Extract name (everything else, cleaned up)
-      name = trimmed
-        .replace(/\([^)]+\)/g, '') // Remove instrument
-        .replace(/@\w+/g, '') // Remove Instagram handles
-        .replace(/https?:\/\/\S+|www\.\S+|\S+\.(com|net|org|edu|gov|io|co|me|info|biz|tv|fm|ly|gg|xyz|dev|app|blog|music|band|studio|art)\b\S*/gi, '') // Remove websites
-        .trim();
-      
-      return {
-        name,
-        instrument,
-        instagramLink,
-        websiteLink
-      };
-    }).filter(person => person !== null && person.name !== '');
-  };
-  const ShowModal = ({ show, onClose, onBackToVenue, showBackToVenue }) => {
+  const ShowModal = ({ show, onClose }) => {
   const lineup = parseLineup(show.lineup);
   const showTimes = parseShowTimes(show.show_time);
+  const performances = getPerformances(show);
+  const tickets = getTicketInfo(show);
   
   return (
     <div 
@@ -1024,84 +2523,92 @@ const extractCityFromPart = (part) => {
           >
             <X size={20} />
           </button>
-          {showBackToVenue && (
-            <button
-              onClick={() => onBackToVenue()}
-              className="absolute top-4 right-16 bg-white bg-opacity-90 rounded-full p-2 hover:bg-opacity-100 transition-all flex items-center gap-1 px-3"
-            >
-              <ArrowLeft size={16} />
-              <span className="text-sm">Back to Venue</span>
-            </button>
-          )}
         </div>
         
         <div className="p-6">
           <div className="mb-4">
-            <h2 className="text-2xl font-bold text-gray-900 mb-2">{show.venue}</h2>
-            <p className="text-lg text-gray-600 mb-1">{show.group}</p>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">
+              <button onClick={() => openVenue(show)} className="text-left hover:text-blue-600">{show.venue}</button>
+            </h2>
+            {show.group && (
+              <button
+                onClick={() => openGroup(createGroupSlug(show.group))}
+                className="block text-lg text-gray-600 hover:text-blue-600 mb-1"
+              >
+                {show.group}
+              </button>
+            )}
             <p className="text-gray-600">
               {formatDate(show.show_date)} • {showTimes.length > 1 ? showTimes.join(', ') : show.show_time}
             </p>
             <p className="text-gray-600">{show.address}</p>
+            <div className="mt-2 flex flex-wrap gap-1"><StatusNotice show={show} /><TicketBadges show={show} /></div>
+            {previewMode && isEmbargoed(show) && <div className="mt-2"><EmbargoBadge show={show} /></div>}
             {show.capacity && (
               <p className="text-sm text-gray-500 mt-1">Capacity: {show.capacity}</p>
             )}
           </div>
 
-          {/* Display showtimes - consistent format for single and multiple */}
+          {/* One row per performance, each with its own tickets and stream */}
           <div className="mb-6">
             <h3 className="font-semibold text-gray-900 mb-3">
-              {showTimes.length > 1 ? 'Showtimes' : 'Showtime'}
+              {performances.length > 1 ? 'Performances' : 'Showtime'}
             </h3>
-            <div className={showTimes.length > 1 ? "grid grid-cols-2 gap-3" : "grid grid-cols-1 gap-3 max-w-xs"}>
-              {showTimes.length > 1 ? (
-                showTimes.map((time, index) => (
-                  <div 
-                    key={index} 
-                    className={`bg-gray-50 p-3 rounded-lg text-center ${
-                      show.ticket_url && show.ticket_url.trim() !== '' 
-                        ? 'cursor-pointer hover:bg-gray-100 transition-colors' 
-                        : ''
-                    }`}
-                    onClick={() => {
-                      if (show.ticket_url && show.ticket_url.trim() !== '') {
-                        window.open(show.ticket_url, '_blank', 'noopener,noreferrer');
-                      }
-                    }}
-                  >
-                    <p className="font-medium">{time}</p>
-                    {show.livestream_ticket_url && (
-		
+            <div className="space-y-2">
+              {performances.map(performance => (
+                <div key={performance.id} className="flex flex-wrap items-center gap-3 bg-gray-50 p-3 rounded-lg">
+                  <div className="flex-1 min-w-[8rem]">
+                    <p className="font-medium">{performance.time || 'Time to be announced'}</p>
+                    {performance.livestream && performance.time && (
                       <p className="text-sm text-gray-600 mt-1">
-                        Stream: {convertToUserTimezone(time, show.address) || time}
+                        Stream: {convertToUserTimezone(show, performance.time) || performance.time}
                       </p>
                     )}
                   </div>
-                ))
-              ) : (
-                <div 
-                  className={`bg-gray-50 p-3 rounded-lg text-center ${
-                    show.ticket_url && show.ticket_url.trim() !== '' 
-                      ? 'cursor-pointer hover:bg-gray-100 transition-colors' 
-                      : ''
-                  }`}
-                  onClick={() => {
-                    if (show.ticket_url && show.ticket_url.trim() !== '') {
-                      window.open(show.ticket_url, '_blank', 'noopener,noreferrer');
-                    }
-                  }}
-                >
-                  <p className="font-medium">{show.show_time}</p>
-                  {show.livestream_ticket_url && (
-                    <p className="text-sm text-gray-600 mt-1">
-                      Stream: {convertToUserTimezone(show.show_time, show.address) || show.show_time}
-                    </p>
+                  {performance.soldOut && (
+                    <span className="bg-gray-200 text-gray-700 text-xs font-semibold px-2 py-1 rounded-full">SOLD OUT</span>
+                  )}
+                  {performance.livestream && (
+                    <span className="bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full flex items-center gap-1">
+                      <Video size={12} />
+                      LIVESTREAM
+                    </span>
+                  )}
+                  {performances.length > 1 && tickets.canBuy && !performance.soldOut && performance.ticketUrl && (
+                    <a
+                      href={performance.ticketUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      aria-label={`Tickets for ${performance.time}`}
+                      className="bg-blue-600 text-white text-sm px-3 py-1.5 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                    >
+                      Tickets
+                    </a>
+                  )}
+                  {performances.length > 1 && performance.livestreamUrl && (
+                    <a
+                      href={performance.livestreamUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      aria-label={`Livestream of ${performance.time}`}
+                      className="bg-red-600 text-white text-sm px-3 py-1.5 rounded-lg hover:bg-red-700 transition-colors font-medium"
+                    >
+                      Stream
+                    </a>
                   )}
                 </div>
-              )}
+              ))}
             </div>
           </div>
 
+          {!isShowPast(show) && getShowStatus(show) !== 'cancelled' && <AddToCalendar show={show} />}
+          {isShowPast(show) && show.replay_url && (
+            <a href={show.replay_url} target="_blank" rel="noopener noreferrer" className={`${REPLAY_LINK_CLASS} mb-6`}>
+              <PlayCircle size={14} />
+              Watch replay
+            </a>
+          )}
+
           {show.show_description && (
             <div className="mb-6">
               <h3 className="font-semibold text-gray-900 mb-2">About the Show</h3>
@@ -1115,21 +2622,28 @@ const extractCityFromPart = (part) => {
               <div className="space-y-2">
                 {lineup.map((member, index) => (
                   <div key={index} className="flex items-center space-x-2">
-                    {member.instagramLink ? (
-                      <a 
-                        href={member.instagramLink}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-blue-600 hover:text-blue-800 font-medium"
-                      >
-                        {member.name}
-                      </a>
-                    ) : (
-                      <span className="font-medium">{member.name}</span>
-                    )}
+                    <button
+                      onClick={() => openPerformer(performerIndex.getSlug(member.name))}
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      {member.name}
+                    </button>
                     {member.instrument && (
                       <span className="text-gray-600">({member.instrument})</span>
                     )}
+                    {member.instagramLink && (
+                      <>
+                        <span className="text-gray-400">-</span>
+                        <a 
+                          href={member.instagramLink}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:text-blue-800 text-sm"
+                        >
+                          instagram
+                        </a>
+                      </>
+                    )}
                     {member.websiteLink && (
                       <>
                         <span className="text-gray-400">-</span>
@@ -1148,38 +2662,61 @@ const extractCityFromPart = (part) => {
               </div>
             </div>
           )}
-
-          <div className="flex flex-col sm:flex-row gap-3">
-            {show.ticket_url && show.ticket_url.trim() !== '' && (
-              <a href={show.ticket_url}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="flex-1 bg-blue-600 text-white text-center py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium inline-block"
-              >
-                {showTimes.length > 1 ? 'Get Tickets (All Shows)' : 'Get Tickets'}
-              </a>
-            )}
-            
-            {show.livestream_ticket_url && show.livestream_ticket_url.trim() !== '' && (
-              <a href={show.livestream_ticket_url}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="flex-1 bg-red-600 text-white text-center py-3 px-4 rounded-lg hover:bg-red-700 transition-colors font-medium flex items-center justify-center gap-2"
-              >
-                <Video size={20} />
-                {showTimes.length > 1 ? 'Livestream (All Shows)' : 'Livestream'}
-              </a>
-            )}
-          </div>
+
+          {/* Performances with several times carry their own buttons above */}
+          {performances.length === 1 && (
+            <div className="flex flex-col sm:flex-row gap-3">
+              {tickets.onSaleDate ? (
+                <span className="flex-1 bg-gray-100 text-gray-700 text-center py-3 px-4 rounded-lg font-medium">
+                  {formatOnSaleDate(tickets.onSaleDate)}
+                </span>
+              ) : !tickets.canBuy || performances[0].soldOut ? (
+                <span className="flex-1 bg-gray-200 text-gray-600 text-center py-3 px-4 rounded-lg font-medium">
+                  {tickets.label || 'Sold Out'}
+                </span>
+              ) : performances[0].ticketUrl && (
+                <a href={performances[0].ticketUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 bg-blue-600 text-white text-center py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors font-medium inline-block"
+                >
+                  Get Tickets
+                </a>
+              )}
+
+              {performances[0].livestreamUrl && (
+                <a href={performances[0].livestreamUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 bg-red-600 text-white text-center py-3 px-4 rounded-lg hover:bg-red-700 transition-colors font-medium flex items-center justify-center gap-2"
+                >
+                  <Video size={20} />
+                  Livestream
+                </a>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
-  const VenueModal = ({ venue, shows, onClose, onShowSelect, defaultFilter = 'all' }) => {
-  const [venueShowFilter, setVenueShowFilter] = useState(defaultFilter);
+  // A venue's address, map and show history, split into upcoming and past
+  // by the page's ?filter
+  const VenuePage = ({ venue, filter: venueShowFilter, onFilterChange: setVenueShowFilter, onShowSelect, onBack, renderMap }) => {
+  if (!venue) {
+    return (
+      <div className="text-center py-12">
+        <MapPin size={48} className="mx-auto text-gray-400 mb-4" />
+        <h1 className="text-lg font-medium text-gray-900 mb-2">Venue not found</h1>
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-700">Browse all venues</button>
+      </div>
+    );
+  }
+
+  const { shows } = venue;
   
-  // Filter shows based on venue modal filter
+  // Filter shows based on the venue page filter
   const getVenueFilteredShows = () => {
     if (venueShowFilter === 'upcoming') {
       return shows.filter(show => !isShowPast(show));
@@ -1194,7 +2731,7 @@ const extractCityFromPart = (part) => {
   const pastCount = shows.filter(show => isShowPast(show)).length;
 
   // Sort shows by date (upcoming shows first, then past shows in reverse chronological order)
-  const sortedShows = filteredShows.sort((a, b) => {
+  const sortedShows = [...filteredShows].sort((a, b) => {
     const dateA = parseDate(a.show_date);
     const dateB = parseDate(b.show_date);
     const isPastA = isShowPast(a);
@@ -1211,28 +2748,26 @@ const extractCityFromPart = (part) => {
   });
   
   return (
-    <div 
-      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
-      onClick={onClose}
-    >
-      <div 
-        className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto"
-        onClick={(e) => e.stopPropagation()}
-      >
+    <div>
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ArrowLeft size={16} />
+        All venues
+      </button>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="p-6">
-          <div className="flex items-center justify-between mb-6">
-            <div>
-              <h2 className="text-2xl font-bold text-gray-900 mb-1">{venue}</h2>
-              <p className="text-gray-600">{shows.length} show{shows.length !== 1 ? 's' : ''} at this venue</p>
-            </div>
-            <button
-              onClick={onClose}
-              className="bg-gray-100 hover:bg-gray-200 rounded-full p-2 transition-colors"
-            >
-              <X size={20} />
-            </button>
+          <div className="mb-6">
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">{venue.name}</h1>
+            {venue.locationLabel && <p className="text-lg text-gray-600">{venue.locationLabel}</p>}
+            <p className="text-gray-600">{venue.address}</p>
+            {venue.aliases.length > 0 && (
+              <p className="text-sm text-gray-500 mt-1">Also listed as {venue.aliases.join(', ')}</p>
+            )}
+            <p className="text-sm text-gray-500 mt-2">{shows.length} show{shows.length !== 1 ? 's' : ''} at this venue</p>
           </div>
 
+          {renderMap && <div className="mb-6">{renderMap(shows)}</div>}
+
           {/* Filter Controls */}
           <div className="mb-6">
             <div className="flex space-x-2">
@@ -1271,21 +2806,20 @@ const extractCityFromPart = (part) => {
 
           {/* Shows List */}
           <div className="space-y-3">
-            {sortedShows.map((show, index) => {
+            {sortedShows.map((show) => {
               const isPast = isShowPast(show);
-              const showTimes = parseShowTimes(show.show_time);
+              const performances = getPerformances(show);
+              const tickets = getTicketInfo(show);
               
               return (
                 <div 
-                  key={index}
+                  key={show.id}
                   className={`p-4 rounded-lg cursor-pointer transition-colors border ${
                     isPast 
                       ? 'bg-gray-50 hover:bg-gray-100' 
                       : 'bg-green-50 border-2 border-green-300 hover:bg-green-100'
                   }`}
-                  onClick={() => {
-                    onShowSelect({ ...show, fromVenue: { name: venue, shows: shows, defaultFilter: venueShowFilter } });
-                  }}
+                  onClick={() => onShowSelect(show)}
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex-grow">
@@ -1304,10 +2838,12 @@ const extractCityFromPart = (part) => {
                             LIVESTREAM
                           </span>
                         )}
+                        <StatusNotice show={show} />
+                        <TicketBadges show={show} />
                       </div>
                       
                       <p className="text-gray-600 mb-1">
-                        {formatDate(show.show_date)} • {showTimes.length > 1 ? `${showTimes.length} shows` : show.show_time}
+                        {formatDate(show.show_date)} • {performances.map(p => (p.soldOut ? `${p.time} (sold out)` : p.time)).join(', ')}
                       </p>
                       
                       {show.show_description && (
@@ -1318,7 +2854,11 @@ const extractCityFromPart = (part) => {
                     </div>
                     
                     <div className="flex items-center space-x-2 ml-4">
-                      {!isPast && show.ticket_url && show.ticket_url.trim() !== '' && (
+                      {!isPast && tickets.onSaleDate && (
+                        <span className="text-xs text-gray-700 whitespace-nowrap">{formatOnSaleDate(tickets.onSaleDate)}</span>
+                      )}
+
+                      {!isPast && tickets.canBuy && show.ticket_url && show.ticket_url.trim() !== '' && (
                         <a href={show.ticket_url}
                           target="_blank"
                           rel="noopener noreferrer"
@@ -1364,13 +2904,20 @@ const extractCityFromPart = (part) => {
   );
 };
   const ShowCard = ({ show }) => {
-  const showTimes = parseShowTimes(show.show_time);
+  const performances = getPerformances(show);
   const hasLivestream = show.livestream_ticket_url;
+  const tickets = getTicketInfo(show);
+  // Times with different ticket links are picked in the details
+  const ticketUrls = tickets.canBuy
+    ? [...new Set(performances.filter(p => p.ticketUrl && !p.soldOut).map(p => p.ticketUrl))]
+    : [];
+  const locationLabel = formatLocationLabel(getShowLocation(show));
+  const distance = nearMe ? getShowDistance(show, nearMe.origin) : null;
   
   return (
     <div 
-      className="bg-white rounded-lg shadow-sm p-6 border border-gray-200 hover:shadow-md hover:bg-green-50 transition-all cursor-pointer"
-      onClick={() => setSelectedShow(show)}
+      className={`${getStatusCardClass(show)} rounded-lg shadow-sm p-6 border hover:shadow-md hover:bg-green-50 transition-all cursor-pointer`}
+      onClick={() => openShow(show)}
     >
       <div className="flex items-center justify-between">
         {/* Left side - Date and Time */}
@@ -1379,7 +2926,12 @@ const extractCityFromPart = (part) => {
             {parseDate(show.show_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
           </div>
           <div className="text-sm text-gray-600 font-medium">
-            {showTimes.length > 1 ? `${showTimes.length} shows` : show.show_time}
+            {performances.map((performance, index) => (
+              <React.Fragment key={performance.id}>
+                {index > 0 && ', '}
+                <span className={performance.soldOut ? 'line-through text-gray-400' : ''}>{performance.time}</span>
+              </React.Fragment>
+            ))}
           </div>
         </div>
 
@@ -1387,21 +2939,27 @@ const extractCityFromPart = (part) => {
         <div className="flex-grow">
           <div className="flex items-start justify-between mb-2">
             <div>
-              <h3 className="text-xl font-semibold text-gray-900 mb-1 hover:text-blue-600">
-                {(() => {
-                  const addressInfo = parseAddress(show.address);
-                  if (addressInfo.city && addressInfo.state) {
-                    return `${addressInfo.city}, ${addressInfo.state} at ${show.venue}`;
-                  } else if (addressInfo.city && addressInfo.country && addressInfo.country !== 'USA') {
-                    return `${addressInfo.city}, ${addressInfo.country} at ${show.venue}`;
-                  } else if (addressInfo.city) {
-                    return `${addressInfo.city} at ${show.venue}`;
-                  } else {
-                    return show.venue;
-                  }
-                })()}
+              <h3 className={`text-xl font-semibold mb-1 hover:text-blue-600 ${
+                getShowStatus(show) === 'cancelled' ? 'text-gray-500 line-through' : 'text-gray-900'
+              }`}>
+                <Highlight text={locationLabel} query={searchQuery} field="city" />
+                {locationLabel && show.venue && ' at '}
+                <Highlight text={show.venue} query={searchQuery} field="venue" />
               </h3>
-              <p className="text-lg text-blue-600 font-medium mb-1">{show.group}</p>
+              <p className="text-lg text-blue-600 font-medium mb-1">
+                <Highlight text={show.group} query={searchQuery} field="group" />
+              </p>
+              {distance !== null && (
+                <p className="flex items-center gap-1 text-sm text-gray-600 mb-1">
+                  <MapPin size={14} />
+                  {formatDistance(distance, distanceUnit)} away
+                </p>
+              )}
+              <span className="flex flex-wrap gap-1">
+                <StatusNotice show={show} />
+                <TicketBadges show={show} />
+              </span>
+              {previewMode && isEmbargoed(show) && <EmbargoBadge show={show} />}
             </div>
             
             {/* Right side - Badges */}
@@ -1413,7 +2971,7 @@ const extractCityFromPart = (part) => {
                   </div>
                 )}
                 <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full flex items-center justify-center text-center whitespace-nowrap">
-                  {show.show_type}
+                  <Highlight text={show.show_type} query={searchQuery} field="type" />
                 </span>
               </div>
           </div>
@@ -1424,14 +2982,27 @@ const extractCityFromPart = (part) => {
             </div>
             
             {/* Action Buttons */}
-	    <p className="text-sm text-gray-500 mt-4 text-center">
-  {show.fromVenue ? 'Click "Back to Venue" to see other shows' : ''}
-</p>
             <div className="flex items-center space-x-3">
-              {/* Get Tickets Button */}
-              {show.ticket_url && show.ticket_url.trim() !== '' && (
+              {/* Get Tickets Button, or when it will appear */}
+              {tickets.onSaleDate && (
+                <span className="bg-gray-100 text-gray-700 text-sm px-4 py-2 rounded-lg font-medium whitespace-nowrap">
+                  {formatOnSaleDate(tickets.onSaleDate)}
+                </span>
+              )}
+              {ticketUrls.length > 1 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    openShow(show);
+                  }}
+                  className="bg-blue-600 text-white text-sm px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                >
+                  Get Tickets
+                </button>
+              )}
+              {ticketUrls.length === 1 && (
                 <a
-                  href={show.ticket_url}
+                  href={ticketUrls[0]}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="bg-blue-600 text-white text-sm px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
@@ -1441,8 +3012,19 @@ const extractCityFromPart = (part) => {
                 </a>
               )}
 
-              {/* Livestream Button */}
-              {hasLivestream && show.livestream_ticket_url.trim() !== '' && (
+              {/* Livestream Button, or the replay once the show is over */}
+              {isShowPast(show) && show.replay_url ? (
+                <a
+                  href={show.replay_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className={REPLAY_LINK_CLASS}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <PlayCircle size={14} />
+                  Watch replay
+                </a>
+              ) : hasLivestream && show.livestream_ticket_url.trim() !== '' && (
                 <a
                   href={show.livestream_ticket_url}
                   target="_blank"
@@ -1473,6 +3055,27 @@ const extractCityFromPart = (part) => {
     );
   }
 
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-md p-8 text-center max-w-md">
+          <WifiOff size={48} className="mx-auto text-gray-400 mb-4" />
+          <h1 className="text-lg font-medium text-gray-900 mb-2">We couldn't load the show list</h1>
+          <p className="text-gray-600 mb-1">Please check your connection and try again.</p>
+          <p className="text-sm text-gray-500 mb-6">{loadError}</p>
+          <button
+            onClick={retryLoadShows}
+            disabled={retrying}
+            className="inline-flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={retrying ? 'animate-spin' : ''} />
+            {retrying ? 'Retrying...' : 'Try again'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Navigation Header */}
@@ -1488,7 +3091,7 @@ const extractCityFromPart = (part) => {
               <span className="sm:hidden">Back</span>
             </button>
             
-            <nav className="flex space-x-2 sm:space-x-8">
+            <nav className="flex space-x-2 sm:space-x-6 overflow-x-auto">
               <button
                 onClick={() => setCurrentView('upcoming')}
                 className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
@@ -1524,273 +3127,495 @@ const extractCityFromPart = (part) => {
               >
                 Map View
               </button>
+
+              <button
+                onClick={() => setCurrentView('calendar')}
+                className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
+                  currentView === 'calendar'
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Calendar
+              </button>
+
+              <button
+                onClick={() => setCurrentView('livestreams')}
+                className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
+                  currentView === 'livestreams'
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Livestreams
+              </button>
+
+              <button
+                onClick={() => setCurrentView('performers')}
+                className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
+                  currentView === 'performers'
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Performers
+              </button>
+
+              <button
+                onClick={() => setCurrentView('groups')}
+                className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
+                  currentView === 'groups'
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Groups
+              </button>
+
+              <button
+                onClick={() => setCurrentView('venues')}
+                className={`px-3 py-2 text-sm font-medium transition-colors whitespace-nowrap ${
+                  currentView === 'venues'
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Venues
+              </button>
             </nav>
           </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Upcoming Shows */}
-        {currentView === 'upcoming' && (
-          <div>
-            <div className="mb-8">
-              <h1 className="text-3xl font-bold text-gray-900 mb-2">Upcoming Shows</h1>
-              <p className="text-gray-600"></p>
-            </div>
+        {staleSince && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-center justify-between gap-4">
+            <p className="flex items-center gap-2 text-sm text-amber-800">
+              <WifiOff size={16} className="flex-shrink-0" />
+              The show list couldn't be refreshed. Showing data from {staleSince.toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+              })}.
+            </p>
+            <button
+              onClick={retryLoadShows}
+              disabled={retrying}
+              className="flex-shrink-0 inline-flex items-center gap-1 bg-white border border-amber-300 text-amber-800 text-sm px-3 py-1.5 rounded-lg hover:bg-amber-100 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw size={14} className={retrying ? 'animate-spin' : ''} />
+              {retrying ? 'Retrying...' : 'Retry'}
+            </button>
+          </div>
+        )}
 
-            <div className="mb-6">
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-                <input
-                  type="text"
-                  placeholder="Search by venue, city, state, group, or lineup..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
-            </div>
+        {previewMode && <PreviewPanel schedule={launchSchedule} onShowSelect={openShow} onExit={leavePreview} />}
 
-            {filteredUpcomingShows.length === 0 ? (
-              <div className="text-center py-12">
-                {searchTerm ? (
-                  <>
-                    <Search size={48} className="mx-auto text-gray-400 mb-4" />
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">No shows found</h3>
-                    <p className="text-gray-600 mb-4">No upcoming shows match "{searchTerm}"</p>
-                    {searchExistsInPast(searchTerm) && (
-                      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 max-w-md mx-auto">
-                        <p className="text-blue-800 mb-3">Found matches in past shows!</p>
-                        <button
-                          onClick={() => setCurrentView('past')}
-                          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                        >
-                          View Past Shows
-                        </button>
-                      </div>
+        <DataQualityPanel rejectedRows={rejectedRows} />
+
+        <div className="lg:flex lg:items-start lg:gap-8">
+          {showsFacets && (
+            <FacetPanel facets={facetCounts} filters={filters} onChange={setFilters} resultCount={facetResultCount} />
+          )}
+          <div className="flex-1 min-w-0">
+
+            {/* Upcoming Shows */}
+            {currentView === 'upcoming' && (
+              <div>
+                <div className="mb-8">
+                  <h1 className="text-3xl font-bold text-gray-900 mb-2">Upcoming Shows</h1>
+                  <p className="text-gray-600"></p>
+                </div>
+
+                <div className="mb-6">
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="text"
+                      placeholder="Search by venue, city, country, group, or player..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{SEARCH_HINT}</p>
+                </div>
+
+                <NearMePanel nearMe={nearMe} unit={distanceUnit} unlocatedCount={unlocatedCount} onChange={setNearMe} />
+
+                {upcomingShows.length > 0 && <CalendarExport shows={upcomingShows} />}
+
+                {filteredUpcomingShows.length === 0 ? (
+                  <div className="text-center py-12">
+                    {searchTerm || filtersActive || nearRadiusKm !== null ? (
+                      <>
+                        <Search size={48} className="mx-auto text-gray-400 mb-4" />
+                        <h3 className="text-lg font-medium text-gray-900 mb-2">No shows found</h3>
+                        <p className="text-gray-600 mb-4">
+                          {searchTerm || filtersActive
+                            ? `No upcoming shows match ${searchTerm ? `"${searchTerm}"` : 'these filters'}`
+                            : `No upcoming shows within ${nearMe.radius} ${distanceUnit} of ${nearMe.origin.label}`}
+                        </p>
+                        {filtersActive && (
+                          <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-blue-600 hover:text-blue-700 mb-4">
+                            Clear filters
+                          </button>
+                        )}
+                        {nearRadiusKm !== null && (
+                          <button onClick={() => setNearMe({ ...nearMe, radius: null })} className="block mx-auto text-blue-600 hover:text-blue-700 mb-4">
+                            Show upcoming shows at any distance
+                          </button>
+                        )}
+                        {searchExistsInPast && (
+                          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 max-w-md mx-auto">
+                            <p className="text-blue-800 mb-3">Found matches in past shows!</p>
+                            <button
+                              onClick={() => setCurrentView('past')}
+                              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                              View Past Shows
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        <Calendar size={48} className="mx-auto text-gray-400 mb-4" />
+                        <h3 className="text-lg font-medium text-gray-900 mb-2">No upcoming shows</h3>
+                        <p className="text-gray-600">Check back soon for new dates!</p>
+                      </>
                     )}
-                  </>
+                  </div>
                 ) : (
                   <>
-                    <Calendar size={48} className="mx-auto text-gray-400 mb-4" />
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">No upcoming shows</h3>
-                    <p className="text-gray-600">Check back soon for new dates!</p>
-                  </>
-                )}
-              </div>
-            ) : (
-              <>
-                <div className="space-y-0">
-                  {getPaginatedShows(filteredUpcomingShows, upcomingPage).map((show, index) => (
-                    <ShowCard key={index} show={show} />
-                  ))}
-                </div>
-                
-                {/* Pagination Controls */}
-                {getTotalPages(filteredUpcomingShows) > 1 && (
-                  <div className="flex items-center justify-between mt-8 px-4">
-                    <div className="text-sm text-gray-600">
-                      Showing {((upcomingPage - 1) * SHOWS_PER_PAGE) + 1} to {Math.min(upcomingPage * SHOWS_PER_PAGE, filteredUpcomingShows.length)} of {filteredUpcomingShows.length} shows
+                    <div className="space-y-0">
+                      {getPaginatedShows(filteredUpcomingShows, upcomingPage).map((show) => (
+                        <ShowCard key={show.id} show={show} />
+                      ))}
                     </div>
+                    <StructuredData
+                      data={getPaginatedShows(filteredUpcomingShows, upcomingPage).flatMap(show => (
+                        buildMusicEvents(show, { pageUrl: getShowUrl(show) })
+                      ))}
+                    />
+                
+                    {/* Pagination Controls */}
+                    {getTotalPages(filteredUpcomingShows) > 1 && (
+                      <div className="flex items-center justify-between mt-8 px-4">
+                        <div className="text-sm text-gray-600">
+                          Showing {((upcomingPage - 1) * SHOWS_PER_PAGE) + 1} to {Math.min(upcomingPage * SHOWS_PER_PAGE, filteredUpcomingShows.length)} of {filteredUpcomingShows.length} shows
+                        </div>
                     
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => setUpcomingPage(prev => Math.max(prev - 1, 1))}
-                        disabled={upcomingPage === 1}
-                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-                      >
-                        Previous
-                      </button>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => setPage(prev => Math.max(prev - 1, 1))}
+                            disabled={upcomingPage === 1}
+                            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                          >
+                            Previous
+                          </button>
                       
-                      <span className="px-3 py-2 text-sm">
-                        Page {upcomingPage} of {getTotalPages(filteredUpcomingShows)}
-                      </span>
+                          <span className="px-3 py-2 text-sm">
+                            Page {upcomingPage} of {getTotalPages(filteredUpcomingShows)}
+                          </span>
                       
+                          <button
+                            onClick={() => setPage(prev => Math.min(prev + 1, getTotalPages(filteredUpcomingShows)))}
+                            disabled={upcomingPage === getTotalPages(filteredUpcomingShows)}
+                            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                          >
+                            Next
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                {/* Show suggestion for past shows if search has matches there */}
+                {filteredUpcomingShows.length > 0 && searchExistsInPast && (
+                  <div className="mt-8 text-center">
+                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 max-w-md mx-auto">
+                      <p className="text-blue-800 mb-3">Also found matches in past shows!</p>
                       <button
-                        onClick={() => setUpcomingPage(prev => Math.min(prev + 1, getTotalPages(filteredUpcomingShows)))}
-                        disabled={upcomingPage === getTotalPages(filteredUpcomingShows)}
-                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                        onClick={() => setCurrentView('past')}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
                       >
-                        Next
+                        View Past Shows
                       </button>
                     </div>
                   </div>
                 )}
 
-            {/* Show suggestion for past shows if search has matches there */}
-            {searchTerm && filteredUpcomingShows.length > 0 && searchExistsInPast(searchTerm) && (
-              <div className="mt-8 text-center">
-                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 max-w-md mx-auto">
-                  <p className="text-blue-800 mb-3">Also found matches in past shows!</p>
-                  <button
-                    onClick={() => setCurrentView('past')}
-                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                  >
-                    View Past Shows
-                  </button>
-                </div>
+                  </>
+                )}
               </div>
             )}
 
-              </>
-            )}
-          </div>
-        )}
-
-        {/* Past Shows */}
-        {currentView === 'past' && (
-          <div>
-            <div className="mb-8">
-              <h1 className="text-3xl font-bold text-gray-900 mb-2">Past Shows</h1>
-              <p className="text-gray-600">Archive of previous performances</p>
-            </div>
+            {/* Past Shows */}
+            {currentView === 'past' && (
+              <div>
+                <div className="mb-8">
+                  <h1 className="text-3xl font-bold text-gray-900 mb-2">Past Shows</h1>
+                  <p className="text-gray-600">Archive of previous performances</p>
+                </div>
 
-            <div className="mb-6">
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-                <input
-                  type="text"
-                  placeholder="Search by venue, city, state, group, or lineup..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
-            </div>
+                <div className="mb-6">
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="text"
+                      placeholder="Search by venue, city, country, group, or player..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{SEARCH_HINT}</p>
+                </div>
 
-            {filteredPastShows.length === 0 ? (
-              <div className="text-center py-12">
-                {searchTerm ? (
-                  <>
-                    <Search size={48} className="mx-auto text-gray-400 mb-4" />
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">No past shows found</h3>
-                    <p className="text-gray-600 mb-4">No past shows match "{searchTerm}"</p>
-                    {searchExistsInUpcoming(searchTerm) && (
-                      <div className="bg-green-50 border border-green-200 rounded-lg p-4 max-w-md mx-auto">
-                        <p className="text-green-800 mb-3">Found matches in upcoming shows!</p>
-                        <button
-                          onClick={() => setCurrentView('upcoming')}
-                          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
-                        >
-                          View Upcoming Shows
-                        </button>
-                      </div>
+                {filteredPastShows.length === 0 ? (
+                  <div className="text-center py-12">
+                    {searchTerm || filtersActive ? (
+                      <>
+                        <Search size={48} className="mx-auto text-gray-400 mb-4" />
+                        <h3 className="text-lg font-medium text-gray-900 mb-2">No past shows found</h3>
+                        <p className="text-gray-600 mb-4">
+                          No past shows match {searchTerm ? `"${searchTerm}"` : 'these filters'}
+                        </p>
+                        {filtersActive && (
+                          <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-blue-600 hover:text-blue-700 mb-4">
+                            Clear filters
+                          </button>
+                        )}
+                        {searchExistsInUpcoming && (
+                          <div className="bg-green-50 border border-green-200 rounded-lg p-4 max-w-md mx-auto">
+                            <p className="text-green-800 mb-3">Found matches in upcoming shows!</p>
+                            <button
+                              onClick={() => setCurrentView('upcoming')}
+                              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
+                            >
+                              View Upcoming Shows
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        <Search size={48} className="mx-auto text-gray-400 mb-4" />
+                        <h3 className="text-lg font-medium text-gray-900 mb-2">No shows found</h3>
+                        <p className="text-gray-600">Try adjusting your search terms</p>
+                      </>
                     )}
-                  </>
+                  </div>
                 ) : (
                   <>
-                    <Search size={48} className="mx-auto text-gray-400 mb-4" />
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">No shows found</h3>
-                    <p className="text-gray-600">Try adjusting your search terms</p>
-                  </>
-                )}
-              </div>
-            ) : (
-              <>
-                <div className="space-y-0">
-                  {getPaginatedShows(filteredPastShows, pastPage).map((show, index) => (
-                    <ShowCard key={index} show={show} />
-                  ))}
-                </div>
-                
-                {/* Pagination Controls */}
-                {getTotalPages(filteredPastShows) > 1 && (
-                  <div className="flex items-center justify-between mt-8 px-4">
-                    <div className="text-sm text-gray-600">
-                      Showing {((pastPage - 1) * SHOWS_PER_PAGE) + 1} to {Math.min(pastPage * SHOWS_PER_PAGE, filteredPastShows.length)} of {filteredPastShows.length} shows
+                    <div className="space-y-0">
+                      {getPaginatedShows(filteredPastShows, pastPage).map((show) => (
+                        <ShowCard key={show.id} show={show} />
+                      ))}
                     </div>
+                
+                    {/* Pagination Controls */}
+                    {getTotalPages(filteredPastShows) > 1 && (
+                      <div className="flex items-center justify-between mt-8 px-4">
+                        <div className="text-sm text-gray-600">
+                          Showing {((pastPage - 1) * SHOWS_PER_PAGE) + 1} to {Math.min(pastPage * SHOWS_PER_PAGE, filteredPastShows.length)} of {filteredPastShows.length} shows
+                        </div>
                     
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => setPastPage(prev => Math.max(prev - 1, 1))}
-                        disabled={pastPage === 1}
-                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-                      >
-                        Previous
-                      </button>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => setPage(prev => Math.max(prev - 1, 1))}
+                            disabled={pastPage === 1}
+                            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                          >
+                            Previous
+                          </button>
                       
-                      <span className="px-3 py-2 text-sm">
-                        Page {pastPage} of {getTotalPages(filteredPastShows)}
-                      </span>
+                          <span className="px-3 py-2 text-sm">
+                            Page {pastPage} of {getTotalPages(filteredPastShows)}
+                          </span>
                       
+                          <button
+                            onClick={() => setPage(prev => Math.min(prev + 1, getTotalPages(filteredPastShows)))}
+                            disabled={pastPage === getTotalPages(filteredPastShows)}
+                            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                          >
+                            Next
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                {/* Show suggestion for upcoming shows if search has matches there */}
+                {filteredPastShows.length > 0 && searchExistsInUpcoming && (
+                  <div className="mt-8 text-center">
+                    <div className="bg-green-50 border border-green-200 rounded-lg p-4 max-w-md mx-auto">
+                      <p className="text-green-800 mb-3">Also found matches in upcoming shows!</p>
                       <button
-                        onClick={() => setPastPage(prev => Math.min(prev + 1, getTotalPages(filteredPastShows)))}
-                        disabled={pastPage === getTotalPages(filteredPastShows)}
-                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+                        onClick={() => setCurrentView('upcoming')}
+                        className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
                       >
-                        Next
+                        View Upcoming Shows
                       </button>
                     </div>
                   </div>
                 )}
 
-            {/* Show suggestion for upcoming shows if search has matches there */}
-            {searchTerm && filteredPastShows.length > 0 && searchExistsInUpcoming(searchTerm) && (
-              <div className="mt-8 text-center">
-                <div className="bg-green-50 border border-green-200 rounded-lg p-4 max-w-md mx-auto">
-                  <p className="text-green-800 mb-3">Also found matches in upcoming shows!</p>
-                  <button
-                    onClick={() => setCurrentView('upcoming')}
-                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
-                  >
-                    View Upcoming Shows
-                  </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Map View */}
+            {currentView === 'map' && (
+              <div>
+                <div className="mb-8">
+                  <h1 className="text-3xl font-bold text-gray-900 mb-2">Show Locations</h1>
+                  <p className="text-gray-600">Interactive map of all show venues</p>
                 </div>
+
+                <NearMePanel nearMe={nearMe} unit={distanceUnit} onChange={setNearMe} />
+
+                <MapView shows={visibleShows} 
+                  onShowSelect={openShow} 
+                  onVenueSelect={openVenue} 
+                  filter={mapFilter}
+                  onFilterChange={setMapFilter}
+                  facetFilters={filters}
+                  nearMe={mapNearMe}
+                />
               </div>
             )}
 
-              </>
+            {currentView === 'livestreams' && <LivestreamHub shows={visibleShows} onShowSelect={openShow} />}
+
+            {/* Performers */}
+            {currentView === 'performers' && baseRoute.type === 'view' && (
+              <PerformerDirectory
+                performers={performerIndex.performers}
+                query={baseRoute.q}
+                onQueryChange={setDirectoryQuery}
+                onSelect={openPerformer}
+              />
+            )}
+            {baseRoute.type === 'performer' && (
+              <PerformerPage
+                performer={performerIndex.find(baseRoute.performerSlug)}
+                onBack={() => setCurrentView('performers')}
+                onSelectPerformer={openPerformer}
+                renderShow={(show) => <ShowCard key={show.id} show={show} />}
+              />
             )}
-          </div>
-        )}
 
-        {/* Map View */}
-        {currentView === 'map' && (
-          <div>
-            <div className="mb-8">
-              <h1 className="text-3xl font-bold text-gray-900 mb-2">Show Locations</h1>
-              <p className="text-gray-600">Interactive map of all show venues</p>
-            </div>
+            {/* Groups */}
+            {currentView === 'groups' && baseRoute.type === 'view' && (
+              <GroupDirectory
+                groups={groupIndex.groups}
+                query={baseRoute.q}
+                onQueryChange={setDirectoryQuery}
+                onSelect={openGroup}
+              />
+            )}
+            {/* Calendar */}
+            {currentView === 'calendar' && (
+              <div>
+                <div className="mb-8">
+                  <h1 className="text-3xl font-bold text-gray-900 mb-2">Calendar</h1>
+                  <p className="text-gray-600">Every performance on its date</p>
+                </div>
+
+                <div className="mb-6">
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="text"
+                      placeholder="Search by venue, city, country, group, or player..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{SEARCH_HINT}</p>
+                </div>
+
+                <CalendarView
+                  shows={filteredCalendarShows}
+                  layout={baseRoute.layout}
+                  date={baseRoute.date}
+                  onNavigate={setCalendarRange}
+                  onShowSelect={openShow}
+                />
+              </div>
+            )}
 
-            <MapView shows={visibleShows} 
-              onShowSelect={setSelectedShow} 
-              onVenueSelect={() => {}} 
-              setSelectedVenue={setSelectedVenue}
-            />
+            {/* Venues */}
+            {currentView === 'venues' && baseRoute.type === 'view' && (
+              <VenueDirectory
+                venues={venueIndex.venues}
+                query={baseRoute.q}
+                sort={baseRoute.sort}
+                onQueryChange={setDirectoryQuery}
+                onSortChange={setVenueSort}
+                onSelect={(venue) => openVenue(venue.shows[0])}
+              />
+            )}
+            {baseRoute.type === 'venue' && (
+              <VenuePage
+                venue={venueIndex.find(baseRoute.venueSlug)}
+                filter={baseRoute.filter}
+                onFilterChange={setVenueFilter}
+                onShowSelect={openShow}
+                onBack={() => setCurrentView('venues')}
+                renderMap={process.env.REACT_APP_MAPBOX_TOKEN && ((venueShows) => (
+                  <MapView key={baseRoute.venueSlug} shows={venueShows} onShowSelect={openShow} onVenueSelect={openVenue} filter="all" compact />
+                ))}
+              />
+            )}
+            {baseRoute.type === 'admin' && !adminAvailable && (
+              <div className="text-center py-12">
+                <h1 className="text-lg font-medium text-gray-900 mb-2">Page not found</h1>
+                <button onClick={() => setCurrentView('upcoming')} className="text-blue-600 hover:text-blue-700">Browse upcoming shows</button>
+              </div>
+            )}
+            {adminSource && (
+              <AdminEditor
+                source={adminSource}
+                entry={baseRoute.entry}
+                onOpenEntry={openAdminEntry}
+                onSaved={loadShows}
+                renderCard={(show) => <ShowCard show={show} />}
+                renderModal={(show) => <ShowModal show={show} onClose={() => {}} />}
+                renderMap={process.env.REACT_APP_MAPBOX_TOKEN && ((mapShows) => (
+                  <MapView key={`${mapShows[0].lat},${mapShows[0].lng}`} shows={mapShows} onShowSelect={() => {}} onVenueSelect={() => {}} filter="all" compact />
+                ))}
+              />
+            )}
+            {baseRoute.type === 'group' && (
+              <GroupPage
+                group={groupIndex.find(baseRoute.groupSlug)}
+                onBack={() => setCurrentView('groups')}
+                onSelectPerformer={openPerformer}
+                renderShow={(show) => <ShowCard key={show.id} show={show} />}
+                // Without a token the map can only show its setup message
+                renderMap={process.env.REACT_APP_MAPBOX_TOKEN && ((groupShows) => (
+                  <MapView key={baseRoute.groupSlug} shows={groupShows} onShowSelect={openShow} onVenueSelect={openVenue} filter="all" compact />
+                ))}
+              />
+            )}
           </div>
-        )}
+        </div>
       </main>
 
       {/* Show Modal */}
-       {selectedShow && (
+      {route.type === 'show' && !selectedShow && (
+        <ShowNotFound onClose={closeModal} />
+      )}
+      {selectedShow && <ShowMetadata show={selectedShow} />}
+      {selectedShow && (
         <ShowModal 
           show={selectedShow} 
-          onClose={() => setSelectedShow(null)} 
- 	 showBackToVenue={selectedShow.fromVenue && selectedShow.fromVenue.shows.length > 1}
-          onBackToVenue={() => {
-            const venueInfo = selectedShow.fromVenue;
-            setSelectedShow(null);
-            // Keep the venue modal open by ensuring selectedVenue stays set
-            if (!selectedVenue) {
-              setSelectedVenue(venueInfo);
-            }
-          }}
-        />
-      )}
-      {/* Venue Modal */}
-      {selectedVenue && (
-        <VenueModal 
-          venue={selectedVenue.name}
-          shows={selectedVenue.shows}
-          onClose={() => {
-            setSelectedVenue(null);
-            setSelectedShow(null); // Also close show modal if open
-          }}
-          onShowSelect={(show) => {
-            setSelectedShow({ ...show, fromVenue: selectedVenue });
-            // Don't close the venue modal when opening show modal
-          }}
-          defaultFilter={selectedVenue.defaultFilter}
+          onClose={closeModal} 
         />
       )}
     </div>
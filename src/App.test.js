@@ -1,8 +1,395 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { createDataSource } from './services/dataSources';
+import * as geocoding from './services/geocoding';
 
-test('renders learn react link', () => {
+jest.mock('./services/dataSources', () => ({ createDataSource: jest.fn() }));
+
+const record = (overrides) => ({
+  id: '',
+  launch_date: '',
+  show_date: '03/14/2099',
+  show_time: '7:30pm',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  ticket_url: 'https://example.com/tickets',
+  show_type: 'Concert',
+  show_description: 'An evening of brass',
+  lineup: 'Ana Ruiz (trombone)',
+  show_image: '',
+  livestream_ticket_url: '',
+  capacity: '',
+  lat: '',
+  lng: '',
+  ...overrides
+});
+
+const SHOWS = [
+  record({ id: 'upcoming-boston' }),
+  record({ id: 'upcoming-chicago', venue: 'Symphony Center', address: '220 S Michigan Ave, Chicago, IL 60604', show_date: '04/01/2099' }),
+  record({ id: 'past-london', venue: 'Wigmore Hall', address: '36 Wigmore St, London W1U 2BP, UK', show_date: '06/01/2001' }),
+  record({ id: 'unreleased', venue: 'Secret Hall', launch_date: '01/01/2099', show_date: '05/01/2099' })
+];
+
+const ENV = process.env;
+
+beforeEach(() => {
+  process.env = { ...ENV };
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  window.history.replaceState({}, '', '/');
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve(SHOWS),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+});
+
+afterEach(() => {
+  process.env = ENV;
+  jest.restoreAllMocks();
+  delete window.mapboxgl;
+  delete navigator.geolocation;
+});
+
+test('lists upcoming shows that have launched', async () => {
+  render(<App />);
+  expect(await screen.findByText('Upcoming Shows')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Boston, MA at Jordan Hall' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Chicago, IL at Symphony Center' })).toBeInTheDocument();
+  expect(screen.queryByText(/Wigmore Hall/)).not.toBeInTheDocument();
+  expect(screen.queryByText(/Secret Hall/)).not.toBeInTheDocument();
+});
+
+test('filters the list by search term', async () => {
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText(/Search by venue/), { target: { value: 'chicago' } });
+  expect(screen.getByRole('heading', { name: /Symphony Center/ })).toBeInTheDocument();
+  expect(screen.getByText('Chicago', { selector: 'mark' })).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /Jordan Hall/ })).not.toBeInTheDocument();
+  expect(window.location.search).toBe('?q=chicago');
+});
+
+test('points to matches in past shows', async () => {
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText(/Search by venue/), { target: { value: 'hall' } });
+  expect(screen.getByRole('heading', { name: /Jordan Hall/ })).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /Symphony Center/ })).not.toBeInTheDocument();
+  expect(screen.getByText('Also found matches in past shows!')).toBeInTheDocument();
+});
+
+test('narrows the list with facet filters', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByRole('checkbox', { name: /Chicago, IL/ }));
+  expect(screen.getByRole('heading', { name: /Symphony Center/ })).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /Jordan Hall/ })).not.toBeInTheDocument();
+  expect(window.location.search).toBe('?city=Chicago%2C+IL');
+
+  fireEvent.click(screen.getByRole('checkbox', { name: /Livestream only/ }));
+  expect(screen.getByText('No upcoming shows match these filters')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Clear filters'));
+  expect(screen.getByRole('heading', { name: /Jordan Hall/ })).toBeInTheDocument();
+});
+
+test('opens a performer page from the lineup', async () => {
+  window.history.replaceState({}, '', '/shows/upcoming-boston');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Ana Ruiz' }));
+  expect(window.location.pathname).toBe('/performers/ana-ruiz');
+  expect(screen.getByRole('heading', { level: 1, name: 'Ana Ruiz' })).toBeInTheDocument();
+  expect(screen.getByText('Upcoming shows (2)')).toBeInTheDocument();
+  expect(screen.getByText('Past shows (1)')).toBeInTheDocument();
+});
+
+test('opens a group page from a show', async () => {
+  window.history.replaceState({}, '', '/shows/upcoming-boston');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Brass Quintet' }));
+  expect(window.location.pathname).toBe('/groups/brass-quintet');
+  expect(screen.getByRole('heading', { level: 1, name: 'Brass Quintet' })).toBeInTheDocument();
+  expect(screen.getByText('Upcoming dates (2)')).toBeInTheDocument();
+  expect(screen.getByText('Shows by country')).toBeInTheDocument();
+});
+
+test('opens a show from its link', async () => {
+  window.history.replaceState({}, '', '/shows/upcoming-boston');
+  render(<App />);
+  expect(await screen.findByText('An evening of brass')).toBeInTheDocument();
+  expect(screen.getByText('Add to Calendar')).toBeInTheDocument();
+});
+
+test('opens a venue page from a show', async () => {
+  window.history.replaceState({}, '', '/shows/upcoming-boston');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Jordan Hall' }));
+  expect(window.location.pathname).toBe('/venues/jordan-hall');
+  expect(screen.getByRole('heading', { level: 1, name: 'Jordan Hall' })).toBeInTheDocument();
+  expect(screen.getByText('30 Gainsborough St, Boston, MA 02115')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Past (0)' }));
+  expect(window.location.search).toBe('?filter=past');
+});
+
+test('sorts the venue directory', async () => {
+  window.history.replaceState({}, '', '/venues');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { level: 1, name: 'Venues' })).toBeInTheDocument();
+  const names = () => screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent);
+  expect(names()).toEqual(['Jordan Hall', 'Symphony Center', 'Wigmore Hall']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: /Sort by/ }), { target: { value: 'city' } });
+  expect(window.location.search).toBe('?sort=city');
+  expect(names()).toEqual(['Jordan Hall', 'Symphony Center', 'Wigmore Hall']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: /Sort by/ }), { target: { value: 'recent' } });
+  expect(names()).toEqual(['Symphony Center', 'Jordan Hall', 'Wigmore Hall']);
+});
+
+test('places shows on a calendar', async () => {
+  window.history.replaceState({}, '', '/calendar?date=2099-03-14&q=brass');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: /7:30pm Jordan Hall/ }));
+  expect(window.location.pathname).toBe('/shows/upcoming-boston');
+  expect(screen.getByText('An evening of brass')).toBeInTheDocument();
+});
+
+test('pages through the calendar with search and launch dates applied', async () => {
+  window.history.replaceState({}, '', '/calendar?date=2099-02-14&q=chicago');
+  render(<App />);
+  expect(await screen.findByText('No shows this month.')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Jump to the next show (April 1, 2099)'));
+  expect(window.location.search).toBe('?q=chicago&date=2099-04-01');
+  expect(screen.getByRole('button', { name: /Symphony Center/ })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Week' }));
+  expect(screen.getByText('Mar 29 – Apr 4, 2099')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Chicago, IL · Brass Quintet/ })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText(/Search by venue/), { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Month' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Next month' }));
+  expect(screen.getByText('May 2099')).toBeInTheDocument();
+  expect(screen.queryByText(/Secret Hall/)).not.toBeInTheDocument();
+});
+
+test('previews embargoed shows with their announcement timeline', async () => {
+  process.env.REACT_APP_PREVIEW_TOKEN = 'sneak-peek';
+  window.history.replaceState({}, '', '/?preview=sneak-peek');
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: /Secret Hall/ })).toBeInTheDocument();
+  expect(window.location.search).toBe('');
+  expect(screen.getByText('Goes public on Thu, Jan 1, 2099, 12:00am EST')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(/1 embargoed show visible/));
+  expect(screen.getByText('Announcement timeline')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Secret Hall, Boston, MA/ })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Exit preview'));
+  expect(screen.queryByRole('heading', { name: /Secret Hall/ })).not.toBeInTheDocument();
+});
+
+test('edits a show in the admin editor and saves it through the data source', async () => {
+  const saveShows = jest.fn(() => Promise.resolve());
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve(SHOWS),
+    saveShows,
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  process.env.REACT_APP_DATA_SOURCE = 'local';
+  window.history.replaceState({}, '', '/admin');
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('button', { name: /Row 1.*Jordan Hall/ }));
+  expect(window.location.pathname).toBe('/admin/1');
+  const venue = screen.getByLabelText('Venue');
+  fireEvent.change(venue, { target: { value: '' } });
+  expect(screen.getByText('Venue is missing')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+
+  fireEvent.change(venue, { target: { value: 'Jordan Hall at NEC' } });
+  fireEvent.change(screen.getByLabelText('Show times'), { target: { value: '2pm, 7:30pm' } });
+  // The time chip under the field and the preview card
+  expect(screen.getAllByText('2pm')).toHaveLength(2);
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(await screen.findByText('Edit shows')).toBeInTheDocument();
+  expect(saveShows).toHaveBeenCalledTimes(1);
+  const [saved] = saveShows.mock.calls[0];
+  expect(saved).toHaveLength(SHOWS.length);
+  expect(saved[0]).toMatchObject({ id: 'upcoming-boston', venue: 'Jordan Hall at NEC', show_time: '2pm, 7:30pm' });
+  expect(saved.slice(1)).toEqual(SHOWS.slice(1));
+});
+
+test('keeps the admin editor closed to visitors of a deployed site, preview token or not', async () => {
+  process.env.REACT_APP_PREVIEW_TOKEN = 'sneak-peek';
+  window.history.replaceState({}, '', '/admin?preview=sneak-peek');
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Row 1/ })).not.toBeInTheDocument();
+  expect(screen.queryByText(/Secret Hall/)).not.toBeInTheDocument();
+});
+
+test('only geocodes rows whose address it cannot read', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({ id: 'upcoming-boston' }),
+      record({ id: 'street-only', address: '30 Gainsborough St', show_date: '04/01/2099' })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  const geocodeShows = jest.spyOn(geocoding, 'geocodeShows')
+    .mockImplementation(list => Promise.resolve(list.map(show => ({ ...show, lat: 42.3398, lng: -71.0875, place: { city: 'Boston', region: 'MA', countryCode: 'US', country: 'United States' } }))));
+  render(<App />);
+
+  // The street-only row gets its city from the geocoder
+  await waitFor(() => expect(screen.getAllByRole('heading', { name: 'Boston, MA at Jordan Hall' })).toHaveLength(2));
+  expect(geocodeShows).toHaveBeenCalledTimes(1);
+  expect(geocodeShows.mock.calls[0][0].map(show => show.id)).toEqual(['street-only']);
+});
+
+test('builds the map once while near-me places arrive', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([record({ id: 'upcoming-boston' })]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  window.localStorage.setItem('shows-tracker:near-me', JSON.stringify({ origin: { lat: 42.3601, lng: -71.0589, label: 'Boston' }, radius: null }));
+  // Near-me's own lookup finishes only once the map is being built
+  const locateNow = (list) => Promise.resolve(list.map(show => ({ ...show, lat: 42.3398, lng: -71.0875 })));
+  let locate;
+  jest.spyOn(geocoding, 'geocodeShows')
+    .mockImplementationOnce(list => new Promise(resolve => { locate = () => resolve(locateNow(list)); }))
+    .mockImplementation(locateNow);
+  const Map = jest.fn(() => ({ on: jest.fn(), remove: jest.fn() }));
+  window.mapboxgl = { Map };
+  process.env.REACT_APP_MAPBOX_TOKEN = 'test-token';
+  window.history.replaceState({}, '', '/map');
+  render(<App />);
+
+  await waitFor(() => expect(Map).toHaveBeenCalled());
+  await act(async () => locate());
+  expect(Map).toHaveBeenCalledTimes(1);
+});
+
+test('sorts upcoming shows by distance from the visitor', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({ id: 'upcoming-chicago', venue: 'Symphony Center', address: '220 S Michigan Ave, Chicago, IL 60604', lat: '41.8793', lng: '-87.6251' }),
+      record({ id: 'upcoming-boston', show_date: '04/01/2099', lat: '42.3398', lng: '-71.0875' })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  const getCurrentPosition = jest.fn((resolve) => resolve({ coords: { latitude: 42.3601, longitude: -71.0589 } }));
+  Object.defineProperty(navigator, 'geolocation', { value: { getCurrentPosition }, configurable: true });
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Use my location' }));
+  expect(await screen.findByText('Near your location')).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent)).toEqual([
+    'Boston, MA at Jordan Hall'
+  ]);
+  expect(screen.getByText('2 mi away')).toBeInTheDocument();
+
+  // Past the last step is any distance
+  fireEvent.change(screen.getByLabelText('Within 50 mi'), { target: { value: '6' } });
+  expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent)).toEqual([
+    'Boston, MA at Jordan Hall',
+    'Chicago, IL at Symphony Center'
+  ]);
+  expect(screen.getByText('848 mi away')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('shows-tracker:near-me')).radius).toBeNull();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Turn off' }));
+  expect(screen.getByRole('heading', { name: 'Shows near you' })).toBeInTheDocument();
+  expect(screen.queryByText(/mi away/)).not.toBeInTheDocument();
+});
+
+test('lists each performance with its own tickets', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({
+        id: 'two-shows',
+        show_time: '2pm, 7:30pm',
+        livestream_ticket_url: 'https://example.com/stream',
+        performances: '2pm https://example.com/matinee sold out :: 7:30pm livestream'
+      })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  window.history.replaceState({}, '', '/shows/two-shows');
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: 'Performances' })).toBeInTheDocument();
+  expect(screen.getByText('SOLD OUT')).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: 'Tickets for 2pm' })).not.toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Tickets for 7:30pm' })).toHaveAttribute('href', 'https://example.com/tickets');
+  expect(screen.getByRole('link', { name: 'Livestream of 7:30pm' })).toHaveAttribute('href', 'https://example.com/stream');
+  expect(screen.queryByRole('link', { name: 'Livestream of 2pm' })).not.toBeInTheDocument();
+  expect(screen.queryByText(/All Shows/)).not.toBeInTheDocument();
+});
+
+test('shows ticket status and price, and hides tickets that cannot be bought', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({ id: 'upcoming-boston', price: '25-60', ticket_status: 'few left' }),
+      record({ id: 'cancelled-chicago', venue: 'Symphony Center', address: '220 S Michigan Ave, Chicago, IL 60604', ticket_status: 'cancelled' }),
+      record({ id: 'later-sale', venue: 'Orchestra Hall', address: '3711 Woodward Ave, Detroit, MI 48201', on_sale_date: '02/01/2098' })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  render(<App />);
+
+  expect(await screen.findByText('Few tickets left')).toBeInTheDocument();
+  expect(screen.getByText('$25–$60')).toBeInTheDocument();
+  expect(screen.getByText('Cancelled')).toBeInTheDocument();
+  expect(screen.getByText('On sale Feb 1, 2098')).toBeInTheDocument();
+  // Only the show that is on sale links to its tickets
+  expect(screen.getAllByRole('link', { name: 'Get Tickets' })).toHaveLength(1);
+});
+
+test('keeps rescheduled and cancelled shows listed with what changed', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({ id: 'moved', show_date: '04/02/2099', rescheduled_from: '03/03/2099' }),
+      record({ id: 'called-off', venue: 'Symphony Center', address: '220 S Michigan Ave, Chicago, IL 60604', status: 'cancelled' }),
+      record({ id: 'long-gone', venue: 'Wigmore Hall', address: '36 Wigmore St, London W1U 2BP, UK', show_date: '06/01/2001', status: 'cancelled' })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  render(<App />);
+
+  expect(await screen.findByText('Rescheduled — was Mar 3')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Chicago, IL at Symphony Center' })).toHaveClass('line-through');
+  expect(screen.getByText('Cancelled')).toBeInTheDocument();
+  expect(screen.queryByText(/Wigmore Hall/)).not.toBeInTheDocument();
+});
+
+test('lists livestreams with countdowns and replays', async () => {
+  createDataSource.mockReturnValue({
+    loadShows: () => Promise.resolve([
+      record({ id: 'streamed', livestream_ticket_url: 'https://example.com/stream' }),
+      record({ id: 'in-person' }),
+      record({
+        id: 'streamed-before',
+        venue: 'Wigmore Hall',
+        address: '36 Wigmore St, London W1U 2BP, UK',
+        show_date: '06/01/2001',
+        livestream_ticket_url: 'https://example.com/stream',
+        replay_url: 'https://example.com/replay'
+      })
+    ]),
+    describeRow: (index) => `Row ${index + 1}`
+  });
+  window.history.replaceState({}, '', '/livestreams');
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: 'Livestreams' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Brass Quintet at Jordan Hall' })).toBeInTheDocument();
+  expect(screen.getByText(/^Starts in \d+d/)).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Stream' })).toHaveAttribute('href', 'https://example.com/stream');
+  expect(screen.getByRole('link', { name: 'Watch replay' })).toHaveAttribute('href', 'https://example.com/replay');
+
+  // The past list offers the replay too
+  fireEvent.click(screen.getByText(/Past Shows/));
+  expect(screen.getByRole('link', { name: 'Watch replay' })).toHaveAttribute('href', 'https://example.com/replay');
 });
@@ -0,0 +1,246 @@
+// Venue locations come from three places, most trusted first: explicit
+// City/Region/Country columns, the geocoder's structured result (show.place,
+// see services/geocoding.js) and, failing those, a best-effort parse of the
+// free-text address.
+
+// Display name and the spellings people use in addresses, keyed by ISO code
+const COUNTRIES = {
+  US: ['USA', 'us', 'united states', 'united states of america'],
+  GB: ['UK', 'gb', 'united kingdom', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'],
+  CA: ['Canada'],
+  AU: ['Australia'],
+  NZ: ['New Zealand', 'aotearoa'],
+  IE: ['Ireland', 'éire'],
+  DE: ['Germany', 'deutschland'],
+  AT: ['Austria', 'österreich'],
+  CH: ['Switzerland', 'schweiz', 'suisse', 'svizzera'],
+  FR: ['France'],
+  BE: ['Belgium', 'belgië', 'belgique'],
+  NL: ['Netherlands', 'the netherlands', 'nederland', 'holland'],
+  LU: ['Luxembourg'],
+  IT: ['Italy', 'italia'],
+  ES: ['Spain', 'españa'],
+  PT: ['Portugal'],
+  DK: ['Denmark', 'danmark'],
+  NO: ['Norway', 'norge'],
+  SE: ['Sweden', 'sverige'],
+  FI: ['Finland', 'suomi'],
+  IS: ['Iceland'],
+  PL: ['Poland', 'polska'],
+  CZ: ['Czechia', 'czech republic'],
+  HU: ['Hungary'],
+  GR: ['Greece'],
+  JP: ['Japan', '日本'],
+  KR: ['South Korea', 'korea', 'republic of korea'],
+  CN: ['China'],
+  TW: ['Taiwan'],
+  HK: ['Hong Kong'],
+  SG: ['Singapore'],
+  IL: ['Israel'],
+  MX: ['Mexico', 'méxico'],
+  BR: ['Brazil', 'brasil'],
+  AR: ['Argentina'],
+  CL: ['Chile'],
+  CO: ['Colombia'],
+  ZA: ['South Africa']
+};
+
+const COUNTRY_CODES_BY_NAME = {};
+Object.entries(COUNTRIES).forEach(([code, names]) => {
+  names.forEach(name => {
+    COUNTRY_CODES_BY_NAME[name.toLowerCase()] = code;
+  });
+});
+
+const US_STATES = (
+  'AL AK AZ AR CA CO CT DC DE FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH ' +
+  'NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY PR'
+).split(' ');
+const CA_PROVINCES = 'AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' ');
+const AU_STATES = 'ACT NSW NT QLD SA TAS VIC WA'.split(' ');
+
+// Countries whose addresses name a state/province worth showing next to the city
+const REGION_COUNTRIES = ['US', 'CA', 'AU'];
+
+// ISO code for a country name, common spelling or code ("UK", "Deutschland", "us")
+export const findCountryCode = (text) => {
+  const key = (text || '').trim().toLowerCase();
+  if (!key) return '';
+  if (COUNTRY_CODES_BY_NAME[key]) return COUNTRY_CODES_BY_NAME[key];
+  return COUNTRIES[key.toUpperCase()] ? key.toUpperCase() : '';
+};
+
+export const getCountryName = (code) => (COUNTRIES[code] ? COUNTRIES[code][0] : '');
+
+const STREET_WORDS = /^(n|s|e|w|north|south|east|west|street|st|avenue|ave|road|rd|blvd|boulevard|drive|dr|lane|ln|way|place|pl|court|ct|circle|cir)$/i;
+
+// Helper function to extract city from a part that might contain street address
+export const extractCityFromPart = (part) => {
+  if (!part) return '';
+
+  const words = part.split(/\s+/);
+  // "St Louis" and "North Hollywood" are cities; only a leading house number
+  // marks the part as a street address
+  const hasHouseNumber = /^\d+$/.test(words[0]);
+
+  // Remove obvious street address components from the beginning
+  let cityWords = [];
+  let foundCity = false;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].toLowerCase();
+
+    // Skip leading numbers
+    if (i === 0 && /^\d+$/.test(word)) {
+      continue;
+    }
+
+    // Skip directionals and street types, but only at the beginning or if we haven't found city yet
+    if (hasHouseNumber && !foundCity && STREET_WORDS.test(word)) {
+      continue;
+    }
+
+    // Once we have a non-street word, consider it part of the city
+    foundCity = true;
+    cityWords.push(words[i]);
+  }
+
+  // If we found city words, use them; otherwise use the original part
+  return cityWords.length > 0 ? cityWords.join(' ') : part;
+};
+
+// Postcode formats, tried against each comma-separated part from the end.
+// `region` and `city` are capture group numbers; a missing city is taken
+// from the part before.
+const POSTCODE_PATTERNS = [
+  // "Boston, MA 02115", "New York NY 10019-1234"
+  { country: 'US', pattern: /^(?:(.+?)\s+)?([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/, city: 1, region: 2, postcode: 3, regions: US_STATES },
+  // "Toronto, ON M5H 2N2"
+  { country: 'CA', pattern: /^(?:(.+?)\s+)?([A-Z]{2})\s+([A-Z]\d[A-Z]\s?\d[A-Z]\d)$/, city: 1, region: 2, postcode: 3, regions: CA_PROVINCES },
+  // "Sydney NSW 2000"
+  { country: 'AU', pattern: /^(?:(.+?)\s+)?([A-Z]{2,3})\s+(\d{4})$/, city: 1, region: 2, postcode: 3, regions: AU_STATES },
+  // "London W1U 2BP", "M1 1AA"
+  { country: 'GB', pattern: /^(?:(.+?)\s+)?([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/, city: 1, postcode: 2 },
+  // "Tokyo 100-8111", "〒100-8111"
+  { country: 'JP', pattern: /^(?:(.+?)\s+)?〒?\s*(\d{3}-\d{4})$/, city: 1, postcode: 2 },
+  // "1017 XN Amsterdam"
+  { country: 'NL', pattern: /^(\d{4}\s?[A-Z]{2})\s+(.+)$/, city: 2, postcode: 1, notFirst: true },
+  // "10117 Berlin", "1010 Wien", "75001 Paris": continental Europe and most
+  // of the world put the postcode first
+  { country: '', pattern: /^(\d{4,5})\s+(\D.*)$/, city: 2, postcode: 1, notFirst: true }
+];
+
+const emptyAddress = (addressString) => ({
+  fullAddress: addressString || '',
+  city: '',
+  state: '',
+  zip: '',
+  country: '',
+  countryCode: ''
+});
+
+const withCountry = (address, code) => ({ ...address, countryCode: code, country: getCountryName(code) });
+
+// Best-effort split of a free-text venue address into city, state/region,
+// postcode and country. Fields that can't be worked out are left empty.
+export const parseAddress = (addressString) => {
+  const parts = (addressString || '').split(',').map(p => p.trim()).filter(p => p.length > 0);
+  const result = emptyAddress(addressString);
+  if (parts.length === 0) return result;
+
+  // A trailing country name decides which formats make sense. "CA" and "DE"
+  // at the end of an address are states, not Canada and Germany.
+  const trailing = parts[parts.length - 1];
+  const countryCode = US_STATES.includes(trailing) ? '' : findCountryCode(trailing);
+  if (countryCode) parts.pop();
+  if (parts.length === 0) return withCountry(result, countryCode);
+
+  // "Seattle, WA, 98101": state and ZIP in separate parts
+  const zipOnly = parts[parts.length - 1].match(/^\d{5}(?:-\d{4})?$/);
+  if (zipOnly && parts.length >= 3 && US_STATES.includes(parts[parts.length - 2]) && (!countryCode || countryCode === 'US')) {
+    return withCountry({
+      ...result,
+      city: extractCityFromPart(parts[parts.length - 3]),
+      state: parts[parts.length - 2],
+      zip: zipOnly[0]
+    }, 'US');
+  }
+
+  for (let i = parts.length - 1; i >= 0; i--) {
+    for (const format of POSTCODE_PATTERNS) {
+      if (countryCode && format.country && format.country !== countryCode) continue;
+      if (format.notFirst && i === 0) continue;
+
+      const match = parts[i].match(format.pattern);
+      if (!match) continue;
+
+      const region = format.region ? match[format.region] : '';
+      if (format.regions && !format.regions.includes(region)) continue;
+
+      const city = (format.city && match[format.city]) || (i > 0 ? extractCityFromPart(parts[i - 1]) : '');
+      return withCountry({
+        ...result,
+        city: city.trim(),
+        state: region,
+        zip: match[format.postcode]
+      }, countryCode || format.country);
+    }
+  }
+
+  const last = parts[parts.length - 1];
+
+  // "Austin, TX", "Vancouver, BC, Canada", "Perth, WA, Australia"
+  if (parts.length >= 2 && /^[A-Z]{2,3}$/.test(last)) {
+    const regionCountry = [
+      ['US', US_STATES],
+      ['CA', CA_PROVINCES],
+      ['AU', AU_STATES]
+    ].find(([code, regions]) => (!countryCode || countryCode === code) && regions.includes(last));
+
+    if (regionCountry) {
+      return withCountry({
+        ...result,
+        city: extractCityFromPart(parts[parts.length - 2]),
+        state: last
+      }, countryCode || regionCountry[0]);
+    }
+  }
+
+  // "Kärntner Ring 20, Vienna, Austria", "Berlin, Germany", "Boston". A lone
+  // part with digits in it is a street, not a city.
+  const city = parts.length >= 2 || countryCode || !/\d/.test(last) ? extractCityFromPart(last) : '';
+  return withCountry({ ...result, city }, countryCode);
+};
+
+// Where a show is, as { city, region, postcode, country, countryCode }.
+// Explicit columns win field by field over the geocoder, which wins over the
+// parsed address.
+export const getShowLocation = (show) => {
+  const parsed = parseAddress(show.address);
+  const base = show.place || {
+    city: parsed.city,
+    region: parsed.state,
+    postcode: parsed.zip,
+    countryCode: parsed.countryCode,
+    country: parsed.country
+  };
+
+  const explicitCode = findCountryCode(show.country);
+  const countryCode = show.country ? explicitCode : base.countryCode || '';
+
+  return {
+    city: show.city || base.city || '',
+    region: show.region || base.region || '',
+    postcode: base.postcode || '',
+    countryCode,
+    country: show.country ? getCountryName(explicitCode) || show.country : base.country || ''
+  };
+};
+
+// "Boston, MA", "Toronto, ON", "Berlin, Germany", "Tokyo, Japan"
+export const formatLocationLabel = ({ city, region, country, countryCode }) => {
+  if (!city) return '';
+  if (region && (!countryCode || REGION_COUNTRIES.includes(countryCode))) return `${city}, ${region}`;
+  if (country && countryCode !== 'US') return `${city}, ${country}`;
+  return city;
+};
@@ -0,0 +1,114 @@
+import { extractCityFromPart, findCountryCode, formatLocationLabel, getShowLocation, parseAddress } from './addresses';
+
+describe('parseAddress', () => {
+  test.each([
+    // US
+    ['30 Gainsborough St, Boston, MA 02115', { city: 'Boston', state: 'MA', zip: '02115', country: 'USA', countryCode: 'US' }],
+    ['123 Main St, Seattle, WA, 98101', { city: 'Seattle', state: 'WA', zip: '98101', country: 'USA' }],
+    ['881 7th Ave, New York, NY 10019-1234', { city: 'New York', state: 'NY', zip: '10019-1234', country: 'USA' }],
+    ['Austin, TX', { city: 'Austin', state: 'TX', zip: '', country: 'USA' }],
+    ['718 N Grand Blvd, St Louis, MO 63103', { city: 'St Louis', state: 'MO', country: 'USA' }],
+    ['1 Main St, Springfield, IL 62701, USA', { city: 'Springfield', state: 'IL', countryCode: 'US' }],
+    // UK
+    ['36 Wigmore St, London W1U 2BP, UK', { city: 'London', state: '', zip: 'W1U 2BP', country: 'UK', countryCode: 'GB' }],
+    ['Bridgewater Hall, Lower Mosley St, Manchester M2 3WS', { city: 'Manchester', countryCode: 'GB' }],
+    ['Usher Hall, Lothian Rd, Edinburgh EH1 2EA, Scotland', { city: 'Edinburgh', countryCode: 'GB' }],
+    // Canada and Australia
+    ['100 Queen St W, Toronto, ON M5H 2N2, Canada', { city: 'Toronto', state: 'ON', zip: 'M5H 2N2', country: 'Canada' }],
+    ['Vancouver, BC, Canada', { city: 'Vancouver', state: 'BC', countryCode: 'CA' }],
+    ['Bennelong Point, Sydney NSW 2000, Australia', { city: 'Sydney', state: 'NSW', zip: '2000', country: 'Australia' }],
+    ['Perth WA 6000, Australia', { city: 'Perth', state: 'WA', countryCode: 'AU' }],
+    // Postcode before the city
+    ['Herbert-von-Karajan-Str. 1, 10785 Berlin, Germany', { city: 'Berlin', zip: '10785', country: 'Germany' }],
+    ['Bösendorferstraße 12, 1010 Wien, Österreich', { city: 'Wien', zip: '1010', country: 'Austria' }],
+    ['Concertgebouwplein 10, 1071 LN Amsterdam, Netherlands', { city: 'Amsterdam', zip: '1071 LN', countryCode: 'NL' }],
+    ['221 Avenue Jean-Jaurès, 75019 Paris, France', { city: 'Paris', zip: '75019', countryCode: 'FR' }],
+    // Japan
+    ['1-1 Akasaka, Minato City, Tokyo 107-8403, Japan', { city: 'Tokyo', zip: '107-8403', country: 'Japan' }],
+    // Country only, or nothing recognisable
+    ['Kärntner Ring 20, Vienna, Austria', { city: 'Vienna', state: '', country: 'Austria' }],
+    ['Berlin, Germany', { city: 'Berlin', countryCode: 'DE' }],
+    ['Boston', { city: 'Boston', country: '' }],
+    ['Jordan Hall, Boston', { city: 'Boston', country: '' }],
+    ['1 Rue de Rivoli, Paris, FR', { city: 'Paris', state: '', country: 'France' }],
+    ['Hollywood Bowl, Los Angeles, CA', { city: 'Los Angeles', state: 'CA', countryCode: 'US' }],
+    ['30 Gainsborough St', { city: '', country: '' }],
+    ['', { city: '', state: '', country: '' }]
+  ])('%s', (address, expected) => {
+    expect(parseAddress(address)).toMatchObject({ fullAddress: address, ...expected });
+  });
+});
+
+describe('extractCityFromPart', () => {
+  test.each([
+    ['Boston', 'Boston'],
+    ['123 N Main', 'Main'],
+    ['500 West Hollywood', 'Hollywood'],
+    ['North Hollywood', 'North Hollywood'],
+    ['St Louis', 'St Louis'],
+    ['42', '42'],
+    ['', '']
+  ])('%s', (part, expected) => {
+    expect(extractCityFromPart(part)).toBe(expected);
+  });
+});
+
+describe('findCountryCode', () => {
+  test.each([
+    ['USA', 'US'],
+    ['united states', 'US'],
+    ['England', 'GB'],
+    ['Deutschland', 'DE'],
+    ['jp', 'JP'],
+    ['Narnia', '']
+  ])('%s', (text, expected) => {
+    expect(findCountryCode(text)).toBe(expected);
+  });
+});
+
+describe('getShowLocation', () => {
+  const PLACE = { city: 'Chiyoda', region: 'Tokyo', postcode: '100-0005', country: 'Japan', countryCode: 'JP' };
+
+  test('parses the address when nothing else is known', () => {
+    expect(getShowLocation({ address: '30 Gainsborough St, Boston, MA 02115' })).toEqual({
+      city: 'Boston',
+      region: 'MA',
+      postcode: '02115',
+      country: 'USA',
+      countryCode: 'US'
+    });
+  });
+
+  test('prefers the geocoded place over the address text', () => {
+    expect(getShowLocation({ address: '丸の内2-7-2', place: PLACE })).toEqual(PLACE);
+  });
+
+  test('explicit columns win field by field', () => {
+    expect(getShowLocation({ address: '丸の内2-7-2', place: PLACE, city: 'Tokyo', country: 'Nippon' })).toMatchObject({
+      city: 'Tokyo',
+      region: 'Tokyo',
+      country: 'Nippon',
+      countryCode: ''
+    });
+    expect(getShowLocation({ address: 'Somewhere', city: 'Munich', region: 'Bavaria', country: 'DE' })).toMatchObject({
+      city: 'Munich',
+      region: 'Bavaria',
+      country: 'Germany',
+      countryCode: 'DE'
+    });
+  });
+});
+
+describe('formatLocationLabel', () => {
+  test.each([
+    [{ city: 'Boston', region: 'MA', country: 'USA', countryCode: 'US' }, 'Boston, MA'],
+    [{ city: 'Toronto', region: 'ON', country: 'Canada', countryCode: 'CA' }, 'Toronto, ON'],
+    [{ city: 'Berlin', region: 'Berlin', country: 'Germany', countryCode: 'DE' }, 'Berlin, Germany'],
+    [{ city: 'London', region: '', country: 'UK', countryCode: 'GB' }, 'London, UK'],
+    [{ city: 'Portland', region: '', country: 'USA', countryCode: 'US' }, 'Portland'],
+    [{ city: 'Boston', region: '', country: '', countryCode: '' }, 'Boston'],
+    [{ city: '', region: 'MA', country: 'USA', countryCode: 'US' }, '']
+  ])('%j', (location, expected) => {
+    expect(formatLocationLabel(location)).toBe(expected);
+  });
+});
@@ -0,0 +1,74 @@
+import { parseDate } from './dates';
+import { toInputDate } from './facets';
+import { getPerformances } from './performances';
+import { parseTime } from './timezone';
+
+export const CALENDAR_LAYOUTS = ['month', 'week'];
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Weeks start on Sunday
+const startOfWeek = (date) => addDays(date, -date.getDay());
+
+// The weeks drawn for the month or week `date` falls in, each as seven dates.
+// Month grids start and end on whole weeks, so they include a few days of the
+// months either side.
+export const getCalendarWeeks = (layout, date) => {
+  const first = layout === 'week'
+    ? startOfWeek(date)
+    : startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+  const last = layout === 'week'
+    ? first
+    : startOfWeek(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+
+  const weeks = [];
+  for (let start = first; start <= last; start = addDays(start, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, index) => addDays(start, index)));
+  }
+  return weeks;
+};
+
+// A week or month before (step -1) or after (step 1) `date`. Months land on
+// their first day so Jan 31 + 1 month isn't March.
+export const shiftCalendarDate = (layout, date, step) => (
+  layout === 'week'
+    ? addDays(date, 7 * step)
+    : new Date(date.getFullYear(), date.getMonth() + step, 1)
+);
+
+// "March 2030" or "Mar 10 – 16, 2030"
+export const formatCalendarTitle = (layout, date) => {
+  if (layout !== 'week') {
+    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+  const start = startOfWeek(date);
+  const end = addDays(start, 6);
+  const startLabel = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const endLabel = end.getMonth() === start.getMonth()
+    ? end.getDate()
+    : end.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const sameYear = start.getFullYear() === end.getFullYear();
+  return sameYear
+    ? `${startLabel} – ${endLabel}, ${end.getFullYear()}`
+    : `${startLabel}, ${start.getFullYear()} – ${endLabel}, ${end.getFullYear()}`;
+};
+
+const minutesOf = (time) => {
+  const parsed = parseTime(time);
+  return parsed ? parsed.hours * 60 + parsed.minutes : Infinity;
+};
+
+// Calendar entries by day ("2030-03-14"), one per performance (see
+// getPerformances): a show with a matinee and an evening time is on its day
+// twice. Entries run in time order, with times that can't be read (and shows
+// without one) last.
+export const groupShowsByDay = (shows) => {
+  const days = new Map();
+  shows.forEach(show => {
+    const key = toInputDate(parseDate(show.show_date));
+    if (!days.has(key)) days.set(key, []);
+    getPerformances(show).forEach(performance => days.get(key).push({ show, performance }));
+  });
+  days.forEach(entries => entries.sort((a, b) => (minutesOf(a.performance.time) - minutesOf(b.performance.time)) || 0));
+  return days;
+};
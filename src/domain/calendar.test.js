@@ -0,0 +1,68 @@
+import { formatCalendarTitle, getCalendarWeeks, groupShowsByDay, shiftCalendarDate } from './calendar';
+
+const dayNumbers = (weeks) => weeks.map(week => week.map(date => date.getDate()));
+
+describe('getCalendarWeeks', () => {
+  test('covers the month in whole weeks', () => {
+    const weeks = getCalendarWeeks('month', new Date(2030, 2, 14));
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toEqual(new Date(2030, 1, 24));
+    expect(weeks[5][6]).toEqual(new Date(2030, 3, 6));
+  });
+
+  test('draws a single week from Sunday', () => {
+    expect(dayNumbers(getCalendarWeeks('week', new Date(2030, 2, 14)))).toEqual([[10, 11, 12, 13, 14, 15, 16]]);
+  });
+
+  test('spans a month boundary', () => {
+    expect(dayNumbers(getCalendarWeeks('week', new Date(2030, 2, 31)))).toEqual([[31, 1, 2, 3, 4, 5, 6]]);
+  });
+});
+
+describe('shiftCalendarDate', () => {
+  test('moves by months to their first day', () => {
+    expect(shiftCalendarDate('month', new Date(2030, 0, 31), 1)).toEqual(new Date(2030, 1, 1));
+    expect(shiftCalendarDate('month', new Date(2030, 0, 31), -1)).toEqual(new Date(2029, 11, 1));
+  });
+
+  test('moves by weeks', () => {
+    expect(shiftCalendarDate('week', new Date(2030, 2, 28), 1)).toEqual(new Date(2030, 3, 4));
+  });
+});
+
+describe('formatCalendarTitle', () => {
+  test.each([
+    ['month', new Date(2030, 2, 14), 'March 2030'],
+    ['week', new Date(2030, 2, 14), 'Mar 10 – 16, 2030'],
+    ['week', new Date(2030, 2, 31), 'Mar 31 – Apr 6, 2030'],
+    ['week', new Date(2030, 11, 31), 'Dec 29, 2030 – Jan 4, 2031']
+  ])('%s of %s', (layout, date, expected) => {
+    expect(formatCalendarTitle(layout, date)).toBe(expected);
+  });
+});
+
+describe('groupShowsByDay', () => {
+  const MATINEE = { id: 'matinee', show_date: '03/14/2030', show_time: '7:30pm, 2pm', performances: '2pm sold out' };
+  const LATE = { id: 'late', show_date: '3/14/2030', show_time: '10pm' };
+  const UNTIMED = { id: 'untimed', show_date: '03/14/2030', show_time: 'TBA' };
+  const NEXT_DAY = { id: 'next-day', show_date: '03/15/2030', show_time: '' };
+
+  const listed = (entries) => entries.map(({ show, performance }) => [show.id, performance.time]);
+
+  test('lists each performance on its day in time order', () => {
+    const days = groupShowsByDay([UNTIMED, LATE, MATINEE, NEXT_DAY]);
+    expect(listed(days.get('2030-03-14'))).toEqual([
+      ['matinee', '2pm'],
+      ['matinee', '7:30pm'],
+      ['late', '10pm'],
+      ['untimed', 'TBA']
+    ]);
+    expect(listed(days.get('2030-03-15'))).toEqual([['next-day', '']]);
+  });
+
+  test('keeps each performance\'s own details', () => {
+    const [matinee, evening] = groupShowsByDay([MATINEE]).get('2030-03-14');
+    expect(matinee.performance).toMatchObject({ id: 'matinee-2', soldOut: true });
+    expect(evening.performance).toMatchObject({ id: 'matinee-1', soldOut: false });
+  });
+});
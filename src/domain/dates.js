@@ -0,0 +1,43 @@
+import { getLaunchInstant } from './timezone';
+
+// Sheet dates are MM/DD/YYYY strings, interpreted in the viewer's local time
+export const parseDate = (dateString) => {
+  const [month, day, year] = dateString.split('/');
+
+  return new Date(year, month - 1, day);
+};
+
+// "Friday, March 14, 2030"
+export const formatDate = (dateString) => {
+  return parseDate(dateString).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+// "7:00pm, 9:30pm" -> ['7:00pm', '9:30pm']
+export const parseShowTimes = (timeString) => {
+  if (!timeString) return [];
+  return timeString.split(',').map(time => time.trim()).filter(time => time.length > 0);
+};
+
+const startOfDay = (now) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// Shows stay hidden until their launch date and time (see getLaunchInstant)
+export const isShowVisible = (show, now = new Date()) => {
+  if (!show.launch_date) return true;
+  return getLaunchInstant(show) <= now;
+};
+
+// A show counts as upcoming for the whole of its day. Show_Date is the
+// effective date (see status.js): a rescheduled show moves with it, and a
+// cancelled one stays listed until the day it would have happened.
+export const isShowPast = (show, now = new Date()) => {
+  return parseDate(show.show_date) < startOfDay(now);
+};
@@ -0,0 +1,62 @@
+import { formatDate, isShowPast, isShowVisible, parseDate, parseShowTimes } from './dates';
+
+const NOW = new Date(2030, 2, 14, 15, 30);
+
+describe('parseDate', () => {
+  test('reads MM/DD/YYYY as local midnight', () => {
+    expect(parseDate('03/14/2030')).toEqual(new Date(2030, 2, 14));
+    expect(parseDate('3/4/2030')).toEqual(new Date(2030, 2, 4));
+  });
+});
+
+describe('formatDate', () => {
+  test('spells the date out', () => {
+    expect(formatDate('03/14/2030')).toBe('Thursday, March 14, 2030');
+  });
+});
+
+describe('parseShowTimes', () => {
+  test.each([
+    ['7:30pm', ['7:30pm']],
+    ['2:00pm, 7:00pm', ['2:00pm', '7:00pm']],
+    [' 2pm ,, 5pm, 8pm ', ['2pm', '5pm', '8pm']],
+    ['TBA', ['TBA']],
+    ['', []],
+    [undefined, []]
+  ])('%j', (input, expected) => {
+    expect(parseShowTimes(input)).toEqual(expected);
+  });
+});
+
+describe('isShowPast', () => {
+  test.each([
+    ['03/13/2030', true],
+    ['03/14/2030', false],
+    ['03/15/2030', false]
+  ])('%s', (showDate, expected) => {
+    expect(isShowPast({ show_date: showDate }, NOW)).toBe(expected);
+  });
+});
+
+describe('isShowVisible', () => {
+  test.each([
+    ['', true],
+    ['03/13/2030', true],
+    ['03/14/2030', true],
+    ['03/15/2030', false]
+  ])('launch date %j', (launchDate, expected) => {
+    expect(isShowVisible({ launch_date: launchDate, show_date: '04/01/2030' }, NOW)).toBe(expected);
+  });
+
+  test('launches at the launch time in the launch timezone', () => {
+    const show = { launch_date: '03/14/2030', launch_time: '10am', launch_timezone: 'America/New_York', show_date: '04/01/2030' };
+    expect(isShowVisible(show, new Date(Date.UTC(2030, 2, 14, 13, 59)))).toBe(false);
+    expect(isShowVisible(show, new Date(Date.UTC(2030, 2, 14, 14, 0)))).toBe(true);
+  });
+
+  test('reads the launch time in the venue timezone by default', () => {
+    const show = { launch_date: '03/14/2030', launch_time: '10am', address: 'Musikvereinsplatz 1, 1010 Wien, Austria', show_date: '04/01/2030' };
+    expect(isShowVisible(show, new Date(Date.UTC(2030, 2, 14, 8, 59)))).toBe(false);
+    expect(isShowVisible(show, new Date(Date.UTC(2030, 2, 14, 9, 0)))).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { parseDate } from './dates';
+
+// Great-circle distances between the visitor and venues, for "near me"
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+const KM_PER_DEGREE = 111.32;
+
+// Radius slider steps, in the viewer's unit; past the last step is any distance
+export const RADIUS_STEPS = [10, 25, 50, 100, 250, 500];
+
+// Miles where road signs use them, kilometres elsewhere
+export const getDistanceUnit = (locale = navigator.language) => (
+  /[-_](US|GB|LR|MM)$/i.test(locale || '') ? 'mi' : 'km'
+);
+
+export const toKilometres = (value, unit) => (unit === 'mi' ? value * KM_PER_MILE : value);
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const getDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Null until the show has coordinates (from the data or the geocoder)
+export const getShowDistance = (show, origin) => {
+  const lat = parseFloat(show.lat);
+  const lng = parseFloat(show.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return getDistanceKm(origin, { lat, lng });
+};
+
+const isWithin = (distance, radiusKm) => distance !== null && (radiusKm === null || distance <= radiusKm);
+
+// Whether a show is within `radiusKm` of the origin (any distance when null).
+// Shows without coordinates never are.
+export const isWithinRadius = (show, origin, radiusKm) => isWithin(getShowDistance(show, origin), radiusKm);
+
+// Shows within `radiusKm` of the origin (any distance when null), nearest
+// first and by date at the same venue. Shows without coordinates are left out.
+export const sortByDistance = (shows, origin, radiusKm = null) => shows
+  .map(show => ({ show, distance: getShowDistance(show, origin) }))
+  .filter(({ distance }) => isWithin(distance, radiusKm))
+  .sort((a, b) => a.distance - b.distance || parseDate(a.show.show_date) - parseDate(b.show.show_date))
+  .map(({ show }) => show);
+
+export const formatDistance = (km, unit = 'km') => {
+  const value = unit === 'mi' ? km / KM_PER_MILE : km;
+  if (value < 1) return `under 1 ${unit}`;
+  return `${value < 10 ? value.toFixed(1).replace(/\.0$/, '') : Math.round(value).toLocaleString('en-US')} ${unit}`;
+};
+
+// [[west, south], [east, north]] around the origin, for fitting a map to the radius
+export const getRadiusBounds = (origin, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const dLng = Math.min(180, radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(toRadians(origin.lat)), 0.01)));
+  return [
+    [Math.max(origin.lng - dLng, -180), Math.max(origin.lat - dLat, -90)],
+    [Math.min(origin.lng + dLng, 180), Math.min(origin.lat + dLat, 90)]
+  ];
+};
@@ -0,0 +1,78 @@
+import { formatDistance, getDistanceKm, getDistanceUnit, getRadiusBounds, isWithinRadius, sortByDistance, toKilometres } from './distance';
+
+const BOSTON = { lat: 42.3601, lng: -71.0589 };
+const NEW_YORK = { lat: 40.7128, lng: -74.006 };
+
+const show = (id, lat, lng, date = '03/14/2030') => ({ id, show_date: date, lat, lng });
+
+describe('getDistanceKm', () => {
+  test('measures great-circle distance', () => {
+    expect(getDistanceKm(BOSTON, NEW_YORK)).toBeCloseTo(306, 0);
+    expect(getDistanceKm(BOSTON, BOSTON)).toBe(0);
+  });
+});
+
+describe('sortByDistance', () => {
+  const shows = [
+    show('new-york', NEW_YORK.lat, NEW_YORK.lng),
+    show('boston-later', '42.3398', '-71.0875', '04/01/2030'),
+    show('boston', 42.3398, -71.0875),
+    show('unlocated', '', ''),
+    show('london', 51.5074, -0.1278)
+  ];
+
+  test('puts the nearest shows first and leaves out shows without coordinates', () => {
+    expect(sortByDistance(shows, BOSTON).map(({ id }) => id)).toEqual(['boston', 'boston-later', 'new-york', 'london']);
+  });
+
+  test('keeps only shows within the radius', () => {
+    expect(sortByDistance(shows, BOSTON, 50).map(({ id }) => id)).toEqual(['boston', 'boston-later']);
+    expect(sortByDistance(shows, BOSTON, 400).map(({ id }) => id)).toEqual(['boston', 'boston-later', 'new-york']);
+  });
+});
+
+describe('isWithinRadius', () => {
+  test('checks a show against the radius', () => {
+    expect(isWithinRadius(show('boston', 42.3398, -71.0875), BOSTON, 50)).toBe(true);
+    expect(isWithinRadius(show('new-york', NEW_YORK.lat, NEW_YORK.lng), BOSTON, 50)).toBe(false);
+    expect(isWithinRadius(show('london', 51.5074, -0.1278), BOSTON, null)).toBe(true);
+  });
+
+  test('leaves out shows without coordinates', () => {
+    expect(isWithinRadius(show('unlocated', '', ''), BOSTON, 50)).toBe(false);
+    expect(isWithinRadius(show('unlocated', '', ''), BOSTON, null)).toBe(false);
+  });
+});
+
+describe('units', () => {
+  test.each([
+    ['en-US', 'mi'],
+    ['en-GB', 'mi'],
+    ['en-CA', 'km'],
+    ['de', 'km'],
+    ['', 'km']
+  ])('%s uses %s', (locale, unit) => {
+    expect(getDistanceUnit(locale)).toBe(unit);
+  });
+
+  test('formats distances in the unit', () => {
+    expect(formatDistance(306, 'km')).toBe('306 km');
+    expect(formatDistance(306, 'mi')).toBe('190 mi');
+    expect(formatDistance(4.03, 'km')).toBe('4 km');
+    expect(formatDistance(4.5, 'km')).toBe('4.5 km');
+    expect(formatDistance(0.4, 'mi')).toBe('under 1 mi');
+    expect(formatDistance(5600, 'km')).toBe('5,600 km');
+    expect(toKilometres(10, 'mi')).toBeCloseTo(16.09, 2);
+  });
+});
+
+describe('getRadiusBounds', () => {
+  test('spans the radius in every direction', () => {
+    const [[west, south], [east, north]] = getRadiusBounds(BOSTON, 100);
+    expect(north - BOSTON.lat).toBeCloseTo(0.898, 2);
+    expect(BOSTON.lat - south).toBeCloseTo(0.898, 2);
+    // Degrees of longitude are shorter away from the equator
+    expect(east - BOSTON.lng).toBeGreaterThan(1.2);
+    expect(BOSTON.lng - west).toBeCloseTo(east - BOSTON.lng, 6);
+  });
+});
@@ -0,0 +1,122 @@
+import { formatLocationLabel, getShowLocation } from './addresses';
+import { parseDate } from './dates';
+
+// Facets the list and map views can be narrowed by. Each show has at most one
+// value per facet; picking several values of a facet shows any of them, and
+// different facets all have to match.
+export const FACETS = [
+  { key: 'type', label: 'Show type' },
+  { key: 'group', label: 'Group' },
+  { key: 'country', label: 'Country' },
+  { key: 'region', label: 'State / region' },
+  { key: 'city', label: 'City' }
+];
+
+export const EMPTY_FILTERS = {
+  type: [],
+  group: [],
+  country: [],
+  region: [],
+  city: [],
+  livestream: false,
+  from: '',
+  to: ''
+};
+
+const getFacetValues = (show) => {
+  const location = getShowLocation(show);
+  return {
+    type: (show.show_type || '').trim(),
+    group: (show.group || '').trim(),
+    country: location.country,
+    region: location.region,
+    city: formatLocationLabel(location)
+  };
+};
+
+// "2030-03-14" from a date input, as a local date
+export const parseInputDate = (value) => {
+  const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(match[1], match[2] - 1, match[3]) : null;
+};
+
+export const toInputDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// First and last day of the month `date` falls in, for the date range inputs
+export const getMonthRange = (date = new Date()) => ({
+  from: toInputDate(new Date(date.getFullYear(), date.getMonth(), 1)),
+  to: toInputDate(new Date(date.getFullYear(), date.getMonth() + 1, 0))
+});
+
+export const hasActiveFilters = (filters) => (
+  FACETS.some(({ key }) => filters[key].length > 0) || filters.livestream || !!filters.from || !!filters.to
+);
+
+// Whether a show passes every filter except the facet named in `except`
+const matchesFilters = (show, values, filters, except) => {
+  if (filters.livestream && !(show.livestream_ticket_url || '').trim()) return false;
+
+  const from = parseInputDate(filters.from);
+  const to = parseInputDate(filters.to);
+  if (from || to) {
+    const date = parseDate(show.show_date);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+  }
+
+  return FACETS.every(({ key }) => (
+    key === except || filters[key].length === 0 || filters[key].includes(values[key])
+  ));
+};
+
+export const applyFilters = (shows, filters) => {
+  if (!hasActiveFilters(filters)) return shows;
+  return shows.filter(show => matchesFilters(show, getFacetValues(show), filters));
+};
+
+// Values of every facet with how many shows each would give, as
+// { type: [{ value, count, selected }], ... }, most common first. A facet's
+// counts ignore its own selection, so picking one value doesn't hide the rest.
+export const countFacets = (shows, filters) => {
+  const counts = Object.fromEntries(FACETS.map(({ key }) => [key, new Map()]));
+
+  shows.forEach(show => {
+    const values = getFacetValues(show);
+    FACETS.forEach(({ key }) => {
+      if (!values[key] || !matchesFilters(show, values, filters, key)) return;
+      counts[key].set(values[key], (counts[key].get(values[key]) || 0) + 1);
+    });
+  });
+
+  return Object.fromEntries(FACETS.map(({ key }) => {
+    // Keep selected values listed even when nothing matches them any more
+    filters[key].forEach(value => {
+      if (!counts[key].has(value)) counts[key].set(value, 0);
+    });
+    const options = [...counts[key]]
+      .map(([value, count]) => ({ value, count, selected: filters[key].includes(value) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return [key, options];
+  }));
+};
+
+// URL query parameters, e.g. ?type=Recital&type=Concert&livestream=1&from=2030-03-01
+export const parseFilters = (params) => ({
+  ...Object.fromEntries(FACETS.map(({ key }) => [key, params.getAll(key).filter(Boolean)])),
+  livestream: params.get('livestream') === '1',
+  from: parseInputDate(params.get('from')) ? params.get('from') : '',
+  to: parseInputDate(params.get('to')) ? params.get('to') : ''
+});
+
+export const writeFilters = (params, filters = EMPTY_FILTERS) => {
+  FACETS.forEach(({ key }) => {
+    filters[key].forEach(value => params.append(key, value));
+  });
+  if (filters.livestream) params.set('livestream', '1');
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+};
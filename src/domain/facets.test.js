@@ -0,0 +1,84 @@
+import { EMPTY_FILTERS, applyFilters, countFacets, getMonthRange, hasActiveFilters } from './facets';
+
+const show = (overrides) => ({
+  show_date: '03/14/2030',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  show_type: 'Concert',
+  livestream_ticket_url: '',
+  ...overrides
+});
+
+const BOSTON = show({});
+const BOSTON_STREAM = show({ show_date: '03/28/2030', show_type: 'Recital', livestream_ticket_url: 'https://example.com/stream' });
+const CHICAGO = show({ show_date: '04/02/2030', venue: 'Symphony Center', address: '220 S Michigan Ave, Chicago, IL 60604' });
+const VIENNA = show({ venue: 'Musikverein', address: 'Musikvereinsplatz 1, 1010 Wien, Austria', group: 'Trombone Choir' });
+const SHOWS = [BOSTON, BOSTON_STREAM, CHICAGO, VIENNA];
+
+describe('applyFilters', () => {
+  test('returns the list untouched without filters', () => {
+    expect(applyFilters(SHOWS, EMPTY_FILTERS)).toBe(SHOWS);
+  });
+
+  test('matches any picked value within a facet', () => {
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, city: ['Chicago, IL', 'Wien, Austria'] })).toEqual([CHICAGO, VIENNA]);
+  });
+
+  test('matches every facet', () => {
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, region: ['MA'], type: ['Concert'] })).toEqual([BOSTON]);
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, country: ['Austria'], group: ['Brass Quintet'] })).toEqual([]);
+  });
+
+  test('keeps livestreamed shows', () => {
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, livestream: true })).toEqual([BOSTON_STREAM]);
+  });
+
+  test('keeps shows within the date range, inclusive', () => {
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, from: '2030-03-28' })).toEqual([BOSTON_STREAM, CHICAGO]);
+    expect(applyFilters(SHOWS, { ...EMPTY_FILTERS, from: '2030-03-01', to: '2030-03-28' })).toEqual([BOSTON, BOSTON_STREAM, VIENNA]);
+  });
+});
+
+describe('countFacets', () => {
+  test('counts each value, most common first', () => {
+    const facets = countFacets(SHOWS, EMPTY_FILTERS);
+    expect(facets.city).toEqual([
+      { value: 'Boston, MA', count: 2, selected: false },
+      { value: 'Chicago, IL', count: 1, selected: false },
+      { value: 'Wien, Austria', count: 1, selected: false }
+    ]);
+    expect(facets.country).toEqual([
+      { value: 'USA', count: 3, selected: false },
+      { value: 'Austria', count: 1, selected: false }
+    ]);
+    expect(facets.region.map(option => option.value)).toEqual(['MA', 'IL']);
+  });
+
+  test('counts a facet as if its own selection were cleared', () => {
+    const facets = countFacets(SHOWS, { ...EMPTY_FILTERS, type: ['Recital'] });
+    expect(facets.type).toEqual([
+      { value: 'Concert', count: 3, selected: false },
+      { value: 'Recital', count: 1, selected: true }
+    ]);
+    expect(facets.city).toEqual([{ value: 'Boston, MA', count: 1, selected: false }]);
+  });
+
+  test('keeps selected values that no longer match anything', () => {
+    const facets = countFacets(SHOWS, { ...EMPTY_FILTERS, group: ['Trombone Choir'], livestream: true });
+    expect(facets.group).toEqual([
+      { value: 'Brass Quintet', count: 1, selected: false },
+      { value: 'Trombone Choir', count: 0, selected: true }
+    ]);
+  });
+});
+
+test('hasActiveFilters', () => {
+  expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false);
+  expect(hasActiveFilters({ ...EMPTY_FILTERS, group: ['Brass Quintet'] })).toBe(true);
+  expect(hasActiveFilters({ ...EMPTY_FILTERS, to: '2030-01-01' })).toBe(true);
+});
+
+test('getMonthRange', () => {
+  expect(getMonthRange(new Date(2030, 1, 14))).toEqual({ from: '2030-02-01', to: '2030-02-28' });
+});
@@ -0,0 +1,85 @@
+import { getShowLocation } from './addresses';
+import { parseDate } from './dates';
+import { parseLineup } from './lineup';
+import { createPerformerSlug } from './performers';
+import { slugify } from './show';
+
+export const createGroupSlug = (group) => slugify(group);
+
+// Lineup members playing in at least this many of a group's shows count as
+// regulars (or everyone, for a group with a single show)
+const REGULAR_MIN_SHOWS = 2;
+
+const countBy = (items, getKey) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+const buildGroup = (slug, shows, performerSlug) => {
+  const names = countBy(shows, show => show.group.trim());
+  const name = [...names].sort((a, b) => b[1] - a[1])[0][0];
+
+  const members = new Map();
+  shows.forEach(show => {
+    const seen = new Set();
+    parseLineup(show.lineup).forEach(member => {
+      const memberSlug = performerSlug(member.name);
+      if (seen.has(memberSlug)) return;
+      seen.add(memberSlug);
+
+      const entry = members.get(memberSlug) || { slug: memberSlug, name: member.name, instruments: new Set(), count: 0 };
+      entry.count += 1;
+      if (member.instrument) entry.instruments.add(member.instrument.toLowerCase());
+      members.set(memberSlug, entry);
+    });
+  });
+
+  const minShows = Math.min(REGULAR_MIN_SHOWS, shows.length);
+  const regulars = [...members.values()]
+    .filter(member => member.count >= minShows)
+    .map(member => ({ ...member, instruments: [...member.instruments] }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  return {
+    slug,
+    name,
+    shows,
+    showsByYear: [...countBy(shows, show => parseDate(show.show_date).getFullYear())]
+      .map(([year, count]) => ({ year, count }))
+      .sort((a, b) => b.year - a.year),
+    showsByCountry: [...countBy(shows, show => getShowLocation(show).country || 'Unknown')]
+      .map(([country, count]) => ({ country, count }))
+      .sort((a, b) => b.count - a.count || a.country.localeCompare(b.country)),
+    venueCount: new Set(shows.map(show => slugify(show.venue))).size,
+    regulars
+  };
+};
+
+// Every group with its shows (in date order), yearly and per-country counts,
+// how many venues it has played and its regular lineup. `performerSlug` maps
+// a lineup name to a performer page, so merged spellings link to one page.
+export const createGroupIndex = (shows, { performerSlug = createPerformerSlug } = {}) => {
+  const bySlug = new Map();
+  [...shows]
+    .sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date))
+    .forEach(show => {
+      const slug = createGroupSlug(show.group);
+      if (!slug) return;
+      if (!bySlug.has(slug)) bySlug.set(slug, []);
+      bySlug.get(slug).push(show);
+    });
+
+  const groups = [...bySlug]
+    .map(([slug, groupShows]) => buildGroup(slug, groupShows, performerSlug))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const groupsBySlug = new Map(groups.map(group => [group.slug, group]));
+
+  return {
+    groups,
+    find: (slug) => groupsBySlug.get(slug) || null
+  };
+};
@@ -0,0 +1,64 @@
+import { createGroupIndex } from './groups';
+
+const show = (overrides) => ({
+  show_date: '03/14/2030',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  lineup: 'Ana Ruiz (trombone) :: Ben Cho (trumpet)',
+  ...overrides
+});
+
+const BOSTON = show({});
+const VIENNA = show({
+  show_date: '06/01/2029',
+  venue: 'Musikverein',
+  address: 'Musikvereinsplatz 1, 1010 Wien, Austria',
+  lineup: 'Ana Ruiz (trombone) :: Dee Park (horn)'
+});
+const CHICAGO = show({
+  show_date: '01/20/2030',
+  venue: 'Symphony Center',
+  address: '220 S Michigan Ave, Chicago, IL 60604',
+  group: 'brass quintet',
+  lineup: 'Ana Ruiz (Bass Trombone) :: Ben Cho (trumpet)'
+});
+const CHOIR = show({ group: 'Trombone Choir', lineup: 'Cy Dunn (trombone)' });
+const SOLO = show({ group: '' });
+
+describe('createGroupIndex', () => {
+  const index = createGroupIndex([BOSTON, VIENNA, CHICAGO, CHOIR, SOLO]);
+
+  test('groups shows by name, ignoring case', () => {
+    expect(index.groups.map(group => group.slug)).toEqual(['brass-quintet', 'trombone-choir']);
+    const quintet = index.find('brass-quintet');
+    expect(quintet.name).toBe('Brass Quintet');
+    expect(quintet.shows).toEqual([VIENNA, CHICAGO, BOSTON]);
+    expect(quintet.venueCount).toBe(3);
+  });
+
+  test('counts shows by year and country', () => {
+    const quintet = index.find('brass-quintet');
+    expect(quintet.showsByYear).toEqual([{ year: 2030, count: 2 }, { year: 2029, count: 1 }]);
+    expect(quintet.showsByCountry).toEqual([{ country: 'USA', count: 2 }, { country: 'Austria', count: 1 }]);
+  });
+
+  test('lists regular lineup members', () => {
+    expect(index.find('brass-quintet').regulars).toEqual([
+      { slug: 'ana-ruiz', name: 'Ana Ruiz', instruments: ['trombone', 'bass trombone'], count: 3 },
+      { slug: 'ben-cho', name: 'Ben Cho', instruments: ['trumpet'], count: 2 }
+    ]);
+    expect(index.find('trombone-choir').regulars).toEqual([
+      { slug: 'cy-dunn', name: 'Cy Dunn', instruments: ['trombone'], count: 1 }
+    ]);
+  });
+
+  test('links lineup names through the given performer slugs', () => {
+    const merged = createGroupIndex([BOSTON], { performerSlug: name => (name === 'Ana Ruiz' ? 'ana-m-ruiz' : 'other') });
+    expect(merged.find('brass-quintet').regulars.map(member => member.slug)).toEqual(['ana-m-ruiz', 'other']);
+  });
+
+  test('returns null for unknown groups', () => {
+    expect(index.find('nobody')).toBeNull();
+  });
+});
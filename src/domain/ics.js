@@ -0,0 +1,307 @@
+import { isShowPast, isShowVisible } from './dates';
+import { getPerformances } from './performances';
+import { slugify } from './show';
+import { getShowStatus, getStatusNotice } from './status';
+import { getTimezoneAbbreviation, getTimezoneOffset, getVenueTimezone, parseTime, zonedTimeToUtc } from './timezone';
+
+// Shows don't list an end time; calendars get a two-hour block
+export const DEFAULT_DURATION_MINUTES = 120;
+
+const PRODUCT_ID = '-//Classical Trombone//Shows Tracker//EN';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock arithmetic on { year, month, day, hours, minutes }
+const addMinutes = (local, minutes) => {
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day, local.hours || 0, (local.minutes || 0) + minutes));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hours: date.getUTCHours(),
+    minutes: date.getUTCMinutes()
+  };
+};
+
+const formatLocalDateTime = (local) => `${local.year}${pad(local.month)}${pad(local.day)}T${pad(local.hours)}${pad(local.minutes)}00`;
+const formatLocalDate = (local) => `${local.year}${pad(local.month)}${pad(local.day)}`;
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildDescription = (show, performance, pageUrl) => {
+  const lineup = (show.lineup || '').split('::').map(entry => entry.trim()).filter(entry => entry.length > 0);
+  return [
+    getStatusNotice(show),
+    show.show_description,
+    lineup.length > 0 ? `Lineup:\n${lineup.join('\n')}` : '',
+    performance.soldOut ? 'Sold out' : '',
+    performance.ticketUrl ? `Tickets: ${performance.ticketUrl}` : '',
+    performance.livestreamUrl ? `Livestream: ${performance.livestreamUrl}` : '',
+    pageUrl ? `Details: ${pageUrl}` : ''
+  ].filter(Boolean).join('\n\n');
+};
+
+// The calendar event model shared by .ics files and the Google/Outlook links:
+// one event per performance (see getPerformances), in the venue's zone, with
+// that performance's links. Shows without a usable time become all-day events.
+// Cancelled shows stay in the feed, marked cancelled, so subscribed calendars
+// update instead of silently losing the event.
+export const buildShowEvents = (show, { pageUrl } = {}) => {
+  const [month, day, year] = show.show_date.split('/').map(n => parseInt(n, 10));
+  const timeZone = getVenueTimezone(show);
+  const performances = getPerformances(show);
+  const slots = performances
+    .map(performance => ({ performance, time: parseTime(performance.time) }))
+    .filter(slot => slot.time);
+
+  const title = show.group ? `${show.group} at ${show.venue}` : show.venue;
+  const base = (performance) => ({
+    title,
+    location: [show.venue, show.address].filter(Boolean).join(', '),
+    description: buildDescription(show, performance, pageUrl),
+    url: pageUrl || performance.ticketUrl || performance.livestreamUrl || '',
+    cancelled: getShowStatus(show) === 'cancelled'
+  });
+
+  if (slots.length === 0) {
+    const start = { year, month, day };
+    return [{
+      ...base(performances[0]),
+      uid: `${show.id}@shows-tracker`,
+      allDay: true,
+      timeZone,
+      start,
+      end: addMinutes(start, 24 * 60)
+    }];
+  }
+
+  return slots.map((slot, index) => {
+    const start = { year, month, day, ...slot.time };
+    const end = addMinutes(start, DEFAULT_DURATION_MINUTES);
+    return {
+      ...base(slot.performance),
+      uid: `${show.id}-${index + 1}@shows-tracker`,
+      title: slots.length > 1 ? `${title} (${slot.performance.time})` : title,
+      performanceTime: slot.performance.time,
+      allDay: false,
+      timeZone,
+      start,
+      end,
+      startInstant: timeZone ? zonedTimeToUtc(start, timeZone) : null,
+      endInstant: timeZone ? zonedTimeToUtc(end, timeZone) : null
+    };
+  });
+};
+
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines
+// starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (length + size > limit) {
+      chunks.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// Offset changes in a zone during a year, found day by day and then narrowed
+// to the minute
+const findTransitions = (timeZone, year) => {
+  const transitions = [];
+  let previousTime = Date.UTC(year, 0, 1);
+  let previousOffset = getTimezoneOffset(new Date(previousTime), timeZone);
+
+  for (let day = 1; day <= 366; day++) {
+    const time = Date.UTC(year, 0, 1 + day);
+    const offset = getTimezoneOffset(new Date(time), timeZone);
+
+    if (offset !== previousOffset) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.max(60000, Math.floor((high - low) / 120000) * 60000);
+        if (getTimezoneOffset(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+
+    previousTime = time;
+  }
+
+  return transitions;
+};
+
+const formatTransitionStart = (at, offset) => {
+  const wallClock = new Date(at.getTime() + offset * 60000);
+  return formatUtcDateTime(wallClock).replace('Z', '');
+};
+
+// VTIMEZONE for a zone covering the given years. Each transition is listed
+// explicitly, which every calendar client understands.
+export const buildTimezoneComponent = (timeZone, years) => {
+  const sortedYears = [...new Set(years)].sort();
+  // The previous year's last transition sets the offset for early dates
+  const transitions = [sortedYears[0] - 1, ...sortedYears].flatMap(year => findTransitions(timeZone, year));
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const instant = new Date(Date.UTC(sortedYears[0], 0, 1));
+    const offset = formatOffset(getTimezoneOffset(instant, timeZone));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      `TZNAME:${getTimezoneAbbreviation(instant, timeZone)}`,
+      'END:STANDARD'
+    );
+  }
+
+  transitions.forEach(({ at, from, to }) => {
+    const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatTransitionStart(at, from)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `TZNAME:${getTimezoneAbbreviation(at, timeZone)}`,
+      `END:${type}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+const formatEventTime = (name, local, event) => {
+  if (event.allDay) return `${name};VALUE=DATE:${formatLocalDate(local)}`;
+  if (event.timeZone) return `${name};TZID=${event.timeZone}:${formatLocalDateTime(local)}`;
+  // No known zone: a "floating" time, shown as-is wherever the viewer is
+  return `${name}:${formatLocalDateTime(local)}`;
+};
+
+export const buildCalendar = (events, { name = 'Shows', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  const yearsByZone = {};
+  events.filter(event => event.timeZone && !event.allDay).forEach(event => {
+    yearsByZone[event.timeZone] = [...(yearsByZone[event.timeZone] || []), event.start.year, event.end.year];
+  });
+  Object.entries(yearsByZone).forEach(([timeZone, years]) => {
+    lines.push(...buildTimezoneComponent(timeZone, years));
+  });
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      formatEventTime('DTSTART', event.start, event),
+      formatEventTime('DTEND', event.end, event),
+      `SUMMARY:${escapeText(event.title)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.cancelled) lines.push('STATUS:CANCELLED');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const googleCalendarUrl = (event) => {
+  const dates = event.allDay
+    ? `${formatLocalDate(event.start)}/${formatLocalDate(event.end)}`
+    : `${formatLocalDateTime(event.start)}/${formatLocalDateTime(event.end)}`;
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.title,
+    dates,
+    details: event.description,
+    location: event.location
+  });
+  if (event.timeZone && !event.allDay) params.set('ctz', event.timeZone);
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+};
+
+const formatOutlookTime = (local, instant, allDay) => {
+  if (allDay) return `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+  if (instant) return instant.toISOString().replace(/\.\d{3}/, '');
+  return `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(local.hours)}:${pad(local.minutes)}:00`;
+};
+
+export const outlookCalendarUrl = (event) => {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.title,
+    startdt: formatOutlookTime(event.start, event.startInstant, event.allDay),
+    enddt: formatOutlookTime(event.end, event.endInstant, event.allDay),
+    body: event.description,
+    location: event.location
+  });
+  if (event.allDay) params.set('allday', 'true');
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+};
+
+// Upcoming, public shows for a whole-calendar export, optionally narrowed to
+// one group or venue (matched by slug so URLs and file names line up)
+export const selectCalendarShows = (shows, { group = '', venue = '', now = new Date() } = {}) => {
+  return shows.filter(show => (
+    isShowVisible(show, now) &&
+    !isShowPast(show, now) &&
+    (!group || slugify(show.group) === group) &&
+    (!venue || slugify(show.venue) === venue)
+  ));
+};
+
+export const buildShowsCalendar = (shows, { name, now, pageUrlFor } = {}) => {
+  const events = shows.flatMap(show => buildShowEvents(show, { pageUrl: pageUrlFor ? pageUrlFor(show) : undefined }));
+  return buildCalendar(events, { name, now });
+};
@@ -0,0 +1,205 @@
+import {
+  buildCalendar,
+  buildShowEvents,
+  buildTimezoneComponent,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+  selectCalendarShows
+} from './ics';
+
+const SHOW = {
+  id: '20300314-jordan-hall-abc123',
+  show_date: '03/14/2030',
+  show_time: '7:30pm, 9:30pm',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  ticket_url: 'https://example.com/tickets',
+  show_description: 'An evening of brass; bring friends, too',
+  lineup: 'Ana (tbn)::Ben (tpt)',
+  livestream_ticket_url: ''
+};
+
+const NOW = new Date(Date.UTC(2030, 0, 1, 12, 0, 0));
+
+describe('buildShowEvents', () => {
+  test('creates one event per performance in the venue timezone', () => {
+    const events = buildShowEvents(SHOW, { pageUrl: 'https://shows.example.com/shows/abc' });
+    expect(events).toHaveLength(2);
+    expect(events.map(event => event.uid)).toEqual([
+      '20300314-jordan-hall-abc123-1@shows-tracker',
+      '20300314-jordan-hall-abc123-2@shows-tracker'
+    ]);
+    expect(events[0]).toMatchObject({
+      title: 'Brass Quintet at Jordan Hall (7:30pm)',
+      timeZone: 'America/New_York',
+      start: { year: 2030, month: 3, day: 14, hours: 19, minutes: 30 },
+      end: { year: 2030, month: 3, day: 14, hours: 21, minutes: 30 },
+      location: 'Jordan Hall, 30 Gainsborough St, Boston, MA 02115'
+    });
+    expect(events[0].startInstant.toISOString()).toBe('2030-03-14T23:30:00.000Z');
+    expect(events[0].description).toContain('Lineup:\nAna (tbn)\nBen (tpt)');
+    expect(events[0].description).toContain('Tickets: https://example.com/tickets');
+    expect(events[0].description).toContain('Details: https://shows.example.com/shows/abc');
+  });
+
+  test('gives each performance its own links', () => {
+    const [early, late] = buildShowEvents({
+      ...SHOW,
+      livestream_ticket_url: 'https://example.com/stream',
+      performances: '7:30pm sold out :: 9:30pm https://example.com/late livestream'
+    });
+    expect(early.description).toContain('Sold out\n\nTickets: https://example.com/tickets');
+    expect(early.description).not.toContain('Livestream');
+    expect(late.description).toContain('Tickets: https://example.com/late\n\nLivestream: https://example.com/stream');
+    expect(late.url).toBe('https://example.com/late');
+  });
+
+  test('skips performances without a readable time', () => {
+    const events = buildShowEvents({ ...SHOW, show_time: '2pm, TBA, 7pm' });
+    expect(events.map(event => event.performanceTime)).toEqual(['2pm', '7pm']);
+    expect(events[1].start).toMatchObject({ hours: 19, minutes: 0 });
+  });
+
+  test('rolls a late show over into the next day', () => {
+    const [event] = buildShowEvents({ ...SHOW, show_time: '11:00pm' });
+    expect(event.title).toBe('Brass Quintet at Jordan Hall');
+    expect(event.end).toEqual({ year: 2030, month: 3, day: 15, hours: 1, minutes: 0 });
+  });
+
+  test('uses an all-day event when no time can be read', () => {
+    const [event] = buildShowEvents({ ...SHOW, show_time: 'TBA' });
+    expect(event.allDay).toBe(true);
+    expect(event.uid).toBe('20300314-jordan-hall-abc123@shows-tracker');
+    expect(event.end).toMatchObject({ year: 2030, month: 3, day: 15 });
+  });
+});
+
+describe('buildCalendar', () => {
+  const ics = buildCalendar(buildShowEvents(SHOW), { name: 'Brass Quintet', now: NOW });
+  const lines = ics.split('\r\n');
+
+  test('writes CRLF-terminated RFC 5545 output', () => {
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Brass Quintet');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+  });
+
+  test('anchors times to a VTIMEZONE for the venue', () => {
+    expect(lines).toContain('TZID:America/New_York');
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20300314T193000');
+    expect(lines).toContain('DTEND;TZID=America/New_York:20300314T213000');
+    expect(lines).toContain('DTSTAMP:20300101T120000Z');
+  });
+
+  test('escapes text values', () => {
+    expect(ics).toContain('LOCATION:Jordan Hall\\, 30 Gainsborough St\\, Boston\\, MA 02115');
+    expect(ics).toContain('An evening of brass\\; bring friends\\, too');
+  });
+
+  test('folds lines longer than 75 octets', () => {
+    const long = buildCalendar(
+      buildShowEvents({ ...SHOW, show_description: 'É'.repeat(100) }),
+      { now: NOW }
+    );
+    long.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    expect(long).toContain('\r\n É');
+  });
+
+  test('writes floating times when the venue timezone is unknown', () => {
+    const floating = buildCalendar(buildShowEvents({ ...SHOW, address: 'Somewhere', show_time: '8pm' }), { now: NOW });
+    expect(floating).toContain('DTSTART:20300314T200000');
+    expect(floating).not.toContain('BEGIN:VTIMEZONE');
+  });
+
+  test('writes all-day events as dates', () => {
+    const allDay = buildCalendar(buildShowEvents({ ...SHOW, show_time: '' }), { now: NOW });
+    expect(allDay).toContain('DTSTART;VALUE=DATE:20300314');
+    expect(allDay).toContain('DTEND;VALUE=DATE:20300315');
+  });
+
+  test('marks cancelled shows and says why in the description', () => {
+    const cancelled = buildCalendar(buildShowEvents({ ...SHOW, status: 'cancelled' }), { now: NOW });
+    expect(cancelled.split('\r\n').filter(line => line === 'STATUS:CANCELLED')).toHaveLength(2);
+    expect(cancelled).toContain('DESCRIPTION:Cancelled\\n\\n');
+    expect(ics).not.toContain('STATUS:');
+  });
+});
+
+describe('buildTimezoneComponent', () => {
+  test('lists daylight saving transitions with their offsets', () => {
+    const lines = buildTimezoneComponent('America/New_York', [2030]);
+    const daylight = lines.lastIndexOf('BEGIN:DAYLIGHT');
+    expect(lines.slice(daylight, daylight + 6)).toEqual([
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20300310T020000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'TZNAME:EDT',
+      'END:DAYLIGHT'
+    ]);
+    expect(lines).toContain('DTSTART:20301103T020000');
+  });
+
+  test('describes zones without transitions with a single standard offset', () => {
+    expect(buildTimezoneComponent('Asia/Tokyo', [2030])).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Asia/Tokyo',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0900',
+      'TZOFFSETTO:+0900',
+      'TZNAME:GMT+9',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+});
+
+describe('calendar links', () => {
+  const [event] = buildShowEvents({ ...SHOW, show_time: '7:30pm' });
+
+  test('google link keeps the wall-clock time and venue zone', () => {
+    const params = new URL(googleCalendarUrl(event)).searchParams;
+    expect(params.get('text')).toBe('Brass Quintet at Jordan Hall');
+    expect(params.get('dates')).toBe('20300314T193000/20300314T213000');
+    expect(params.get('ctz')).toBe('America/New_York');
+  });
+
+  test('outlook link uses UTC instants', () => {
+    const params = new URL(outlookCalendarUrl(event)).searchParams;
+    expect(params.get('startdt')).toBe('2030-03-14T23:30:00Z');
+    expect(params.get('enddt')).toBe('2030-03-15T01:30:00Z');
+    expect(params.get('location')).toBe(event.location);
+  });
+
+  test('outlook link marks all-day events', () => {
+    const [allDay] = buildShowEvents({ ...SHOW, show_time: '' });
+    const params = new URL(outlookCalendarUrl(allDay)).searchParams;
+    expect(params.get('allday')).toBe('true');
+    expect(params.get('startdt')).toBe('2030-03-14');
+  });
+});
+
+describe('selectCalendarShows', () => {
+  const shows = [
+    SHOW,
+    { ...SHOW, id: 'past', show_date: '12/01/2029' },
+    { ...SHOW, id: 'hidden', launch_date: '02/01/2030' },
+    { ...SHOW, id: 'other', group: 'Trombone Choir', venue: 'Symphony Hall' }
+  ];
+
+  test('keeps upcoming, launched shows', () => {
+    expect(selectCalendarShows(shows, { now: NOW }).map(show => show.id))
+      .toEqual(['20300314-jordan-hall-abc123', 'other']);
+  });
+
+  test('filters by group or venue slug', () => {
+    expect(selectCalendarShows(shows, { group: 'trombone-choir', now: NOW }).map(show => show.id)).toEqual(['other']);
+    expect(selectCalendarShows(shows, { venue: 'jordan-hall', now: NOW }).map(show => show.id))
+      .toEqual(['20300314-jordan-hall-abc123']);
+  });
+});
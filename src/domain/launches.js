@@ -0,0 +1,40 @@
+import { parseDate } from './dates';
+import { formatClockTime, getLaunchInstant, getLaunchTimezone, getTimezoneAbbreviation } from './timezone';
+
+// "Fri, Mar 1, 2030, 10:00am EST", in the launch zone or else the viewer's
+// own clock. Empty for shows without a launch date.
+export const formatLaunchTime = (show) => {
+  const instant = getLaunchInstant(show);
+  if (!instant) return '';
+
+  const timeZone = getLaunchTimezone(show) || undefined;
+  const day = instant.toLocaleDateString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  const time = formatClockTime(instant, timeZone);
+  return timeZone ? `${day}, ${time} ${getTimezoneAbbreviation(instant, timeZone)}` : `${day}, ${time}`;
+};
+
+// Whether a show is still under embargo
+export const isEmbargoed = (show, now = new Date()) => {
+  const instant = getLaunchInstant(show);
+  return !!instant && instant > now;
+};
+
+// Embargoed shows grouped by the moment they go public, soonest first, each
+// group's shows in date order
+export const getLaunchSchedule = (shows, now = new Date()) => {
+  const launches = new Map();
+  shows.forEach(show => {
+    if (!isEmbargoed(show, now)) return;
+    const instant = getLaunchInstant(show);
+    const key = instant.getTime();
+    if (!launches.has(key)) launches.set(key, { instant, label: formatLaunchTime(show), shows: [] });
+    launches.get(key).shows.push(show);
+  });
+
+  return [...launches.values()]
+    .sort((a, b) => a.instant - b.instant)
+    .map(launch => ({
+      ...launch,
+      shows: [...launch.shows].sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date))
+    }));
+};
@@ -0,0 +1,47 @@
+import { formatLaunchTime, getLaunchSchedule, isEmbargoed } from './launches';
+
+const NOW = new Date(Date.UTC(2030, 0, 15, 12));
+
+const show = (overrides) => ({
+  show_date: '03/14/2030',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  launch_date: '',
+  launch_time: '',
+  launch_timezone: '',
+  ...overrides
+});
+
+const PUBLIC = show({});
+const LAUNCHED = show({ launch_date: '01/01/2030' });
+const MORNING = show({ show_date: '04/01/2030', launch_date: '02/01/2030', launch_time: '10am' });
+const SAME_MOMENT = show({ show_date: '03/20/2030', launch_date: '02/01/2030', launch_time: '3pm', launch_timezone: 'Europe/London' });
+const LATER = show({ launch_date: '03/01/2030', launch_time: '9:30am', launch_timezone: 'Asia/Tokyo' });
+
+describe('formatLaunchTime', () => {
+  test.each([
+    [MORNING, 'Fri, Feb 1, 2030, 10:00am EST'],
+    [SAME_MOMENT, 'Fri, Feb 1, 2030, 3:00pm GMT'],
+    [LATER, 'Fri, Mar 1, 2030, 9:30am GMT+9'],
+    [PUBLIC, '']
+  ])('%#', (input, expected) => {
+    expect(formatLaunchTime(input)).toBe(expected);
+  });
+});
+
+describe('isEmbargoed', () => {
+  test('is true until the launch moment', () => {
+    expect(isEmbargoed(PUBLIC, NOW)).toBe(false);
+    expect(isEmbargoed(LAUNCHED, NOW)).toBe(false);
+    expect(isEmbargoed(MORNING, NOW)).toBe(true);
+    expect(isEmbargoed(MORNING, new Date(Date.UTC(2030, 1, 1, 15)))).toBe(false);
+  });
+});
+
+describe('getLaunchSchedule', () => {
+  test('groups embargoed shows by launch moment', () => {
+    const schedule = getLaunchSchedule([LATER, MORNING, PUBLIC, SAME_MOMENT, LAUNCHED], NOW);
+    expect(schedule.map(launch => launch.shows)).toEqual([[SAME_MOMENT, MORNING], [LATER]]);
+    expect(schedule[0].instant).toEqual(new Date(Date.UTC(2030, 1, 1, 15)));
+  });
+});
@@ -0,0 +1,52 @@
+// Lineup cells list performers separated by "::", each like
+// "Name (instrument) @instagram website.com"
+export const parseLineup = (lineupString) => {
+  if (!lineupString) return [];
+
+  return lineupString.split('::').map(person => {
+    const trimmed = person.trim();
+    if (!trimmed) return null;
+
+    let name = '';
+    let instrument = '';
+    let instagramLink = null;
+    let websiteLink = null;
+
+    // Extract instrument (anything in parentheses)
+    const instrumentMatch = trimmed.match(/\(([^)]+)\)/);
+    if (instrumentMatch) {
+      instrument = instrumentMatch[1].trim();
+    }
+
+    // Extract Instagram handle
+    const instagramMatch = trimmed.match(/@(\w+)/);
+    if (instagramMatch) {
+      instagramLink = `https://www.instagram.com/${instagramMatch[1]}`;
+    }
+
+    // Extract website - flexible patterns
+    const websiteMatch = trimmed.match(/(https?:\/\/\S+|www\.\S+|\S+\.(com|net|org|edu|gov|io|co|me|info|biz|tv|fm|ly|gg|xyz|dev|app|blog|music|band|studio|art)\b\S*)/i);
+    if (websiteMatch) {
+      let website = websiteMatch[1];
+      // Add https:// if it doesn't have a protocol
+      if (!website.match(/^https?:\/\//)) {
+        website = 'https://' + website;
+      }
+      websiteLink = website;
+    }
+
+    // Extract name (everything else, cleaned up)
+    name = trimmed
+      .replace(/\([^)]+\)/g, '') // Remove instrument
+      .replace(/@\w+/g, '') // Remove Instagram handles
+      .replace(/https?:\/\/\S+|www\.\S+|\S+\.(com|net|org|edu|gov|io|co|me|info|biz|tv|fm|ly|gg|xyz|dev|app|blog|music|band|studio|art)\b\S*/gi, '') // Remove websites
+      .trim();
+
+    return {
+      name,
+      instrument,
+      instagramLink,
+      websiteLink
+    };
+  }).filter(person => person !== null && person.name !== '');
+};
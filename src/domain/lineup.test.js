@@ -0,0 +1,31 @@
+import { parseLineup } from './lineup';
+
+const person = (name, instrument = '', instagramLink = null, websiteLink = null) => ({
+  name,
+  instrument,
+  instagramLink,
+  websiteLink
+});
+
+describe('parseLineup', () => {
+  test.each([
+    ['', []],
+    ['Solo Artist', [person('Solo Artist')]],
+    ['Mr. Smith (tuba)', [person('Mr. Smith', 'tuba')]],
+    ['Eve @eve_plays', [person('Eve', '', 'https://www.instagram.com/eve_plays')]],
+    ['Cara Diaz www.cara.music', [person('Cara Diaz', '', null, 'https://www.cara.music')]],
+    ['Dee (bass) dee.band/bio', [person('Dee', 'bass', null, 'https://dee.band/bio')]],
+    [
+      'Ana Ruiz (trombone) @ana_ruiz :: Ben Cho (trumpet) https://bencho.com',
+      [
+        person('Ana Ruiz', 'trombone', 'https://www.instagram.com/ana_ruiz'),
+        person('Ben Cho', 'trumpet', null, 'https://bencho.com')
+      ]
+    ],
+    // Empty entries and entries with nothing but an instrument are dropped
+    [' :: Ana :: ', [person('Ana')]],
+    ['(piano) :: Ben', [person('Ben')]]
+  ])('%j', (lineup, expected) => {
+    expect(parseLineup(lineup)).toEqual(expected);
+  });
+});
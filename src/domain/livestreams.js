@@ -0,0 +1,70 @@
+import { isShowPast, parseDate } from './dates';
+import { DEFAULT_DURATION_MINUTES } from './ics';
+import { getPerformances } from './performances';
+import { formatClockTime, getTimezoneAbbreviation, getVenueTimezone, parseTime, zonedTimeToUtc } from './timezone';
+
+// Streams count as live for as long as calendars block out for a show
+const LIVE_MINUTES = DEFAULT_DURATION_MINUTES;
+
+// When a performance starts: its time in the venue's zone, or on the viewer's
+// own clock when the zone is unknown. Null for times that can't be read.
+const getStreamStart = (show, time) => {
+  const parsed = parseTime(time);
+  if (!parsed) return null;
+  const [month, day, year] = show.show_date.split('/').map(n => parseInt(n, 10));
+  const timeZone = getVenueTimezone(show);
+  return timeZone
+    ? zonedTimeToUtc({ year, month, day, ...parsed }, timeZone)
+    : new Date(year, month - 1, day, parsed.hours, parsed.minutes);
+};
+
+// Every streamed performance as { show, performance, start, end }, soonest
+// first. Performances without a readable time have no start or end.
+export const getStreams = (shows) => shows
+  .flatMap(show => getPerformances(show)
+    .filter(performance => performance.livestreamUrl)
+    .map(performance => {
+      const start = getStreamStart(show, performance.time);
+      return { show, performance, start, end: start && new Date(start.getTime() + LIVE_MINUTES * 60000) };
+    }))
+  .sort((a, b) => (a.start || parseDate(a.show.show_date)) - (b.start || parseDate(b.show.show_date)));
+
+// 'upcoming', 'live' or 'ended'. Streams without a time end with their day.
+export const getStreamState = (stream, now = new Date()) => {
+  if (!stream.start) return isShowPast(stream.show, now) ? 'ended' : 'upcoming';
+  if (now < stream.start) return 'upcoming';
+  return now < stream.end ? 'live' : 'ended';
+};
+
+// Shows with a replay link whose streams are over, most recent first
+export const getReplays = (shows, now = new Date()) => shows
+  .filter(show => show.replay_url && (
+    isShowPast(show, now) || getStreams([show]).every(stream => getStreamState(stream, now) === 'ended')
+  ))
+  .sort((a, b) => parseDate(b.show_date) - parseDate(a.show_date));
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "3d 4h 12m", "4h 12m 09s" or "12m 09s" until a moment
+export const formatCountdown = (milliseconds) => {
+  const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${pad(seconds % 60)}s`;
+  return `${minutes}m ${pad(seconds % 60)}s`;
+};
+
+// "Fri, Mar 14, 7:30pm EDT" on the viewer's clock (with the year when it
+// isn't this year's)
+export const formatStreamStart = (start, now = new Date(), timeZone = undefined) => {
+  const day = start.toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(start.getFullYear() !== now.getFullYear() ? { year: 'numeric' } : {})
+  });
+  return `${day}, ${formatClockTime(start, timeZone)} ${getTimezoneAbbreviation(start, timeZone)}`;
+};
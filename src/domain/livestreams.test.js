@@ -0,0 +1,81 @@
+import { formatCountdown, formatStreamStart, getReplays, getStreamState, getStreams } from './livestreams';
+
+const show = (overrides) => ({
+  id: 'jordan-hall',
+  show_date: '03/14/2030',
+  show_time: '7:30pm',
+  performances: '',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  livestream_ticket_url: 'https://example.com/stream',
+  replay_url: '',
+  ...overrides
+});
+
+// 7:30pm EDT on the show's day
+const START = new Date(Date.UTC(2030, 2, 14, 23, 30));
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+describe('getStreams', () => {
+  test('lists streamed performances at their venue time, soonest first', () => {
+    const later = show({ id: 'later', show_date: '04/01/2030' });
+    const streams = getStreams([later, show({}), show({ id: 'in-person', livestream_ticket_url: '' })]);
+    expect(streams.map(stream => stream.show.id)).toEqual(['jordan-hall', 'later']);
+    expect(streams[0].start).toEqual(START);
+    expect(streams[0].end).toEqual(minutesFrom(START, 120));
+  });
+
+  test('only lists the performances that stream', () => {
+    const streams = getStreams([show({ show_time: '2pm, 7:30pm', performances: '7:30pm livestream' })]);
+    expect(streams.map(stream => stream.performance.time)).toEqual(['7:30pm']);
+  });
+
+  test('leaves the start empty for times not announced yet', () => {
+    expect(getStreams([show({ show_time: 'TBA' })])[0]).toMatchObject({ start: null, end: null });
+  });
+});
+
+describe('getStreamState', () => {
+  const [stream] = getStreams([show({})]);
+
+  test('is live from the start for two hours', () => {
+    expect(getStreamState(stream, minutesFrom(START, -1))).toBe('upcoming');
+    expect(getStreamState(stream, START)).toBe('live');
+    expect(getStreamState(stream, minutesFrom(START, 119))).toBe('live');
+    expect(getStreamState(stream, minutesFrom(START, 120))).toBe('ended');
+  });
+
+  test('ends streams without a time with their day', () => {
+    const [untimed] = getStreams([show({ show_time: 'TBA' })]);
+    expect(getStreamState(untimed, new Date(2030, 2, 14, 23))).toBe('upcoming');
+    expect(getStreamState(untimed, new Date(2030, 2, 15))).toBe('ended');
+  });
+});
+
+describe('getReplays', () => {
+  test('lists shows with a replay once their streams are over', () => {
+    const older = show({ id: 'older', show_date: '01/10/2030', replay_url: 'https://example.com/replay-1' });
+    const today = show({ replay_url: 'https://example.com/replay-2' });
+    expect(getReplays([older, today, show({ id: 'no-replay', show_date: '01/01/2030' })], minutesFrom(START, -60))
+      .map(replay => replay.id)).toEqual(['older']);
+    expect(getReplays([older, today], minutesFrom(START, 150)).map(replay => replay.id)).toEqual(['jordan-hall', 'older']);
+  });
+});
+
+describe('formatCountdown', () => {
+  test.each([
+    [((3 * 24 + 4) * 60 + 12) * 60000 + 5000, '3d 4h 12m'],
+    [(4 * 60 + 12) * 60000 + 9000, '4h 12m 09s'],
+    [12 * 60000 + 9000, '12m 09s'],
+    [-5000, '0m 00s']
+  ])('%j', (milliseconds, expected) => {
+    expect(formatCountdown(milliseconds)).toBe(expected);
+  });
+});
+
+describe('formatStreamStart', () => {
+  test("uses the viewer's time zone", () => {
+    expect(formatStreamStart(START, START, 'Europe/London')).toBe('Thu, Mar 14, 11:30pm GMT');
+    expect(formatStreamStart(START, new Date(2029, 0, 1), 'America/Los_Angeles')).toBe('Thu, Mar 14, 2030, 4:30pm PDT');
+  });
+});
@@ -0,0 +1,73 @@
+import Supercluster from 'supercluster';
+
+export const UPCOMING_COLOR = '#2563EB';
+export const PAST_COLOR = '#6B7280';
+export const MIXED_COLOR = '#8B5CF6';
+
+// One GeoJSON point per venue group, carrying its show counts so clusters can
+// add them up.
+export const venueGroupsToFeatures = (venueGroups) => {
+  return venueGroups.map(group => {
+    const upcomingCount = group.shows.filter(show => !show.isPast).length;
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [group.lng, group.lat] },
+      properties: {
+        venueKey: group.key,
+        venue: group.venue,
+        showCount: group.shows.length,
+        upcomingCount,
+        pastCount: group.shows.length - upcomingCount
+      }
+    };
+  });
+};
+
+// Label shown under the count for clusters/venues with both kinds of show
+const describeMix = ({ upcomingCount, pastCount }) => {
+  if (upcomingCount > 0 && pastCount > 0) return `${upcomingCount} up · ${pastCount} past`;
+  return '';
+};
+
+const withDisplayProperties = (feature) => {
+  const { showCount, upcomingCount } = feature.properties;
+  return {
+    ...feature,
+    properties: {
+      ...feature.properties,
+      // 1 = all upcoming, 0 = all past; drives the bubble colour
+      upcomingRatio: showCount > 0 ? upcomingCount / showCount : 0,
+      countLabel: showCount > 999 ? '999+' : String(showCount),
+      mixLabel: describeMix(feature.properties)
+    }
+  };
+};
+
+export const createVenueClusterIndex = (features, options = {}) => {
+  const index = new Supercluster({
+    radius: 60,
+    maxZoom: 14,
+    ...options,
+    map: (props) => ({
+      showCount: props.showCount,
+      upcomingCount: props.upcomingCount,
+      pastCount: props.pastCount
+    }),
+    reduce: (accumulated, props) => {
+      accumulated.showCount += props.showCount;
+      accumulated.upcomingCount += props.upcomingCount;
+      accumulated.pastCount += props.pastCount;
+    }
+  });
+  index.load(features);
+  return index;
+};
+
+// Clusters and lone venues visible at the given bounds and zoom, as a
+// FeatureCollection ready for a GeoJSON source.
+export const getClusterCollection = (index, bbox, zoom) => {
+  return {
+    type: 'FeatureCollection',
+    features: index.getClusters(bbox, Math.round(zoom)).map(withDisplayProperties)
+  };
+};
@@ -0,0 +1,60 @@
+import { createVenueClusterIndex, getClusterCollection, venueGroupsToFeatures } from './mapClusters';
+
+const WORLD = [-180, -85, 180, 85];
+
+const group = (key, lng, lat, upcoming, past) => ({
+  key,
+  venue: key,
+  lng,
+  lat,
+  shows: [
+    ...Array.from({ length: upcoming }, () => ({ isPast: false })),
+    ...Array.from({ length: past }, () => ({ isPast: true }))
+  ]
+});
+
+const BOSTON_VENUES = [
+  group('Jordan Hall', -71.0865, 42.3406, 3, 1),
+  group('Symphony Hall', -71.0857, 42.3429, 0, 4)
+];
+const LONDON = group('Wigmore Hall', -0.1488, 51.5165, 2, 0);
+
+describe('venueGroupsToFeatures', () => {
+  test('carries the upcoming/past split of each venue', () => {
+    const [feature] = venueGroupsToFeatures([BOSTON_VENUES[0]]);
+    expect(feature.geometry.coordinates).toEqual([-71.0865, 42.3406]);
+    expect(feature.properties).toMatchObject({ venueKey: 'Jordan Hall', showCount: 4, upcomingCount: 3, pastCount: 1 });
+  });
+});
+
+describe('getClusterCollection', () => {
+  const index = createVenueClusterIndex(venueGroupsToFeatures([...BOSTON_VENUES, LONDON]));
+
+  test('clusters nearby venues when zoomed out and sums their shows', () => {
+    const { features } = getClusterCollection(index, WORLD, 3);
+    const cluster = features.find(f => f.properties.cluster);
+
+    expect(features).toHaveLength(2);
+    expect(cluster.properties).toMatchObject({
+      showCount: 8,
+      upcomingCount: 3,
+      pastCount: 5,
+      countLabel: '8',
+      mixLabel: '3 up · 5 past'
+    });
+    expect(cluster.properties.upcomingRatio).toBeCloseTo(3 / 8);
+  });
+
+  test('splits clusters at the expansion zoom', () => {
+    const cluster = getClusterCollection(index, WORLD, 3).features.find(f => f.properties.cluster);
+    const zoom = index.getClusterExpansionZoom(cluster.properties.cluster_id);
+    const venues = getClusterCollection(index, WORLD, zoom).features.filter(f => !f.properties.cluster);
+
+    expect(venues.map(f => f.properties.venueKey)).toEqual(expect.arrayContaining(['Jordan Hall', 'Symphony Hall']));
+  });
+
+  test('does not label single-kind venues with a mix', () => {
+    const london = getClusterCollection(index, WORLD, 3).features.find(f => f.properties.venueKey === 'Wigmore Hall');
+    expect(london.properties).toMatchObject({ mixLabel: '', upcomingRatio: 1 });
+  });
+});
@@ -0,0 +1,77 @@
+import { parseShowTimes } from './dates';
+import { parseTime } from './timezone';
+
+// A show has one performance per time in show_time ("2pm, 7:30pm"). The
+// optional Performances column gives times their own details, with "::"
+// between times like the lineup:
+//   "2pm https://tickets.example/matinee sold out :: 7:30pm livestream"
+// A time's ticket link replaces the show's, "sold out" marks it sold out,
+// and "livestream" streams only the times that say so (without any, every
+// time is streamed when the show has a livestream link).
+
+const URL_PATTERN = /https?:\/\/\S+/i;
+const SOLD_OUT_PATTERN = /\bsold[\s-]*out\b/i;
+const LIVESTREAM_PATTERN = /\b(live[\s-]*stream(ed)?|streamed)\b/i;
+
+// "7:30 PM" and "7:30pm" name the same performance
+const timeKey = (time) => {
+  const parsed = parseTime(time);
+  return parsed ? `${parsed.hours}:${parsed.minutes}` : time.trim().toLowerCase();
+};
+
+export const parsePerformanceNotes = (value) => {
+  if (!value) return [];
+
+  return value.split('::').map(entry => {
+    const trimmed = entry.trim();
+    if (!trimmed) return null;
+
+    const url = trimmed.match(URL_PATTERN);
+    const time = trimmed
+      .replace(URL_PATTERN, '')
+      .replace(SOLD_OUT_PATTERN, '')
+      .replace(LIVESTREAM_PATTERN, '')
+      .replace(/[()[\],;]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      time,
+      ticketUrl: url ? url[0] : '',
+      soldOut: SOLD_OUT_PATTERN.test(trimmed),
+      livestream: LIVESTREAM_PATTERN.test(trimmed)
+    };
+  }).filter(note => note !== null);
+};
+
+// Notes whose time isn't one of the show's times
+export const findUnmatchedNotes = (show) => {
+  const keys = parseShowTimes(show.show_time).map(timeKey);
+  return parsePerformanceNotes(show.performances).filter(note => !keys.includes(timeKey(note.time)));
+};
+
+// Every performance of a show, in show_time order, as { id, index, time,
+// ticketUrl, soldOut, livestream, livestreamUrl }. A show without times is
+// one performance with an empty time.
+export const getPerformances = (show) => {
+  const notes = parsePerformanceNotes(show.performances);
+  const times = parseShowTimes(show.show_time);
+  const livestreamUrl = (show.livestream_ticket_url || '').trim();
+  const streamsMarked = notes.some(note => note.livestream);
+
+  return (times.length > 0 ? times : ['']).map((time, index) => {
+    const note = notes.find(candidate => time && timeKey(candidate.time) === timeKey(time)) || {};
+    const livestream = streamsMarked ? !!note.livestream : !!livestreamUrl;
+    return {
+      id: times.length > 1 ? `${show.id}-${index + 1}` : show.id,
+      index,
+      time,
+      ticketUrl: note.ticketUrl || (show.ticket_url || '').trim(),
+      soldOut: !!note.soldOut,
+      livestream,
+      livestreamUrl: livestream ? livestreamUrl : ''
+    };
+  });
+};
+
+export const isSoldOut = (show) => getPerformances(show).every(performance => performance.soldOut);
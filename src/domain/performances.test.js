@@ -0,0 +1,57 @@
+import { findUnmatchedNotes, getPerformances, isSoldOut, parsePerformanceNotes } from './performances';
+
+const show = (overrides) => ({
+  id: 'jordan-hall',
+  show_time: '2pm, 7:30pm',
+  ticket_url: 'https://example.com/tickets',
+  livestream_ticket_url: '',
+  performances: '',
+  ...overrides
+});
+
+describe('parsePerformanceNotes', () => {
+  test('reads a time with its ticket link, sold-out state and livestream flag', () => {
+    expect(parsePerformanceNotes('2pm https://example.com/matinee (sold out) :: 7:30 PM livestream :: 9pm Sold-Out')).toEqual([
+      { time: '2pm', ticketUrl: 'https://example.com/matinee', soldOut: true, livestream: false },
+      { time: '7:30 PM', ticketUrl: '', soldOut: false, livestream: true },
+      { time: '9pm', ticketUrl: '', soldOut: true, livestream: false }
+    ]);
+    expect(parsePerformanceNotes('')).toEqual([]);
+  });
+});
+
+describe('getPerformances', () => {
+  test('gives each time the show-wide links by default', () => {
+    expect(getPerformances(show({ livestream_ticket_url: 'https://example.com/stream' }))).toEqual([
+      { id: 'jordan-hall-1', index: 0, time: '2pm', ticketUrl: 'https://example.com/tickets', soldOut: false, livestream: true, livestreamUrl: 'https://example.com/stream' },
+      { id: 'jordan-hall-2', index: 1, time: '7:30pm', ticketUrl: 'https://example.com/tickets', soldOut: false, livestream: true, livestreamUrl: 'https://example.com/stream' }
+    ]);
+  });
+
+  test('applies per-time details, matching times however they are written', () => {
+    const [matinee, evening] = getPerformances(show({
+      livestream_ticket_url: 'https://example.com/stream',
+      performances: '2:00 PM https://example.com/matinee sold out :: 7:30pm livestreamed'
+    }));
+    expect(matinee).toMatchObject({ ticketUrl: 'https://example.com/matinee', soldOut: true, livestream: false, livestreamUrl: '' });
+    expect(evening).toMatchObject({ ticketUrl: 'https://example.com/tickets', soldOut: false, livestream: true, livestreamUrl: 'https://example.com/stream' });
+  });
+
+  test('treats a show without times as one performance', () => {
+    expect(getPerformances(show({ show_time: '' }))).toEqual([
+      { id: 'jordan-hall', index: 0, time: '', ticketUrl: 'https://example.com/tickets', soldOut: false, livestream: false, livestreamUrl: '' }
+    ]);
+    expect(getPerformances(show({ show_time: '8pm' }))[0].id).toBe('jordan-hall');
+  });
+
+  test('is sold out when every performance is', () => {
+    expect(isSoldOut(show({ performances: '2pm sold out' }))).toBe(false);
+    expect(isSoldOut(show({ performances: '2pm sold out :: 7:30pm sold out' }))).toBe(true);
+  });
+});
+
+describe('findUnmatchedNotes', () => {
+  test('lists notes for times the show does not have', () => {
+    expect(findUnmatchedNotes(show({ performances: '2pm sold out :: 9pm sold out' })).map(note => note.time)).toEqual(['9pm']);
+  });
+});
@@ -0,0 +1,142 @@
+import { parseDate } from './dates';
+import { parseLineup } from './lineup';
+import { slugify } from './show';
+
+// "Ruiz, Ana" -> "Ana Ruiz"
+const canonicalName = (name) => {
+  const trimmed = name.replace(/\s+/g, ' ').trim();
+  const reversed = trimmed.match(/^([^,]+),\s*([^,]+)$/);
+  return reversed ? `${reversed[2]} ${reversed[1]}` : trimmed;
+};
+
+// Names that only differ in case, accents, punctuation or "Last, First" order
+// share a key. Names slugify can't spell (e.g. 山田 太郎) fall back to
+// lowercase with dashes.
+export const createPerformerSlug = (name) => {
+  const canonical = canonicalName(name || '');
+  return slugify(canonical) || canonical.toLowerCase().replace(/\s+/g, '-');
+};
+
+const instagramHandle = (link) => (link ? link.replace(/^.*instagram\.com\//, '').toLowerCase() : '');
+
+const mostCommon = (counts) => [...counts].sort((a, b) => b[1] - a[1])[0][0];
+
+// Everyone who appears in a lineup, merged across spellings: entries with the
+// same name key or the same Instagram handle are one performer. The index
+// lists them by name and looks them up by any of their slugs.
+export const createPerformerIndex = (shows) => {
+  const sorted = [...shows].sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date));
+
+  // Union-find over name keys, joined by shared Instagram handles
+  const parents = new Map();
+  const find = (key) => {
+    while (parents.get(key) !== key) key = parents.get(key);
+    return key;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parents.set(rootB, rootA);
+  };
+
+  const handles = new Map();
+  const appearances = sorted.map(show => {
+    const members = parseLineup(show.lineup).map(member => ({ ...member, key: createPerformerSlug(member.name) }));
+    members.forEach(member => {
+      if (!parents.has(member.key)) parents.set(member.key, member.key);
+      const handle = instagramHandle(member.instagramLink);
+      if (!handle) return;
+      if (handles.has(handle)) {
+        union(handles.get(handle), member.key);
+      } else {
+        handles.set(handle, member.key);
+      }
+    });
+    return { show, members };
+  });
+
+  const groups = new Map();
+  const getGroup = (key) => {
+    const root = find(key);
+    if (!groups.has(root)) {
+      groups.set(root, {
+        names: new Map(),
+        keys: new Set(),
+        instruments: new Map(),
+        shows: [],
+        collaborators: new Map(),
+        instagramLink: null,
+        websiteLink: null
+      });
+    }
+    return groups.get(root);
+  };
+
+  appearances.forEach(({ show, members }) => {
+    const roots = new Set(members.map(member => find(member.key)));
+
+    members.forEach(member => {
+      const group = getGroup(member.key);
+      const name = canonicalName(member.name);
+      group.names.set(name, (group.names.get(name) || 0) + 1);
+      group.keys.add(member.key);
+      if (member.instrument) {
+        const instrument = member.instrument.toLowerCase();
+        group.instruments.set(instrument, (group.instruments.get(instrument) || 0) + 1);
+      }
+      // Shows are in date order, so the most recent links win
+      if (member.instagramLink) group.instagramLink = member.instagramLink;
+      if (member.websiteLink) group.websiteLink = member.websiteLink;
+      if (group.shows[group.shows.length - 1] !== show) group.shows.push(show);
+    });
+
+    roots.forEach(root => {
+      const group = groups.get(root);
+      roots.forEach(other => {
+        if (other !== root) group.collaborators.set(other, (group.collaborators.get(other) || 0) + 1);
+      });
+    });
+  });
+
+  const byRoot = new Map();
+  groups.forEach((group, root) => {
+    const name = mostCommon(group.names);
+    byRoot.set(root, {
+      slug: createPerformerSlug(name),
+      name,
+      aliases: [...group.names.keys()].filter(alias => alias !== name),
+      instruments: [...group.instruments]
+        .sort((a, b) => b[1] - a[1])
+        .map(([instrument, count]) => ({ name: instrument, count })),
+      instagramLink: group.instagramLink,
+      websiteLink: group.websiteLink,
+      shows: group.shows,
+      keys: group.keys
+    });
+  });
+
+  // Collaborators once every performer has a name and slug
+  groups.forEach((group, root) => {
+    byRoot.get(root).collaborators = [...group.collaborators]
+      .map(([other, count]) => ({ slug: byRoot.get(other).slug, name: byRoot.get(other).name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  });
+
+  const performers = [...byRoot.values()].sort((a, b) => a.name.localeCompare(b.name));
+  const bySlug = new Map();
+  performers.forEach(performer => {
+    performer.keys.forEach(key => bySlug.set(key, performer));
+    delete performer.keys;
+  });
+
+  return {
+    performers,
+    // A performer by the slug of any spelling of their name
+    find: (slug) => bySlug.get(slug) || null,
+    // The merged performer's slug for a name as written in a lineup
+    getSlug: (name) => {
+      const performer = bySlug.get(createPerformerSlug(name));
+      return performer ? performer.slug : createPerformerSlug(name);
+    }
+  };
+};
@@ -0,0 +1,64 @@
+import { createPerformerIndex, createPerformerSlug } from './performers';
+
+const show = (date, lineup) => ({ show_date: date, venue: 'Jordan Hall', lineup });
+
+const FIRST = show('03/14/2030', 'Ana Ruiz (trombone) @anaruiz :: Ben Cho (trumpet) bencho.com :: Cy Dunn (tuba)');
+const SECOND = show('01/10/2030', 'ANA RUÍZ (Trombone) :: Ben Cho (flugelhorn)');
+const THIRD = show('05/01/2030', 'Ana M. Ruiz (bass trombone) @AnaRuiz anaruiz.com :: Cy Dunn (tuba)');
+const FOURTH = show('06/01/2030', 'Ruiz, Ana (trombone) :: Ben Cho (trumpet)');
+
+describe('createPerformerSlug', () => {
+  test.each([
+    ['Ana Ruiz', 'ana-ruiz'],
+    ['  ANA   RUÍZ ', 'ana-ruiz'],
+    ['Ruiz, Ana', 'ana-ruiz'],
+    ['山田 太郎', '山田-太郎']
+  ])('%j', (name, expected) => {
+    expect(createPerformerSlug(name)).toBe(expected);
+  });
+});
+
+describe('createPerformerIndex', () => {
+  const index = createPerformerIndex([FIRST, SECOND, THIRD, FOURTH]);
+
+  test('merges spellings and shared Instagram handles', () => {
+    expect(index.performers.map(performer => performer.name)).toEqual(['Ana Ruiz', 'Ben Cho', 'Cy Dunn']);
+    const ana = index.find('ana-ruiz');
+    expect(ana.aliases).toEqual(['ANA RUÍZ', 'Ana M. Ruiz']);
+    expect(index.find('ana-m-ruiz')).toBe(ana);
+    expect(index.getSlug('Ana M. Ruiz')).toBe('ana-ruiz');
+  });
+
+  test('lists shows in date order', () => {
+    expect(index.find('ana-ruiz').shows).toEqual([SECOND, FIRST, THIRD, FOURTH]);
+    expect(index.find('cy-dunn').shows).toEqual([FIRST, THIRD]);
+  });
+
+  test('counts instruments and keeps the latest links', () => {
+    const ana = index.find('ana-ruiz');
+    expect(ana.instruments).toEqual([{ name: 'trombone', count: 3 }, { name: 'bass trombone', count: 1 }]);
+    expect(ana.instagramLink).toBe('https://www.instagram.com/AnaRuiz');
+    expect(ana.websiteLink).toBe('https://anaruiz.com');
+    expect(index.find('ben-cho').websiteLink).toBe('https://bencho.com');
+  });
+
+  test('ranks collaborators by shows together', () => {
+    expect(index.find('ana-ruiz').collaborators).toEqual([
+      { slug: 'ben-cho', name: 'Ben Cho', count: 3 },
+      { slug: 'cy-dunn', name: 'Cy Dunn', count: 2 }
+    ]);
+    expect(index.find('cy-dunn').collaborators).toEqual([
+      { slug: 'ana-ruiz', name: 'Ana Ruiz', count: 2 },
+      { slug: 'ben-cho', name: 'Ben Cho', count: 1 }
+    ]);
+  });
+
+  test('returns null for unknown performers', () => {
+    expect(index.find('nobody')).toBeNull();
+    expect(index.getSlug('Nobody Here')).toBe('nobody-here');
+  });
+
+  test('handles shows without a lineup', () => {
+    expect(createPerformerIndex([show('03/14/2030', '')]).performers).toEqual([]);
+  });
+});
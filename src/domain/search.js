@@ -0,0 +1,310 @@
+import { getShowLocation } from './addresses';
+import { parseDate } from './dates';
+import { parseLineup } from './lineup';
+
+// Search queries are free text plus optional qualifiers, e.g.
+//   brass quintet city:boston player:"ana ruiz" after:2030-01-01
+// Every word and qualifier has to match. Words may match any field, tolerate
+// a typo or two, and add to a show's score by how well and where they match.
+
+// How much a match in each field counts towards a show's rank
+const FIELD_WEIGHTS = {
+  venue: 5,
+  group: 4,
+  city: 4,
+  players: 3,
+  region: 2,
+  country: 2,
+  type: 2,
+  lineup: 1,
+  address: 1
+};
+
+// Fields free-text words are matched against; `players` repeats the lineup
+const TEXT_FIELDS = ['venue', 'group', 'city', 'region', 'country', 'type', 'lineup', 'address'];
+
+const QUALIFIER_FIELDS = {
+  venue: 'venue',
+  group: 'group',
+  city: 'city',
+  region: 'region',
+  state: 'region',
+  country: 'country',
+  player: 'players',
+  type: 'type'
+};
+
+const DATE_QUALIFIERS = ['before', 'after'];
+
+// Lowercase with accents stripped, so "munchen" finds "München"
+export const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) => normalizeText(text).match(WORD_PATTERN) || [];
+
+// Typos allowed for a word of this length
+const maxTypos = (length) => {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit, or
+// Infinity once it's over the limit
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length] <= limit ? previous[b.length] : Infinity;
+};
+
+// How well a query word matches one word of a field, from 1 (exact) to 0
+const matchWord = (word, token) => {
+  if (token === word) return 1;
+  if (token.startsWith(word)) return 0.8;
+  if (word.length >= 3 && token.includes(word)) return 0.6;
+
+  const typos = maxTypos(word.length);
+  if (typos === 0) return 0;
+  if (editDistance(word, token, typos) <= typos) return 0.5;
+  // Still typing: "jordna" against the start of "jordanian"
+  if (token.length > word.length && editDistance(word, token.slice(0, word.length), typos) <= typos) return 0.4;
+  return 0;
+};
+
+// Best match of a search term (a word, or a quoted phrase) within a field
+const matchTerm = (term, field) => {
+  if (term.phrase) return field.text.includes(term.text) ? 1 : 0;
+  return field.tokens.reduce((best, token) => Math.max(best, matchWord(term.text, token)), 0);
+};
+
+const createTerm = (text, phrase) => {
+  const normalized = normalizeText(text).trim();
+  return { text: normalized, phrase: phrase && /\s/.test(normalized) };
+};
+
+// Splits a value into the terms that must all match: a quoted value is one
+// phrase, anything else one term per word
+const valueTerms = (value, quoted) => (quoted
+  ? [createTerm(value, true)]
+  : tokenize(value).map(word => createTerm(word, false))
+).filter(term => term.text);
+
+// "2030-03-14", "03/14/2030", "2030-03", "2030" or "today", as the first and
+// last day it covers
+const parseDateBound = (value) => {
+  const text = value.trim().toLowerCase();
+  if (text === 'today') {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return { start: today, end: today };
+  }
+
+  let match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (match) {
+    const [, year, month, day] = match.map(part => (part ? parseInt(part, 10) : undefined));
+    if (day) return { start: new Date(year, month - 1, day), end: new Date(year, month - 1, day) };
+    if (month) return { start: new Date(year, month - 1, 1), end: new Date(year, month, 0) };
+    return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+  }
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    const date = parseDate(text);
+    return { start: date, end: date };
+  }
+  return null;
+};
+
+const QUERY_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Parses a search box string into { terms, qualifiers, before, after }.
+// Unknown "word:" prefixes and unreadable dates are searched as plain text.
+export const parseSearchQuery = (input) => {
+  const query = { text: (input || '').trim(), terms: [], qualifiers: [], before: null, after: null };
+
+  for (const match of query.text.matchAll(QUERY_PATTERN)) {
+    const [whole, rawKey, quotedValue, plainValue] = match;
+    const key = (rawKey || '').toLowerCase();
+    const quoted = quotedValue !== undefined;
+    const value = quoted ? quotedValue : plainValue;
+
+    if (DATE_QUALIFIERS.includes(key)) {
+      const bound = parseDateBound(value);
+      if (bound) {
+        // "before:2030" is before the year starts; "after:2030" after it ends
+        query[key] = key === 'before' ? bound.start : bound.end;
+        continue;
+      }
+    }
+
+    if (QUALIFIER_FIELDS[key]) {
+      const terms = valueTerms(value, quoted);
+      if (terms.length > 0) query.qualifiers.push({ field: QUALIFIER_FIELDS[key], terms });
+      continue;
+    }
+
+    query.terms.push(...valueTerms(quoted ? value : whole, quoted));
+  }
+
+  return query;
+};
+
+export const isEmptyQuery = (query) => (
+  query.terms.length === 0 && query.qualifiers.length === 0 && !query.before && !query.after
+);
+
+const indexField = (text) => ({ text: normalizeText(text), tokens: tokenize(text) });
+
+const indexShow = (show) => {
+  const { city, region, country, countryCode } = getShowLocation(show);
+  const players = parseLineup(show.lineup).map(member => `${member.name} ${member.instrument}`).join(' ');
+
+  return {
+    show,
+    date: parseDate(show.show_date),
+    fields: {
+      venue: indexField(show.venue),
+      group: indexField(show.group),
+      city: indexField(city),
+      region: indexField(region),
+      country: indexField([country, countryCode].filter(Boolean).join(' ')),
+      type: indexField(show.show_type),
+      players: indexField(players),
+      lineup: indexField(show.lineup),
+      address: indexField(show.address)
+    }
+  };
+};
+
+// Score for one show, or 0 if it doesn't match the whole query
+const scoreEntry = (entry, query) => {
+  if (query.before && entry.date >= query.before) return 0;
+  if (query.after && entry.date <= query.after) return 0;
+
+  let score = 0;
+  for (const term of query.terms) {
+    const best = TEXT_FIELDS.reduce((max, name) => (
+      Math.max(max, matchTerm(term, entry.fields[name]) * FIELD_WEIGHTS[name])
+    ), 0);
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  for (const { field, terms } of query.qualifiers) {
+    for (const term of terms) {
+      const quality = matchTerm(term, entry.fields[field]);
+      if (quality === 0) return 0;
+      score += quality * FIELD_WEIGHTS[field];
+    }
+  }
+
+  // Date-only queries still need a positive score to count as a match
+  return Math.max(score, Number.MIN_VALUE);
+};
+
+// Indexes shows once so each keystroke only has to score them. filter() keeps
+// the given shows that match, best first; equally good matches keep their
+// order. The last query's scores are reused, so filtering several lists with
+// the same query scores each show once.
+export const createSearchIndex = (shows) => {
+  const entries = new Map(shows.map(show => [show, indexShow(show)]));
+  let lastQuery = null;
+  let lastScores = null;
+
+  const getScores = (query) => {
+    if (query !== lastQuery) {
+      lastScores = new Map();
+      entries.forEach((entry, show) => {
+        const score = scoreEntry(entry, query);
+        if (score > 0) lastScores.set(show, score);
+      });
+      lastQuery = query;
+    }
+    return lastScores;
+  };
+
+  const filter = (list, query) => {
+    if (isEmptyQuery(query)) return list;
+    const scores = getScores(query);
+    return list
+      .map((show, index) => ({ show, index, score: scores.get(show) || 0 }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(result => result.show);
+  };
+
+  return { filter };
+};
+
+// Parts of `text` to highlight for a query, as sorted, non-overlapping
+// [start, end) ranges. `field` adds the terms of any qualifier on that field
+// (e.g. a "venue:" qualifier only lights up venue names).
+export const getHighlightRanges = (text, query, field) => {
+  if (!text) return [];
+  const terms = [
+    ...query.terms,
+    ...query.qualifiers.filter(qualifier => qualifier.field === field).flatMap(qualifier => qualifier.terms)
+  ];
+  if (terms.length === 0) return [];
+
+  const ranges = [];
+  const normalized = normalizeText(text);
+  // Accents and a few letters change length when normalized; offsets only
+  // line up with the original text when they don't
+  const aligned = normalized.length === text.length;
+
+  terms.filter(term => term.phrase).forEach(term => {
+    let from = aligned ? normalized.indexOf(term.text) : -1;
+    while (from !== -1) {
+      ranges.push([from, from + term.text.length]);
+      from = normalized.indexOf(term.text, from + term.text.length);
+    }
+  });
+
+  const wordTerms = terms.filter(term => !term.phrase);
+  for (const word of text.matchAll(WORD_PATTERN)) {
+    const token = normalizeText(word[0]);
+    const start = word.index;
+    for (const term of wordTerms) {
+      if (matchWord(term.text, token) === 0) continue;
+      const offset = token.indexOf(term.text);
+      if (offset !== -1 && token.length === word[0].length) {
+        ranges.push([start + offset, start + offset + term.text.length]);
+      } else {
+        ranges.push([start, start + word[0].length]);
+      }
+    }
+  }
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
@@ -0,0 +1,159 @@
+import { createSearchIndex, getHighlightRanges, isEmptyQuery, parseSearchQuery } from './search';
+
+const SHOW = {
+  show_date: '03/14/2030',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  lineup: 'Ana Ruiz (trombone) :: Ben Cho (trumpet)',
+  show_type: 'Recital'
+};
+
+const search = (shows, text) => createSearchIndex(shows).filter(shows, parseSearchQuery(text));
+const matches = (show, text) => search([show], text).length === 1;
+
+describe('parseSearchQuery', () => {
+  test('splits words, phrases and qualifiers', () => {
+    const query = parseSearchQuery('Brass "jordan hall" city:Boston player:"Ana Ruiz" after:2030-01-01');
+    expect(query.terms).toEqual([
+      { text: 'brass', phrase: false },
+      { text: 'jordan hall', phrase: true }
+    ]);
+    expect(query.qualifiers).toEqual([
+      { field: 'city', terms: [{ text: 'boston', phrase: false }] },
+      { field: 'players', terms: [{ text: 'ana ruiz', phrase: true }] }
+    ]);
+    expect(query.after).toEqual(new Date(2030, 0, 1));
+  });
+
+  test('reads date bounds as whole periods', () => {
+    expect(parseSearchQuery('before:2030').before).toEqual(new Date(2030, 0, 1));
+    expect(parseSearchQuery('after:2030').after).toEqual(new Date(2030, 11, 31));
+    expect(parseSearchQuery('after:2030-02').after).toEqual(new Date(2030, 1, 28));
+    expect(parseSearchQuery('before:03/14/2030').before).toEqual(new Date(2030, 2, 14));
+  });
+
+  test('searches unknown qualifiers and unreadable dates as text', () => {
+    expect(parseSearchQuery('before:soon 7:30pm').terms.map(term => term.text)).toEqual(['before', 'soon', '7', '30pm']);
+  });
+
+  test('treats a blank box as no query', () => {
+    expect(isEmptyQuery(parseSearchQuery('   '))).toBe(true);
+    expect(isEmptyQuery(parseSearchQuery('after:2030'))).toBe(false);
+  });
+});
+
+describe('createSearchIndex', () => {
+  test.each([
+    ['', true],
+    ['jordan', true],
+    ['GAINSBOROUGH', true],
+    ['boston', true],
+    ['ma', true],
+    ['quintet', true],
+    ['trombone', true],
+    ['recital', true],
+    ['  boston  ', true],
+    ['brass boston', true],
+    ['brass chicago', false],
+    ['chicago', false]
+  ])('matches %j: %s', (term, expected) => {
+    expect(matches(SHOW, term)).toBe(expected);
+  });
+
+  test.each([
+    ['jordna', true],
+    ['bostn', true],
+    ['quintte', true],
+    ['gainsbrough', true],
+    ['quartet', false]
+  ])('tolerates typos: %j', (term, expected) => {
+    expect(matches(SHOW, term)).toBe(expected);
+  });
+
+  test('ignores accents', () => {
+    expect(matches({ ...SHOW, address: 'Musikvereinsplatz 1, 1010 Wien, Österreich' }, 'osterreich')).toBe(true);
+    expect(matches({ ...SHOW, venue: 'Salle Pleyel' }, 'pléyel')).toBe(true);
+  });
+
+  test('matches the geocoded or explicit location', () => {
+    const show = { ...SHOW, address: '丸の内2-7-2', place: { city: 'Chiyoda', region: 'Tokyo', country: 'Japan', countryCode: 'JP' } };
+    expect(matches(show, 'tokyo')).toBe(true);
+    expect(matches(show, 'japan')).toBe(true);
+    expect(matches({ ...SHOW, country: 'Germany' }, 'germany')).toBe(true);
+  });
+
+  test('limits qualifiers to their field', () => {
+    expect(matches(SHOW, 'venue:jordan')).toBe(true);
+    expect(matches(SHOW, 'venue:boston')).toBe(false);
+    expect(matches(SHOW, 'city:boston')).toBe(true);
+    expect(matches(SHOW, 'state:ma')).toBe(true);
+    expect(matches(SHOW, 'country:us')).toBe(true);
+    expect(matches(SHOW, 'group:brass')).toBe(true);
+    expect(matches(SHOW, 'type:concert')).toBe(false);
+    expect(matches(SHOW, 'player:"ben cho"')).toBe(true);
+    expect(matches(SHOW, 'player:trumpet')).toBe(true);
+    expect(matches(SHOW, 'player:"ana cho"')).toBe(false);
+  });
+
+  test('filters by date', () => {
+    expect(matches(SHOW, 'after:2030-03-13')).toBe(true);
+    expect(matches(SHOW, 'after:2030-03-14')).toBe(false);
+    expect(matches(SHOW, 'before:2030-03-15')).toBe(true);
+    expect(matches(SHOW, 'before:2030-03')).toBe(false);
+    expect(matches(SHOW, 'boston after:2029 before:2031')).toBe(true);
+  });
+
+  test('ranks better matches first and keeps the given order for ties', () => {
+    const lineupOnly = { ...SHOW, venue: 'Symphony Hall', group: 'Trombone Choir', lineup: 'Jordan Lee (tuba)' };
+    const exact = { ...SHOW, venue: 'Jordan Hall' };
+    const typo = { ...SHOW, venue: 'Jordon Hall' };
+    const alsoExact = { ...SHOW, venue: 'Jordan Hall', show_date: '03/15/2030' };
+    expect(search([lineupOnly, typo, exact, alsoExact], 'jordan')).toEqual([exact, alsoExact, typo, lineupOnly]);
+  });
+
+  test('keeps the list as-is for an empty query', () => {
+    const other = { ...SHOW, venue: 'Symphony Hall' };
+    const shows = [SHOW, other];
+    expect(search(shows, '')).toBe(shows);
+  });
+
+  test('only returns shows from the given list', () => {
+    const other = { ...SHOW, venue: 'Symphony Hall' };
+    const index = createSearchIndex([SHOW, other]);
+    expect(index.filter([other], parseSearchQuery('hall'))).toEqual([other]);
+  });
+});
+
+describe('getHighlightRanges', () => {
+  const ranges = (text, query, field) => getHighlightRanges(text, parseSearchQuery(query), field);
+
+  test('marks matched words and phrases', () => {
+    expect(ranges('Jordan Hall', 'hall')).toEqual([[7, 11]]);
+    expect(ranges('Jordan Hall', 'jor')).toEqual([[0, 3]]);
+    expect(ranges('Jordan Hall', '"jordan hall"')).toEqual([[0, 11]]);
+  });
+
+  test('marks whole words matched with a typo', () => {
+    expect(ranges('Jordan Hall', 'jordna')).toEqual([[0, 6]]);
+  });
+
+  test('merges overlapping matches', () => {
+    expect(ranges('Brass Quintet', 'brass bra')).toEqual([[0, 5]]);
+  });
+
+  test('handles accented text', () => {
+    expect(ranges('Salle Pleyel, Paris', 'pléyel')).toEqual([[6, 12]]);
+    expect(ranges('Wien, Österreich', 'osterreich')).toEqual([[6, 16]]);
+  });
+
+  test('only marks qualifiers in their own field', () => {
+    expect(ranges('Jordan Hall', 'venue:jordan', 'venue')).toEqual([[0, 6]]);
+    expect(ranges('Jordan Hall', 'venue:jordan', 'group')).toEqual([]);
+  });
+
+  test('marks nothing without a query', () => {
+    expect(ranges('Jordan Hall', '')).toEqual([]);
+    expect(ranges('', 'hall')).toEqual([]);
+  });
+});
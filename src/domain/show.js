@@ -0,0 +1,168 @@
+// The normalized show shape every data source produces. All values are
+// strings; empty string means "not set", matching what the sheet gives us.
+export const SHOW_FIELDS = [
+  'id',
+  'launch_date',
+  'launch_time',
+  'launch_timezone',
+  'show_date',
+  'show_time',
+  'performances',
+  'status',
+  'rescheduled_from',
+  'venue',
+  'address',
+  'city',
+  'region',
+  'country',
+  'group',
+  'ticket_url',
+  'price',
+  'currency',
+  'ticket_status',
+  'on_sale_date',
+  'show_type',
+  'show_description',
+  'lineup',
+  'show_image',
+  'livestream_ticket_url',
+  'replay_url',
+  'capacity',
+  'lat',
+  'lng'
+];
+
+// Alternate column/property names people use for the same field
+const FIELD_ALIASES = {
+  show_id: 'id',
+  launch_tz: 'launch_timezone',
+  date: 'show_date',
+  time: 'show_time',
+  times: 'show_time',
+  performance_details: 'performances',
+  performance_notes: 'performances',
+  show_status: 'status',
+  original_date: 'rescheduled_from',
+  rescheduled_date: 'rescheduled_from',
+  venue_name: 'venue',
+  venue_address: 'address',
+  town: 'city',
+  state: 'region',
+  province: 'region',
+  ensemble: 'group',
+  tickets: 'ticket_url',
+  ticket_link: 'ticket_url',
+  price_range: 'price',
+  ticket_price: 'price',
+  prices: 'price',
+  on_sale: 'on_sale_date',
+  onsale_date: 'on_sale_date',
+  type: 'show_type',
+  description: 'show_description',
+  image: 'show_image',
+  image_url: 'show_image',
+  livestream: 'livestream_ticket_url',
+  livestream_url: 'livestream_ticket_url',
+  replay: 'replay_url',
+  replay_link: 'replay_url',
+  recording_url: 'replay_url',
+  latitude: 'lat',
+  longitude: 'lng',
+  lon: 'lng',
+  long: 'lng'
+};
+
+// "Show_Date", "Show Date", "showDate" and "show-date" all become "show_date"
+export const normalizeFieldName = (name) => {
+  return String(name)
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+};
+
+export const resolveShowField = (name) => {
+  const normalized = normalizeFieldName(name);
+  if (SHOW_FIELDS.includes(normalized)) return normalized;
+  return FIELD_ALIASES[normalized] || null;
+};
+
+export const createEmptyShow = () => {
+  const show = {};
+  SHOW_FIELDS.forEach(field => {
+    show[field] = '';
+  });
+  return show;
+};
+
+// Turn a record from any source (sheet row object, JSON, CSV, REST) into the
+// normalized show shape. Unknown properties are dropped.
+export const normalizeShow = (record) => {
+  const show = createEmptyShow();
+  if (!record) return show;
+
+  Object.entries(record).forEach(([key, value]) => {
+    const field = resolveShowField(key);
+    if (!field || value === null || value === undefined) return;
+    show[field] = String(value).trim();
+  });
+
+  return show;
+};
+
+// Columns a source must provide for its rows to be usable at all
+export const REQUIRED_FIELDS = ['show_date', 'venue'];
+
+export const getMissingFields = (header) => {
+  const present = header.map(resolveShowField);
+  return REQUIRED_FIELDS.filter(field => !present.includes(field));
+};
+
+// 32-bit FNV-1a, base36: short, deterministic and good enough to tell a few
+// thousand shows apart
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// URL-friendly form of a name: "Café Oto" -> "cafe-oto". Unlike column
+// names, "McCarter" stays one word.
+export const slugify = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+export const createVenueSlug = (venue) => slugify(venue);
+
+// Deterministic ID built from what identifies a show: when, where and who.
+// Editing the description or lineup keeps the ID (and any shared link) intact,
+// and so does rescheduling: a moved show keeps the ID of its original date.
+export const createShowId = (show) => {
+  const date = show.rescheduled_from || show.show_date || '';
+  const [month = '', day = '', year = ''] = date.split('/');
+  const datePart = `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+  const key = [date, show.venue, show.group, show.show_time].map(v => (v || '').toLowerCase().trim()).join('|');
+  const readable = slugify(show.venue).slice(0, 40).replace(/-+$/, '');
+  return `${datePart}-${readable}-${hashString(key)}`;
+};
+
+// Give every show an `id` (from the ID column when there is one, otherwise
+// derived), suffixing duplicates so IDs stay unique
+export const assignShowIds = (shows) => {
+  const seen = {};
+  return shows.map(show => {
+    const baseId = show.id || createShowId(show);
+    seen[baseId] = (seen[baseId] || 0) + 1;
+    const id = seen[baseId] > 1 ? `${baseId}-${seen[baseId]}` : baseId;
+    return { ...show, id };
+  });
+};
@@ -0,0 +1,58 @@
+import { assignShowIds, createShowId, createVenueSlug } from './show';
+
+const SHOW = {
+  show_date: '3/4/2030',
+  show_time: '7:30pm',
+  venue: "St. Mary's <Chapel>",
+  group: 'Brass Quintet',
+  lineup: 'A (tbn)'
+};
+
+describe('createShowId', () => {
+  test('is readable and URL-safe', () => {
+    expect(createShowId(SHOW)).toMatch(/^20300304-st-mary-s-chapel-[0-9a-z]+$/);
+  });
+
+  test('keeps camel-cased names whole', () => {
+    expect(createShowId({ ...SHOW, venue: 'McCarter Theatre' })).toMatch(/^20300304-mccarter-theatre-[0-9a-z]+$/);
+  });
+
+  test('is stable across loads and unaffected by non-identifying edits', () => {
+    expect(createShowId({ ...SHOW })).toBe(createShowId(SHOW));
+    expect(createShowId({ ...SHOW, lineup: 'B (tpt)', show_description: 'New' })).toBe(createShowId(SHOW));
+  });
+
+  test('keeps the original date for rescheduled shows', () => {
+    expect(createShowId({ ...SHOW, show_date: '5/1/2030', rescheduled_from: '3/4/2030', status: 'rescheduled' }))
+      .toBe(createShowId(SHOW));
+  });
+
+  test('differs for different performances', () => {
+    expect(createShowId({ ...SHOW, show_time: '9:30pm' })).not.toBe(createShowId(SHOW));
+    expect(createShowId({ ...SHOW, group: 'Other' })).not.toBe(createShowId(SHOW));
+  });
+});
+
+describe('createVenueSlug', () => {
+  test.each([
+    ['Jordan Hall', 'jordan-hall'],
+    ['Café Oto', 'cafe-oto'],
+    ["St. Mary's <Chapel>", 'st-mary-s-chapel'],
+    ['McCarter Theatre', 'mccarter-theatre'],
+    ['  NEC JordanHall  ', 'nec-jordanhall']
+  ])('%s', (venue, expected) => {
+    expect(createVenueSlug(venue)).toBe(expected);
+  });
+});
+
+describe('assignShowIds', () => {
+  test('prefers an explicit ID column', () => {
+    expect(assignShowIds([{ ...SHOW, id: 'spring-gala' }])[0].id).toBe('spring-gala');
+  });
+
+  test('keeps IDs unique when rows are duplicated', () => {
+    const [first, second] = assignShowIds([SHOW, SHOW]);
+    expect(first.id).not.toBe(second.id);
+    expect(second.id).toBe(`${first.id}-2`);
+  });
+});
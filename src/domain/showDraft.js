@@ -0,0 +1,94 @@
+import { parseAddress } from './addresses';
+import { parseShowTimes } from './dates';
+import { parseLineup } from './lineup';
+import { getPerformances } from './performances';
+import { isReadableTime, validateShow } from './validation';
+
+// The admin editor's form: every show field, grouped and in sheet order.
+// `multiline` fields get a text area.
+export const EDITOR_SECTIONS = [
+  {
+    title: 'When',
+    fields: [
+      { key: 'show_date', label: 'Show date', placeholder: 'MM/DD/YYYY' },
+      { key: 'show_time', label: 'Show times', placeholder: '2pm, 7:30pm', hint: 'Separate performances with commas; TBA is fine' },
+      {
+        key: 'performances',
+        label: 'Performances',
+        multiline: true,
+        placeholder: '2pm https://tickets.example/matinee sold out :: 7:30pm livestream',
+        hint: 'Only for times with their own ticket link, sold out or livestream, with :: between times'
+      },
+      { key: 'status', label: 'Status', placeholder: 'scheduled', hint: 'Scheduled, rescheduled, postponed or cancelled' },
+      {
+        key: 'rescheduled_from',
+        label: 'Rescheduled from',
+        placeholder: 'MM/DD/YYYY',
+        hint: 'The original date when the show moved; set Show date to the new one'
+      },
+      { key: 'launch_date', label: 'Launch date', placeholder: 'MM/DD/YYYY', hint: 'Hidden from the public until then' },
+      { key: 'launch_time', label: 'Launch time', placeholder: '10am', hint: 'Midnight if empty' },
+      { key: 'launch_timezone', label: 'Launch timezone', placeholder: 'America/New_York', hint: "The venue's if empty" }
+    ]
+  },
+  {
+    title: 'Where',
+    fields: [
+      { key: 'venue', label: 'Venue', placeholder: 'Jordan Hall' },
+      { key: 'address', label: 'Address', placeholder: '30 Gainsborough St, Boston, MA 02115' },
+      { key: 'city', label: 'City', hint: 'Only if the address reads wrong' },
+      { key: 'region', label: 'State / region', hint: 'Only if the address reads wrong' },
+      { key: 'country', label: 'Country', hint: 'Only if the address reads wrong' },
+      { key: 'lat', label: 'Latitude', placeholder: '42.3403' },
+      { key: 'lng', label: 'Longitude', placeholder: '-71.0870' }
+    ]
+  },
+  {
+    title: 'Who',
+    fields: [
+      { key: 'group', label: 'Group', placeholder: 'Brass Quintet' },
+      {
+        key: 'lineup',
+        label: 'Lineup',
+        multiline: true,
+        placeholder: 'Ana Ruiz (trombone) @anaruiz :: Ben Cho (trumpet) bencho.com',
+        hint: 'Name (instrument) @instagram website, with :: between people'
+      }
+    ]
+  },
+  {
+    title: 'Details',
+    fields: [
+      { key: 'show_type', label: 'Show type', placeholder: 'Concert' },
+      { key: 'show_description', label: 'Description', multiline: true },
+      { key: 'show_image', label: 'Image URL', placeholder: 'https://' },
+      { key: 'capacity', label: 'Capacity' },
+      { key: 'ticket_url', label: 'Ticket URL', placeholder: 'https://' },
+      { key: 'price', label: 'Price', placeholder: '25-60', hint: 'One price, a range, or "free"' },
+      { key: 'currency', label: 'Currency', placeholder: 'USD', hint: "The venue country's if empty" },
+      { key: 'ticket_status', label: 'Ticket status', placeholder: 'on sale', hint: 'On sale, few left, sold out, cancelled, postponed or free' },
+      { key: 'on_sale_date', label: 'On-sale date', placeholder: 'MM/DD/YYYY', hint: 'Shows "On sale <date>" instead of the ticket button until then' },
+      { key: 'livestream_ticket_url', label: 'Livestream URL', placeholder: 'https://' },
+      { key: 'replay_url', label: 'Replay URL', placeholder: 'https://', hint: 'A recording to watch once the show is over' },
+      { key: 'id', label: 'Show ID', hint: 'Leave empty to derive one from the date, venue, group and time' }
+    ]
+  }
+];
+
+// What the editor shows next to a draft: validation messages by field, and
+// how the free-text fields will be read (by the same parsers the site uses)
+export const inspectShowDraft = (draft) => {
+  const issues = {};
+  validateShow(draft).forEach(({ field, message }) => {
+    issues[field] = [...(issues[field] || []), message];
+  });
+
+  return {
+    issues,
+    valid: Object.keys(issues).length === 0,
+    times: parseShowTimes(draft.show_time).map(time => ({ time, readable: isReadableTime(time) })),
+    performances: draft.performances ? getPerformances(draft) : [],
+    lineup: parseLineup(draft.lineup),
+    address: draft.address ? parseAddress(draft.address) : null
+  };
+};
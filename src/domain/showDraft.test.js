@@ -0,0 +1,51 @@
+import { EDITOR_SECTIONS, inspectShowDraft } from './showDraft';
+import { SHOW_FIELDS, createEmptyShow } from './show';
+
+const draft = (overrides) => ({
+  ...createEmptyShow(),
+  show_date: '03/14/2030',
+  venue: 'Jordan Hall',
+  ...overrides
+});
+
+describe('EDITOR_SECTIONS', () => {
+  test('covers every show field once', () => {
+    const keys = EDITOR_SECTIONS.flatMap(section => section.fields.map(field => field.key));
+    expect([...keys].sort()).toEqual([...SHOW_FIELDS].sort());
+  });
+});
+
+describe('inspectShowDraft', () => {
+  test('accepts a complete draft', () => {
+    expect(inspectShowDraft(draft())).toMatchObject({ issues: {}, valid: true, times: [], performances: [], lineup: [], address: null });
+  });
+
+  test('groups validation messages by field', () => {
+    const { issues, valid } = inspectShowDraft(draft({ venue: '', launch_time: 'soon' }));
+    expect(valid).toBe(false);
+    expect(issues).toEqual({
+      venue: ['Venue is missing'],
+      launch_time: ['Launch time "soon" could not be read']
+    });
+  });
+
+  test('reads times, lineup and address as the site will', () => {
+    const inspected = inspectShowDraft(draft({
+      show_time: '2pm, TBA, around 9',
+      lineup: 'Ana Ruiz (trombone) @anaruiz :: Ben Cho',
+      address: '30 Gainsborough St, Boston, MA 02115'
+    }));
+    expect(inspected.times).toEqual([
+      { time: '2pm', readable: true },
+      { time: 'TBA', readable: true },
+      { time: 'around 9', readable: false }
+    ]);
+    expect(inspected.lineup.map(member => [member.name, member.instrument])).toEqual([['Ana Ruiz', 'trombone'], ['Ben Cho', '']]);
+    expect(inspected.address).toMatchObject({ city: 'Boston', state: 'MA', zip: '02115', countryCode: 'US' });
+  });
+
+  test('reads per-time performance details', () => {
+    const inspected = inspectShowDraft(draft({ show_time: '2pm, 7:30pm', performances: '2pm sold out' }));
+    expect(inspected.performances.map(({ time, soldOut }) => [time, soldOut])).toEqual([['2pm', true], ['7:30pm', false]]);
+  });
+});
@@ -0,0 +1,59 @@
+import { parseDate } from './dates';
+
+// Where a show stands. The team edits a show's row in place when plans
+// change: Show_Date is always the date it happens (or was going to), the
+// optional Status column says what happened and Rescheduled_From keeps the
+// date it was first announced for.
+
+export const SHOW_STATUSES = {
+  scheduled: 'Scheduled',
+  rescheduled: 'Rescheduled',
+  postponed: 'Postponed',
+  cancelled: 'Cancelled'
+};
+
+const STATUS_ALIASES = {
+  scheduled: ['scheduled', 'confirmed', 'on'],
+  rescheduled: ['rescheduled', 'moved', 'new date'],
+  postponed: ['postponed', 'delayed'],
+  cancelled: ['cancelled', 'canceled', 'called off']
+};
+
+// '' for an empty cell, null for a status we don't know
+export const parseShowStatus = (value) => {
+  const normalized = (value || '').toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!normalized) return '';
+  const match = Object.entries(STATUS_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+// The Status column, else "rescheduled" for a show with an original date,
+// else a cancelled or postponed Ticket_Status (which came first)
+export const getShowStatus = (show) => {
+  const status = parseShowStatus(show.status);
+  if (status) return status;
+  if (show.rescheduled_from) return 'rescheduled';
+  const fromTickets = parseShowStatus(show.ticket_status);
+  return fromTickets === 'cancelled' || fromTickets === 'postponed' ? fromTickets : 'scheduled';
+};
+
+// "Mar 3", with the year when it differs from the show's
+const formatShortDate = (dateString, show) => {
+  const date = parseDate(dateString);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(date.getFullYear() !== parseDate(show.show_date).getFullYear() ? { year: 'numeric' } : {})
+  });
+};
+
+// The line fans see next to a show whose plans changed, or ''
+export const getStatusNotice = (show) => {
+  const status = getShowStatus(show);
+  if (status === 'rescheduled') {
+    return show.rescheduled_from ? `Rescheduled — was ${formatShortDate(show.rescheduled_from, show)}` : 'Rescheduled';
+  }
+  if (status === 'postponed') return 'Postponed — new date to be announced';
+  if (status === 'cancelled') return 'Cancelled';
+  return '';
+};
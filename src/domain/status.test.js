@@ -0,0 +1,52 @@
+import { getShowStatus, getStatusNotice, parseShowStatus } from './status';
+
+const show = (overrides) => ({
+  show_date: '04/02/2030',
+  status: '',
+  rescheduled_from: '',
+  ticket_status: '',
+  ...overrides
+});
+
+describe('parseShowStatus', () => {
+  test.each([
+    ['', ''],
+    ['Scheduled', 'scheduled'],
+    ['Canceled', 'cancelled'],
+    ['POSTPONED', 'postponed'],
+    ['new-date', 'rescheduled'],
+    ['maybe', null]
+  ])('%j', (value, expected) => {
+    expect(parseShowStatus(value)).toBe(expected);
+  });
+});
+
+describe('getShowStatus', () => {
+  test('reads the Status column first', () => {
+    expect(getShowStatus(show({ status: 'cancelled', rescheduled_from: '03/03/2030' }))).toBe('cancelled');
+  });
+
+  test('treats a show with an original date as rescheduled', () => {
+    expect(getShowStatus(show({ rescheduled_from: '03/03/2030' }))).toBe('rescheduled');
+  });
+
+  test('falls back to a cancelled or postponed ticket status', () => {
+    expect(getShowStatus(show({ ticket_status: 'postponed' }))).toBe('postponed');
+    expect(getShowStatus(show({ ticket_status: 'sold out' }))).toBe('scheduled');
+    expect(getShowStatus(show({}))).toBe('scheduled');
+  });
+});
+
+describe('getStatusNotice', () => {
+  test('gives the original date of rescheduled shows', () => {
+    expect(getStatusNotice(show({ rescheduled_from: '03/03/2030' }))).toBe('Rescheduled — was Mar 3');
+    expect(getStatusNotice(show({ rescheduled_from: '12/20/2029' }))).toBe('Rescheduled — was Dec 20, 2029');
+    expect(getStatusNotice(show({ status: 'rescheduled' }))).toBe('Rescheduled');
+  });
+
+  test('describes postponed and cancelled shows', () => {
+    expect(getStatusNotice(show({ status: 'postponed' }))).toBe('Postponed — new date to be announced');
+    expect(getStatusNotice(show({ status: 'cancelled' }))).toBe('Cancelled');
+    expect(getStatusNotice(show({}))).toBe('');
+  });
+});
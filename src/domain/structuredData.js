@@ -0,0 +1,185 @@
+import { getShowLocation } from './addresses';
+import { parseDate } from './dates';
+import { parseLineup } from './lineup';
+import { getPerformances } from './performances';
+import { getShowStatus } from './status';
+import { getCurrency, getTicketInfo, parsePrice } from './tickets';
+import { getLaunchTimezone, getTimezoneOffset, getVenueTimezone, parseTime, zonedTimeToUtc } from './timezone';
+
+export const SITE_NAME = 'Classical Trombone';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const isoDate = (showDate) => {
+  const [month, day, year] = showDate.split('/');
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// "2030-03-14T19:30:00-04:00": venue wall-clock time with its UTC offset, or
+// without an offset when the venue's zone is unknown
+const isoDateTime = (showDate, time, timeZone) => {
+  const local = `${isoDate(showDate)}T${pad(time.hours)}:${pad(time.minutes)}:00`;
+  if (!timeZone) return local;
+
+  const [month, day, year] = showDate.split('/').map(n => parseInt(n, 10));
+  const offset = getTimezoneOffset(zonedTimeToUtc({ year, month, day, ...time }, timeZone), timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+const buildPlace = (show) => {
+  const { city, region, postcode, country, countryCode } = getShowLocation(show);
+  const firstPart = (show.address || '').split(',')[0].trim();
+  const lat = parseFloat(show.lat);
+  const lng = parseFloat(show.lng);
+
+  return {
+    '@type': 'Place',
+    name: show.venue,
+    address: {
+      '@type': 'PostalAddress',
+      // A leading "30 Gainsborough St" part is the street; anything else is a guess we skip
+      ...(firstPart && firstPart !== city && /\d/.test(firstPart) ? { streetAddress: firstPart } : {}),
+      ...(city ? { addressLocality: city } : {}),
+      ...(region ? { addressRegion: region } : {}),
+      ...(postcode ? { postalCode: postcode } : {}),
+      ...(countryCode || country ? { addressCountry: countryCode || country } : {})
+    },
+    ...(Number.isFinite(lat) && Number.isFinite(lng)
+      ? { geo: { '@type': 'GeoCoordinates', latitude: lat, longitude: lng } }
+      : {})
+  };
+};
+
+const buildPerformers = (show) => {
+  const members = parseLineup(show.lineup).map(member => {
+    const sameAs = [member.instagramLink, member.websiteLink].filter(Boolean);
+    return {
+      '@type': 'Person',
+      name: member.name,
+      ...(sameAs.length > 0 ? { sameAs } : {})
+    };
+  });
+  return show.group ? [{ '@type': 'MusicGroup', name: show.group }, ...members] : members;
+};
+
+const EVENT_STATUSES = {
+  scheduled: 'https://schema.org/EventScheduled',
+  rescheduled: 'https://schema.org/EventRescheduled',
+  postponed: 'https://schema.org/EventPostponed',
+  cancelled: 'https://schema.org/EventCancelled'
+};
+
+const AVAILABILITY = {
+  sold_out: 'https://schema.org/SoldOut',
+  few_left: 'https://schema.org/LimitedAvailability',
+  on_sale: 'https://schema.org/InStock',
+  free: 'https://schema.org/InStock'
+};
+
+// One price, or a range as an AggregateOffer
+const buildPrice = (show) => {
+  const price = parsePrice(show.price);
+  if (!price) return {};
+  const currency = getCurrency(show);
+  return {
+    ...(price.min === price.max ? { price: price.min } : { '@type': 'AggregateOffer', lowPrice: price.min, highPrice: price.max }),
+    ...(currency ? { priceCurrency: currency } : {})
+  };
+};
+
+const buildOffers = (show, performance) => {
+  const launchTime = show.launch_date && parseTime(show.launch_time);
+  // Tickets go on sale at the on-sale date, or else when the show is announced
+  const validFrom = show.on_sale_date
+    ? { validFrom: isoDate(show.on_sale_date) }
+    : show.launch_date
+      ? { validFrom: launchTime ? isoDateTime(show.launch_date, launchTime, getLaunchTimezone(show)) : isoDate(show.launch_date) }
+      : {};
+  const tickets = getTicketInfo(show);
+  const status = performance.soldOut
+    ? 'https://schema.org/SoldOut'
+    : (tickets.onSaleDate ? 'https://schema.org/PreOrder' : AVAILABILITY[tickets.status]);
+  const availability = status ? { availability: status } : {};
+  return [
+    performance.ticketUrl && { '@type': 'Offer', url: performance.ticketUrl, category: 'primary', ...buildPrice(show), ...availability, ...validFrom },
+    performance.livestreamUrl && { '@type': 'Offer', url: performance.livestreamUrl, category: 'livestream', ...validFrom }
+  ].filter(Boolean);
+};
+
+// schema.org MusicEvent objects for a show, one per performance with its own
+// offers and livestream (or a single all-day event when no time can be read).
+// Rescheduled shows also give the date they were moved from.
+export const buildMusicEvents = (show, { pageUrl } = {}) => {
+  const timeZone = getVenueTimezone(show);
+  const performances = getPerformances(show);
+  const status = getShowStatus(show);
+  const startDateOn = (date, time) => (time ? isoDateTime(date, time, timeZone) : isoDate(date));
+  const timed = performances
+    .map(performance => ({ performance, time: parseTime(performance.time) }))
+    .filter(slot => slot.time);
+  const slots = (timed.length > 0 ? timed : [{ performance: performances[0], time: null }])
+    .map(({ performance, time }) => ({
+      performance,
+      startDate: startDateOn(show.show_date, time),
+      previousStartDate: status === 'rescheduled' && show.rescheduled_from ? startDateOn(show.rescheduled_from, time) : null
+    }));
+
+  const place = buildPlace(show);
+  const performers = buildPerformers(show);
+
+  return slots.map(({ performance, startDate, previousStartDate }) => {
+    const offers = buildOffers(show, performance);
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'MusicEvent',
+      name: show.group ? `${show.group} at ${show.venue}` : show.venue,
+      startDate,
+      ...(previousStartDate ? { previousStartDate } : {}),
+      eventStatus: EVENT_STATUSES[status],
+      eventAttendanceMode: performance.livestreamUrl
+        ? 'https://schema.org/MixedEventAttendanceMode'
+        : 'https://schema.org/OfflineEventAttendanceMode',
+      location: performance.livestreamUrl
+        ? [place, { '@type': 'VirtualLocation', url: performance.livestreamUrl }]
+        : place,
+      ...(show.show_description ? { description: show.show_description } : {}),
+      ...(show.show_image ? { image: [show.show_image] } : {}),
+      ...(performers.length > 0 ? { performer: performers } : {}),
+      ...(offers.length > 0 ? { offers } : {}),
+      ...(pageUrl ? { url: pageUrl } : {})
+    };
+  });
+};
+
+// JSON for a <script type="application/ld+json">. "<" is escaped so show text
+// can't close the script tag.
+export const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// Document title plus Open Graph / Twitter tags for a show page
+export const buildShowMeta = (show, { pageUrl } = {}) => {
+  const dateLabel = parseDate(show.show_date).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const heading = show.group ? `${show.group} at ${show.venue}` : show.venue;
+  const title = `${heading} – ${dateLabel} | ${SITE_NAME}`;
+  const description = show.show_description || `${heading} on ${dateLabel}${show.show_time ? ` at ${show.show_time}` : ''}. ${show.address}`.trim();
+
+  const tags = [
+    { name: 'description', content: description },
+    { property: 'og:type', content: 'music.event' },
+    { property: 'og:site_name', content: SITE_NAME },
+    { property: 'og:title', content: heading },
+    { property: 'og:description', content: description },
+    ...(pageUrl ? [{ property: 'og:url', content: pageUrl }] : []),
+    ...(show.show_image ? [{ property: 'og:image', content: show.show_image }] : []),
+    { name: 'twitter:card', content: show.show_image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: heading },
+    { name: 'twitter:description', content: description },
+    ...(show.show_image ? [{ name: 'twitter:image', content: show.show_image }] : [])
+  ];
+
+  return { title, description, tags };
+};
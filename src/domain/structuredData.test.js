@@ -0,0 +1,176 @@
+import { buildMusicEvents, buildShowMeta, serializeJsonLd } from './structuredData';
+
+const SHOW = {
+  id: 'jordan-hall',
+  launch_date: '01/01/2030',
+  show_date: '03/14/2030',
+  show_time: '7:30pm',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  group: 'Brass Quintet',
+  ticket_url: 'https://example.com/tickets',
+  show_description: 'An evening of brass',
+  lineup: 'Ana Ruiz (trombone) @anaruiz :: Ben Cho (trumpet) bencho.com',
+  show_image: 'https://example.com/poster.jpg',
+  livestream_ticket_url: '',
+  lat: '',
+  lng: ''
+};
+
+describe('buildMusicEvents', () => {
+  test('describes an in-person show', () => {
+    const [event] = buildMusicEvents(SHOW, { pageUrl: 'https://shows.example.com/shows/jordan-hall' });
+    expect(event).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'MusicEvent',
+      name: 'Brass Quintet at Jordan Hall',
+      startDate: '2030-03-14T19:30:00-04:00',
+      eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+      description: 'An evening of brass',
+      image: ['https://example.com/poster.jpg'],
+      url: 'https://shows.example.com/shows/jordan-hall',
+      location: {
+        '@type': 'Place',
+        name: 'Jordan Hall',
+        address: {
+          '@type': 'PostalAddress',
+          streetAddress: '30 Gainsborough St',
+          addressLocality: 'Boston',
+          addressRegion: 'MA',
+          postalCode: '02115',
+          addressCountry: 'US'
+        }
+      },
+      offers: [{ '@type': 'Offer', url: 'https://example.com/tickets', validFrom: '2030-01-01' }]
+    });
+  });
+
+  test('puts the launch time on the offers', () => {
+    const [event] = buildMusicEvents({ ...SHOW, launch_time: '10am', launch_timezone: 'Europe/London' });
+    expect(event.offers[0].validFrom).toBe('2030-01-01T10:00:00+00:00');
+  });
+
+  test('lists the group and lineup as performers', () => {
+    const [event] = buildMusicEvents(SHOW);
+    expect(event.performer).toEqual([
+      { '@type': 'MusicGroup', name: 'Brass Quintet' },
+      { '@type': 'Person', name: 'Ana Ruiz', sameAs: ['https://www.instagram.com/anaruiz'] },
+      { '@type': 'Person', name: 'Ben Cho', sameAs: ['https://bencho.com'] }
+    ]);
+  });
+
+  test('adds a virtual location for livestreamed shows', () => {
+    const [event] = buildMusicEvents({ ...SHOW, livestream_ticket_url: 'https://example.com/stream' });
+    expect(event.eventAttendanceMode).toBe('https://schema.org/MixedEventAttendanceMode');
+    expect(event.location[1]).toEqual({ '@type': 'VirtualLocation', url: 'https://example.com/stream' });
+    expect(event.offers).toHaveLength(2);
+  });
+
+  test('creates one event per performance', () => {
+    const events = buildMusicEvents({ ...SHOW, show_time: '2pm, 7pm', address: '36 Wigmore St, London W1U 2BP, UK' });
+    expect(events.map(event => event.startDate)).toEqual(['2030-03-14T14:00:00+00:00', '2030-03-14T19:00:00+00:00']);
+    expect(events[0].location.address).toMatchObject({ addressLocality: 'London', addressCountry: 'GB' });
+  });
+
+  test('gives each performance its own offers and livestream', () => {
+    const [matinee, evening] = buildMusicEvents({
+      ...SHOW,
+      show_time: '2pm, 7:30pm',
+      livestream_ticket_url: 'https://example.com/stream',
+      performances: '2pm https://example.com/matinee sold out :: 7:30pm livestream'
+    });
+    expect(matinee.offers).toEqual([
+      { '@type': 'Offer', url: 'https://example.com/matinee', category: 'primary', availability: 'https://schema.org/SoldOut', validFrom: '2030-01-01' }
+    ]);
+    expect(matinee.eventAttendanceMode).toBe('https://schema.org/OfflineEventAttendanceMode');
+    expect(evening.offers.map(offer => offer.url)).toEqual(['https://example.com/tickets', 'https://example.com/stream']);
+    expect(evening.eventAttendanceMode).toBe('https://schema.org/MixedEventAttendanceMode');
+  });
+
+  test('describes prices and ticket availability', () => {
+    const [single] = buildMusicEvents({ ...SHOW, price: '25', ticket_status: 'few left' });
+    expect(single.offers[0]).toMatchObject({
+      '@type': 'Offer',
+      price: 25,
+      priceCurrency: 'USD',
+      availability: 'https://schema.org/LimitedAvailability'
+    });
+
+    const [range] = buildMusicEvents({ ...SHOW, price: '£10-£30', address: '36 Wigmore St, London W1U 2BP, UK', on_sale_date: '02/01/2099' });
+    expect(range.offers[0]).toMatchObject({
+      '@type': 'AggregateOffer',
+      lowPrice: 10,
+      highPrice: 30,
+      priceCurrency: 'GBP',
+      availability: 'https://schema.org/PreOrder',
+      validFrom: '2099-02-01'
+    });
+
+    const [thousands] = buildMusicEvents({ ...SHOW, price: '¥3,000-¥12,000', currency: 'JPY' });
+    expect(thousands.offers[0]).toMatchObject({ lowPrice: 3000, highPrice: 12000, priceCurrency: 'JPY' });
+  });
+
+  test('gives the status of cancelled, postponed and rescheduled shows', () => {
+    expect(buildMusicEvents(SHOW)[0].eventStatus).toBe('https://schema.org/EventScheduled');
+    expect(buildMusicEvents({ ...SHOW, status: 'cancelled' })[0].eventStatus).toBe('https://schema.org/EventCancelled');
+    expect(buildMusicEvents({ ...SHOW, ticket_status: 'postponed' })[0].eventStatus).toBe('https://schema.org/EventPostponed');
+
+    const [moved] = buildMusicEvents({ ...SHOW, show_date: '04/02/2030', rescheduled_from: '03/14/2030' });
+    expect(moved).toMatchObject({
+      startDate: '2030-04-02T19:30:00-04:00',
+      previousStartDate: '2030-03-14T19:30:00-04:00',
+      eventStatus: 'https://schema.org/EventRescheduled'
+    });
+  });
+
+  test('prefers explicit location columns', () => {
+    const [event] = buildMusicEvents({ ...SHOW, address: 'Kärntner Ring 20', city: 'Vienna', country: 'Austria' });
+    expect(event.location.address).toEqual({
+      '@type': 'PostalAddress',
+      streetAddress: 'Kärntner Ring 20',
+      addressLocality: 'Vienna',
+      addressCountry: 'AT'
+    });
+    expect(event.startDate).toBe('2030-03-14T19:30:00+01:00');
+  });
+
+  test('falls back to the date when no time can be read', () => {
+    expect(buildMusicEvents({ ...SHOW, show_time: 'TBA' })[0].startDate).toBe('2030-03-14');
+  });
+
+  test('omits the offset when the venue timezone is unknown', () => {
+    expect(buildMusicEvents({ ...SHOW, address: 'Somewhere' })[0].startDate).toBe('2030-03-14T19:30:00');
+  });
+
+  test('includes coordinates when known', () => {
+    const [event] = buildMusicEvents({ ...SHOW, lat: '42.34', lng: '-71.09' });
+    expect(event.location.geo).toEqual({ '@type': 'GeoCoordinates', latitude: 42.34, longitude: -71.09 });
+  });
+});
+
+describe('serializeJsonLd', () => {
+  test('escapes markup that could end the script tag', () => {
+    expect(serializeJsonLd({ name: '</script><b>' })).toBe('{"name":"\\u003c/script>\\u003cb>"}');
+  });
+});
+
+describe('buildShowMeta', () => {
+  const findTag = (tags, key) => tags.find(tag => tag.property === key || tag.name === key);
+
+  test('builds the title and social tags', () => {
+    const { title, tags } = buildShowMeta(SHOW, { pageUrl: 'https://shows.example.com/shows/jordan-hall' });
+    expect(title).toBe('Brass Quintet at Jordan Hall – March 14, 2030 | Classical Trombone');
+    expect(findTag(tags, 'og:description').content).toBe('An evening of brass');
+    expect(findTag(tags, 'og:image').content).toBe('https://example.com/poster.jpg');
+    expect(findTag(tags, 'og:url').content).toBe('https://shows.example.com/shows/jordan-hall');
+    expect(findTag(tags, 'twitter:card').content).toBe('summary_large_image');
+  });
+
+  test('describes shows without a description or image', () => {
+    const { tags } = buildShowMeta({ ...SHOW, show_description: '', show_image: '' });
+    expect(findTag(tags, 'description').content)
+      .toBe('Brass Quintet at Jordan Hall on March 14, 2030 at 7:30pm. 30 Gainsborough St, Boston, MA 02115');
+    expect(findTag(tags, 'og:image')).toBeUndefined();
+    expect(findTag(tags, 'twitter:card').content).toBe('summary');
+  });
+});
@@ -0,0 +1,123 @@
+import { getShowLocation } from './addresses';
+import { parseDate } from './dates';
+import { isSoldOut } from './performances';
+import { getShowStatus } from './status';
+
+// Optional ticket columns: Price ("25", "25-60", "$25–$60" or "free"),
+// Currency (ISO code; guessed from the venue's country when empty),
+// Ticket_Status and On_Sale_Date (MM/DD/YYYY, from midnight local time).
+
+export const TICKET_STATUSES = {
+  on_sale: 'On sale',
+  few_left: 'Few tickets left',
+  sold_out: 'Sold out',
+  cancelled: 'Cancelled',
+  postponed: 'Postponed',
+  free: 'Free'
+};
+
+const STATUS_ALIASES = {
+  on_sale: ['on sale', 'onsale', 'available', 'tickets available'],
+  few_left: ['few left', 'few tickets left', 'low', 'low availability', 'limited', 'selling fast', 'almost sold out'],
+  sold_out: ['sold out', 'soldout'],
+  cancelled: ['cancelled', 'canceled'],
+  postponed: ['postponed'],
+  free: ['free', 'free entry', 'free admission']
+};
+
+// Statuses that mean there's nothing to buy
+const CLOSED_STATUSES = ['sold_out', 'cancelled', 'postponed'];
+
+// '' for an empty cell, null for a status we don't know
+export const parseTicketStatus = (value) => {
+  const normalized = (value || '').toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!normalized) return '';
+  const match = Object.entries(STATUS_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+// A "," or "." before exactly three digits separates thousands ("¥3,000",
+// "€1.500"); one before one or two digits starts the decimals ("12,50")
+const AMOUNT_PATTERN = /\d{1,3}(?:[.,]\d{3})+(?!\d)(?:[.,]\d{1,2}(?!\d))?|\d+(?:[.,]\d{1,2})?/g;
+
+const readAmount = (amount) => {
+  const [, whole, decimals] = amount.match(/^(.*?)(?:[.,](\d{1,2}))?$/);
+  return parseFloat(`${whole.replace(/[.,]/g, '')}.${decimals || 0}`);
+};
+
+// { min, max } in the currency's units, or null if it can't be read
+export const parsePrice = (value) => {
+  const text = (value || '').trim();
+  if (/^free$/i.test(text)) return { min: 0, max: 0 };
+  const amounts = (text.match(AMOUNT_PATTERN) || []).map(readAmount);
+  if (amounts.length === 0 || amounts.length > 2 || /[a-z]{4,}/i.test(text.replace(/^from\b/i, ''))) return null;
+  return { min: Math.min(...amounts), max: Math.max(...amounts) };
+};
+
+const EURO_COUNTRIES = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+const COUNTRY_CURRENCIES = { US: 'USD', GB: 'GBP', CA: 'CAD', AU: 'AUD', NZ: 'NZD', JP: 'JPY', CH: 'CHF', MX: 'MXN', SE: 'SEK', NO: 'NOK', DK: 'DKK' };
+
+export const isValidCurrency = (code) => {
+  if (!/^[A-Z]{3}$/i.test(code || '')) return false;
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const getCurrency = (show) => {
+  if (isValidCurrency(show.currency)) return show.currency.toUpperCase();
+  const { countryCode } = getShowLocation(show);
+  if (EURO_COUNTRIES.includes(countryCode)) return 'EUR';
+  return COUNTRY_CURRENCIES[countryCode] || '';
+};
+
+const formatAmount = (amount, currency) => {
+  const digits = Number.isInteger(amount) ? 0 : 2;
+  if (!currency) return amount.toFixed(digits);
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(amount);
+};
+
+// "$25", "$25–$60" or "Free"; empty when there's no readable price
+export const formatPrice = (show) => {
+  const price = parsePrice(show.price);
+  if (!price) return '';
+  if (price.max === 0) return 'Free';
+  const currency = getCurrency(show);
+  return price.min === price.max
+    ? formatAmount(price.min, currency)
+    : `${formatAmount(price.min, currency)}–${formatAmount(price.max, currency)}`;
+};
+
+// What a show's ticket area says: { status, label, price, onSaleDate,
+// canBuy }. A cancelled or postponed show (see getShowStatus) has nothing to
+// sell whatever its Ticket_Status says. Every performance being sold out (see
+// getPerformances) counts as sold out; a free price counts as free.
+// `onSaleDate` is set until sales open.
+export const getTicketInfo = (show, now = new Date()) => {
+  const price = parsePrice(show.price);
+  const showStatus = getShowStatus(show);
+  const status = (showStatus === 'cancelled' || showStatus === 'postponed' ? showStatus : '') ||
+    parseTicketStatus(show.ticket_status) ||
+    (isSoldOut(show) ? 'sold_out' : '') ||
+    (price && price.max === 0 ? 'free' : '');
+  const onSale = show.on_sale_date ? parseDate(show.on_sale_date) : null;
+  const onSaleDate = onSale && !CLOSED_STATUSES.includes(status) && onSale > now ? onSale : null;
+
+  return {
+    status,
+    label: TICKET_STATUSES[status] || '',
+    price: formatPrice(show),
+    onSaleDate,
+    canBuy: !onSaleDate && !CLOSED_STATUSES.includes(status)
+  };
+};
+
+// "On sale Mar 3" (with the year when it isn't this year's)
+export const formatOnSaleDate = (date, now = new Date()) => `On sale ${date.toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  ...(date.getFullYear() !== now.getFullYear() ? { year: 'numeric' } : {})
+})}`;
@@ -0,0 +1,97 @@
+import { formatOnSaleDate, formatPrice, getCurrency, getTicketInfo, parsePrice, parseTicketStatus } from './tickets';
+
+const show = (overrides) => ({
+  show_time: '7:30pm',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  ticket_url: 'https://example.com/tickets',
+  price: '',
+  currency: '',
+  ticket_status: '',
+  on_sale_date: '',
+  performances: '',
+  ...overrides
+});
+
+const NOW = new Date(2030, 0, 15, 12);
+
+describe('parseTicketStatus', () => {
+  test.each([
+    ['On sale', 'on_sale'],
+    ['SOLD_OUT', 'sold_out'],
+    ['sold-out', 'sold_out'],
+    ['Low availability', 'few_left'],
+    ['canceled', 'cancelled'],
+    ['Postponed', 'postponed'],
+    ['free', 'free'],
+    ['', ''],
+    ['maybe', null]
+  ])('%j', (value, expected) => {
+    expect(parseTicketStatus(value)).toBe(expected);
+  });
+});
+
+describe('prices', () => {
+  test.each([
+    ['25', { min: 25, max: 25 }],
+    ['$25–$60', { min: 25, max: 60 }],
+    ['60 - 25 EUR', { min: 25, max: 60 }],
+    ['From £12.50', { min: 12.5, max: 12.5 }],
+    ['Free', { min: 0, max: 0 }],
+    ['pay what you can', null],
+    ['10, 20, 30', null],
+    ['12,50 €', { min: 12.5, max: 12.5 }],
+    ['¥3,000', { min: 3000, max: 3000 }],
+    ['¥3,000-¥12,000', { min: 3000, max: 12000 }],
+    ['$1,500', { min: 1500, max: 1500 }],
+    ['$1,000.50–$2,500', { min: 1000.5, max: 2500 }],
+    ['€1.500,50', { min: 1500.5, max: 1500.5 }],
+    ['2500', { min: 2500, max: 2500 }]
+  ])('reads %j', (value, expected) => {
+    expect(parsePrice(value)).toEqual(expected);
+  });
+
+  test('uses the currency column or the venue country', () => {
+    expect(getCurrency(show({ currency: 'cad' }))).toBe('CAD');
+    expect(getCurrency(show({}))).toBe('USD');
+    expect(getCurrency(show({ address: 'Musikvereinsplatz 1, 1010 Wien, Austria' }))).toBe('EUR');
+    expect(getCurrency(show({ address: '' }))).toBe('');
+  });
+
+  test('formats ranges in the currency', () => {
+    expect(formatPrice(show({ price: '25-60' }))).toBe('$25–$60');
+    expect(formatPrice(show({ price: '12.5', address: '36 Wigmore St, London W1U 2BP, UK' }))).toBe('£12.50');
+    expect(formatPrice(show({ price: '0' }))).toBe('Free');
+    expect(formatPrice(show({ price: '20', address: '' }))).toBe('20');
+    expect(formatPrice(show({ price: '¥3,000', currency: 'JPY' }))).toBe('¥3,000');
+    expect(formatPrice(show({ price: '$1,500' }))).toBe('$1,500');
+    expect(formatPrice(show({}))).toBe('');
+  });
+});
+
+describe('getTicketInfo', () => {
+  test('sells tickets by default', () => {
+    expect(getTicketInfo(show({ price: '25' }), NOW)).toEqual({ status: '', label: '', price: '$25', onSaleDate: null, canBuy: true });
+  });
+
+  test('holds the button until the on-sale date', () => {
+    const info = getTicketInfo(show({ on_sale_date: '02/01/2030' }), NOW);
+    expect(info.onSaleDate).toEqual(new Date(2030, 1, 1));
+    expect(info.canBuy).toBe(false);
+    expect(formatOnSaleDate(info.onSaleDate, NOW)).toBe('On sale Feb 1');
+    expect(formatOnSaleDate(new Date(2031, 1, 1), NOW)).toBe('On sale Feb 1, 2031');
+    expect(getTicketInfo(show({ on_sale_date: '01/01/2030' }), NOW).canBuy).toBe(true);
+  });
+
+  test('closes sales for sold-out, cancelled and postponed shows', () => {
+    expect(getTicketInfo(show({ ticket_status: 'sold out' }), NOW)).toMatchObject({ status: 'sold_out', label: 'Sold out', canBuy: false });
+    expect(getTicketInfo(show({ ticket_status: 'cancelled', on_sale_date: '02/01/2030' }), NOW)).toMatchObject({ onSaleDate: null, canBuy: false });
+    expect(getTicketInfo(show({ ticket_status: 'postponed' }), NOW).canBuy).toBe(false);
+    expect(getTicketInfo(show({ ticket_status: 'few left' }), NOW)).toMatchObject({ label: 'Few tickets left', canBuy: true });
+    expect(getTicketInfo(show({ status: 'cancelled', ticket_status: 'on sale' }), NOW)).toMatchObject({ status: 'cancelled', canBuy: false });
+  });
+
+  test('reads sold-out performances and free prices', () => {
+    expect(getTicketInfo(show({ performances: '7:30pm sold out' }), NOW).status).toBe('sold_out');
+    expect(getTicketInfo(show({ price: 'free' }), NOW)).toMatchObject({ status: 'free', label: 'Free', price: 'Free', canBuy: true });
+  });
+});
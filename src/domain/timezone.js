@@ -0,0 +1,263 @@
+import tzlookup from '@photostructure/tz-lookup';
+import { parseAddress } from './addresses';
+
+// Primary IANA zone for each US state. States split across zones use the zone
+// that covers most of their population.
+const US_STATE_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+  DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico'
+};
+
+// Default zone for each country in addresses.js's COUNTRIES, by ISO code: the
+// only zone, or the capital's when nothing more precise is known.
+const COUNTRY_TIMEZONES = {
+  US: 'America/New_York', GB: 'Europe/London', IE: 'Europe/Dublin', CA: 'America/Toronto',
+  MX: 'America/Mexico_City', DE: 'Europe/Berlin', FR: 'Europe/Paris', ES: 'Europe/Madrid',
+  PT: 'Europe/Lisbon', IT: 'Europe/Rome', NL: 'Europe/Amsterdam', BE: 'Europe/Brussels',
+  CH: 'Europe/Zurich', AT: 'Europe/Vienna', DK: 'Europe/Copenhagen', NO: 'Europe/Oslo',
+  SE: 'Europe/Stockholm', FI: 'Europe/Helsinki', IS: 'Atlantic/Reykjavik', PL: 'Europe/Warsaw',
+  CZ: 'Europe/Prague', HU: 'Europe/Budapest', GR: 'Europe/Athens', LU: 'Europe/Luxembourg',
+  JP: 'Asia/Tokyo', KR: 'Asia/Seoul', CN: 'Asia/Shanghai', TW: 'Asia/Taipei',
+  HK: 'Asia/Hong_Kong', SG: 'Asia/Singapore', AU: 'Australia/Sydney', NZ: 'Pacific/Auckland',
+  IL: 'Asia/Jerusalem', BR: 'America/Sao_Paulo', AR: 'America/Argentina/Buenos_Aires', CL: 'America/Santiago',
+  CO: 'America/Bogota', ZA: 'Africa/Johannesburg'
+};
+
+// Canadian provinces and Australian states, which show up in addresses in
+// the same two/three-letter position a US state would.
+const REGION_TIMEZONES = {
+  ON: 'America/Toronto', QC: 'America/Toronto', BC: 'America/Vancouver', AB: 'America/Edmonton',
+  MB: 'America/Winnipeg', SK: 'America/Regina', NS: 'America/Halifax', NB: 'America/Moncton',
+  NL: 'America/St_Johns', PE: 'America/Halifax', YT: 'America/Whitehorse',
+  NSW: 'Australia/Sydney', VIC: 'Australia/Melbourne', QLD: 'Australia/Brisbane',
+  SA: 'Australia/Adelaide', WA_AU: 'Australia/Perth', TAS: 'Australia/Hobart', ACT: 'Australia/Sydney',
+  NT: 'Australia/Darwin'
+};
+
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Best-effort zone lookup from the free-text address: a state/province code
+// wins over the country, which is only a default for the whole country.
+export const getTimezoneFromAddress = (address) => {
+  if (!address) return null;
+
+  const parts = address.split(',').map(p => p.trim()).filter(p => p.length > 0);
+  if (parts.length === 0) return null;
+
+  // The same country the rest of the site reads from the address
+  const { countryCode } = parseAddress(address);
+  const countryZone = COUNTRY_TIMEZONES[countryCode] || null;
+  const isAustralia = countryCode === 'AU';
+  const isCanada = countryCode === 'CA';
+  const isUs = !countryZone || countryCode === 'US';
+
+  for (let i = parts.length - 1; i >= 0; i--) {
+    // "MA", "MA 02115", "Boston MA 02115", "NSW 2000", "ON M5V 3L9"
+    const regionMatch = parts[i].match(/(?:^|\s)([A-Z]{2,3})(?:\s+[A-Z\d][A-Z\d -]*)?$/);
+    if (!regionMatch) continue;
+
+    const code = regionMatch[1];
+    if (isAustralia) {
+      const zone = REGION_TIMEZONES[code === 'WA' ? 'WA_AU' : code];
+      if (zone && zone.startsWith('Australia/')) return zone;
+    } else if (isCanada) {
+      const zone = REGION_TIMEZONES[code];
+      if (zone && zone.startsWith('America/')) return zone;
+    } else if (isUs && US_STATE_TIMEZONES[code]) {
+      return US_STATE_TIMEZONES[code];
+    } else if (!countryZone && REGION_TIMEZONES[code]) {
+      return REGION_TIMEZONES[code];
+    }
+  }
+
+  return countryZone;
+};
+
+// Resolve the venue's IANA zone. Geocoded coordinates are authoritative;
+// the address text is used when the show hasn't been geocoded.
+export const getVenueTimezone = (show) => {
+  if (!show) return null;
+
+  const lat = parseFloat(show.lat);
+  const lng = parseFloat(show.lng);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    try {
+      const zone = tzlookup(lat, lng);
+      if (isValidTimezone(zone)) return zone;
+    } catch (error) {
+      console.warn('Timezone lookup failed for coordinates:', lat, lng, error.message);
+    }
+  }
+
+  // Explicit Region/Country columns cover addresses the text lookup can't read
+  const zone = getTimezoneFromAddress(show.address) ||
+    getTimezoneFromAddress([show.region, show.country].filter(Boolean).join(', '));
+  return isValidTimezone(zone) ? zone : null;
+};
+
+// Parse a single sheet time entry ("7pm", "7:30 PM", "19:30", "noon")
+// into 24-hour clock values. Returns null if it can't be understood.
+export const parseTime = (timeString) => {
+  if (!timeString) return null;
+  const value = timeString.trim().toLowerCase().replace(/\./g, '');
+
+  if (value === 'noon') return { hours: 12, minutes: 0 };
+  if (value === 'midnight') return { hours: 0, minutes: 0 };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?\b/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem.startsWith('p') && hours !== 12) hours += 12;
+    if (meridiem.startsWith('a') && hours === 12) hours = 0;
+  } else if (!match[2] || hours > 23) {
+    // A bare number like "7" is too ambiguous to convert
+    return null;
+  }
+
+  return { hours, minutes };
+};
+
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') values[type] = parseInt(value, 10);
+  });
+  return values;
+};
+
+// Offset of the zone from UTC at the given instant, in minutes.
+export const getTimezoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Turn a wall-clock time in a zone into the real instant. The second pass
+// settles times near a DST transition.
+export const zonedTimeToUtc = ({ year, month, day, hours, minutes }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let offset = getTimezoneOffset(new Date(wallClock), timeZone);
+  let instant = wallClock - offset * 60000;
+  const corrected = getTimezoneOffset(new Date(instant), timeZone);
+  if (corrected !== offset) {
+    offset = corrected;
+    instant = wallClock - offset * 60000;
+  }
+  return new Date(instant);
+};
+
+// The instant a show (MM/DD/YYYY plus one entry from parseShowTimes) starts,
+// or null if the date, time or zone can't be worked out.
+export const getShowInstant = (showDate, timeString, timeZone) => {
+  if (!showDate || !timeZone) return null;
+  const [month, day, year] = showDate.split('/').map(n => parseInt(n, 10));
+  if (!month || !day || !year) return null;
+
+  const time = parseTime(timeString);
+  if (!time) return null;
+
+  return zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+};
+
+// Zone a show's launch time is read in: its Launch_Timezone, or the venue's
+export const getLaunchTimezone = (show) => (
+  isValidTimezone(show.launch_timezone) ? show.launch_timezone : getVenueTimezone(show)
+);
+
+// The instant an embargoed show goes public: its launch date at Launch_Time
+// (midnight if not set) in the launch zone. When no zone can be worked out it
+// falls back to the viewer's own clock. Null for shows without a launch date.
+export const getLaunchInstant = (show) => {
+  if (!show.launch_date) return null;
+  const [month, day, year] = show.launch_date.split('/').map(n => parseInt(n, 10));
+  const time = parseTime(show.launch_time) || { hours: 0, minutes: 0 };
+  const timeZone = getLaunchTimezone(show);
+
+  return timeZone
+    ? zonedTimeToUtc({ year, month, day, ...time }, timeZone)
+    : new Date(year, month - 1, day, time.hours, time.minutes);
+};
+
+const ordinal = (n) => {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+};
+
+export const formatClockTime = (date, timeZone) => {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date).replace(/\s/g, '').toLowerCase();
+};
+
+export const getTimezoneAbbreviation = (date, timeZone) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+// Describe when a venue-local show time happens for the viewer, e.g.
+// "4:00pm PST in your time zone" or "1:00am GMT, Saturday the 16th in your time zone".
+// Returns null when the viewer is on the venue's clock or the time can't be parsed.
+export const convertShowTime = (showDate, timeString, venueTimezone, userTimezone) => {
+  if (!venueTimezone || !userTimezone) return null;
+
+  const instant = getShowInstant(showDate, timeString, venueTimezone);
+  if (!instant) return null;
+
+  if (getTimezoneOffset(instant, venueTimezone) === getTimezoneOffset(instant, userTimezone)) {
+    return null;
+  }
+
+  const venueDay = getZonedParts(instant, venueTimezone);
+  const userDay = getZonedParts(instant, userTimezone);
+  const sameDay = venueDay.year === userDay.year && venueDay.month === userDay.month && venueDay.day === userDay.day;
+
+  let label = `${formatClockTime(instant, userTimezone)} ${getTimezoneAbbreviation(instant, userTimezone)}`;
+  if (!sameDay) {
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: userTimezone, weekday: 'long' }).format(instant);
+    label += `, ${weekday} the ${ordinal(userDay.day)}`;
+  }
+
+  return `${label} in your time zone`;
+};
@@ -0,0 +1,87 @@
+import {
+  convertShowTime,
+  getShowInstant,
+  getTimezoneFromAddress,
+  getVenueTimezone,
+  parseTime
+} from './timezone';
+
+describe('parseTime', () => {
+  test.each([
+    ['7pm', { hours: 19, minutes: 0 }],
+    ['7:30 PM', { hours: 19, minutes: 30 }],
+    ['12:00pm', { hours: 12, minutes: 0 }],
+    ['12:15am', { hours: 0, minutes: 15 }],
+    ['8 p.m.', { hours: 20, minutes: 0 }],
+    ['19:30', { hours: 19, minutes: 30 }],
+    ['noon', { hours: 12, minutes: 0 }],
+    ['7', null],
+    ['13pm', null],
+    ['TBA', null],
+    ['', null]
+  ])('%s', (input, expected) => {
+    expect(parseTime(input)).toEqual(expected);
+  });
+});
+
+describe('getTimezoneFromAddress', () => {
+  test.each([
+    ['123 Main St, Boston, MA 02115', 'America/New_York'],
+    ['Seattle, WA', 'America/Los_Angeles'],
+    ['100 Queen St W, Toronto, ON M5H 2N2, Canada', 'America/Toronto'],
+    ['Vancouver, BC, Canada', 'America/Vancouver'],
+    ['Perth WA 6000, Australia', 'Australia/Perth'],
+    ['London WC2H 7BX, UK', 'Europe/London'],
+    ['Berlin, Germany', 'Europe/Berlin'],
+    ['Musikvereinsplatz 1, 1010 Wien, Österreich', 'Europe/Vienna'],
+    ['Suntory Hall, Tokyo, 日本', 'Asia/Tokyo'],
+    ['Denver, CO', 'America/Denver'],
+    ['Somewhere', null]
+  ])('%s', (address, expected) => {
+    expect(getTimezoneFromAddress(address)).toBe(expected);
+  });
+});
+
+describe('getVenueTimezone', () => {
+  test('prefers geocoded coordinates over the address text', () => {
+    expect(getVenueTimezone({ address: 'Nowhere', lat: 35.68, lng: 139.69 })).toBe('Asia/Tokyo');
+  });
+
+  test('falls back to the address', () => {
+    expect(getVenueTimezone({ address: 'Denver, CO' })).toBe('America/Denver');
+  });
+
+  test('uses explicit region and country columns when the address is unreadable', () => {
+    expect(getVenueTimezone({ address: 'Konzerthaus', region: '', country: 'Austria' })).toBe('Europe/Vienna');
+    expect(getVenueTimezone({ address: 'Civic Center', region: 'CO', country: 'USA' })).toBe('America/Denver');
+  });
+});
+
+describe('getShowInstant', () => {
+  test('applies daylight saving time for the show date', () => {
+    expect(getShowInstant('07/04/2025', '8:00pm', 'America/New_York').toISOString())
+      .toBe('2025-07-05T00:00:00.000Z');
+    expect(getShowInstant('12/04/2025', '8:00pm', 'America/New_York').toISOString())
+      .toBe('2025-12-05T01:00:00.000Z');
+  });
+
+  test('returns null for unparsable times', () => {
+    expect(getShowInstant('07/04/2025', 'TBA', 'America/New_York')).toBeNull();
+  });
+});
+
+describe('convertShowTime', () => {
+  test('returns null when the viewer shares the venue clock', () => {
+    expect(convertShowTime('09/15/2025', '7:00pm', 'America/New_York', 'America/Detroit')).toBeNull();
+  });
+
+  test('converts to an earlier zone on the same day', () => {
+    expect(convertShowTime('12/15/2025', '7:00pm', 'America/New_York', 'America/Los_Angeles'))
+      .toBe('4:00pm PST in your time zone');
+  });
+
+  test('notes the day when the conversion rolls over', () => {
+    expect(convertShowTime('09/12/2025', '8:00pm', 'America/New_York', 'Europe/London'))
+      .toBe('1:00am GMT+1, Saturday the 13th in your time zone');
+  });
+});
@@ -0,0 +1,144 @@
+import { findUnmatchedNotes, parsePerformanceNotes } from './performances';
+import { parseShowStatus } from './status';
+import { isValidCurrency, parsePrice, parseTicketStatus } from './tickets';
+import { isValidTimezone, parseTime } from './timezone';
+
+const URL_FIELDS = ['ticket_url', 'livestream_ticket_url', 'replay_url', 'show_image'];
+
+// Placeholder times the team uses before a time is announced
+const PENDING_TIMES = /^(tba|tbd|tbc)$/i;
+
+// A single show time the app can work with, or a placeholder for one
+export const isReadableTime = (time) => PENDING_TIMES.test(time) || !!parseTime(time);
+
+export const isValidDateString = (value) => {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value || '');
+  if (!match) return false;
+
+  const month = parseInt(match[1], 10);
+  const day = parseInt(match[2], 10);
+  const year = parseInt(match[3], 10);
+  const date = new Date(year, month - 1, day);
+
+  // Rejects 02/30/2025 and friends, which Date would silently roll over
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+export const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// List what's wrong with a normalized show. An empty list means the row is
+// safe to render.
+export const validateShow = (show) => {
+  const issues = [];
+
+  if (!show.venue) {
+    issues.push({ field: 'venue', message: 'Venue is missing' });
+  }
+
+  if (!show.show_date) {
+    issues.push({ field: 'show_date', message: 'Show date is missing' });
+  } else if (!isValidDateString(show.show_date)) {
+    issues.push({ field: 'show_date', message: `Show date "${show.show_date}" is not a valid MM/DD/YYYY date` });
+  }
+
+  if (show.launch_date && !isValidDateString(show.launch_date)) {
+    issues.push({ field: 'launch_date', message: `Launch date "${show.launch_date}" is not a valid MM/DD/YYYY date` });
+  }
+
+  if (show.launch_time && !parseTime(show.launch_time)) {
+    issues.push({ field: 'launch_time', message: `Launch time "${show.launch_time}" could not be read` });
+  }
+
+  if (show.launch_timezone && !isValidTimezone(show.launch_timezone)) {
+    issues.push({ field: 'launch_timezone', message: `Launch timezone "${show.launch_timezone}" is not an IANA zone like America/New_York` });
+  }
+
+  if (show.show_time) {
+    show.show_time
+      .split(',')
+      .map(time => time.trim())
+      .filter(time => time.length > 0)
+      .forEach(time => {
+        if (!isReadableTime(time)) {
+          issues.push({ field: 'show_time', message: `Show time "${time}" could not be read` });
+        }
+      });
+  }
+
+  findUnmatchedNotes(show).forEach(note => {
+    issues.push({ field: 'performances', message: `Performances lists "${note.time || '(no time)'}", which isn't one of the show times` });
+  });
+
+  parsePerformanceNotes(show.performances).forEach(note => {
+    if (note.ticketUrl && !isValidUrl(note.ticketUrl)) {
+      issues.push({ field: 'performances', message: `Ticket link "${note.ticketUrl}" for ${note.time} is not a valid http(s) URL` });
+    }
+  });
+
+  if (show.status && parseShowStatus(show.status) === null) {
+    issues.push({ field: 'status', message: `Status "${show.status}" is not scheduled, rescheduled, postponed or cancelled` });
+  }
+
+  if (show.rescheduled_from && !isValidDateString(show.rescheduled_from)) {
+    issues.push({ field: 'rescheduled_from', message: `Rescheduled-from date "${show.rescheduled_from}" is not a valid MM/DD/YYYY date` });
+  } else if (show.rescheduled_from && show.rescheduled_from === show.show_date) {
+    issues.push({ field: 'rescheduled_from', message: 'Rescheduled-from date is the same as the show date; set Show_Date to the new date' });
+  }
+
+  if (show.price && !parsePrice(show.price)) {
+    issues.push({ field: 'price', message: `Price "${show.price}" is not a price or range like 25-60` });
+  }
+
+  if (show.currency && !isValidCurrency(show.currency)) {
+    issues.push({ field: 'currency', message: `Currency "${show.currency}" is not a code like USD or EUR` });
+  }
+
+  if (show.ticket_status && parseTicketStatus(show.ticket_status) === null) {
+    issues.push({ field: 'ticket_status', message: `Ticket status "${show.ticket_status}" is not on sale, few left, sold out, cancelled, postponed or free` });
+  }
+
+  if (show.on_sale_date && !isValidDateString(show.on_sale_date)) {
+    issues.push({ field: 'on_sale_date', message: `On-sale date "${show.on_sale_date}" is not a valid MM/DD/YYYY date` });
+  }
+
+  if (show.lat || show.lng) {
+    const lat = Number(show.lat);
+    const lng = Number(show.lng);
+    if (!show.lat || !show.lng || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      issues.push({ field: 'lat', message: `Coordinates "${show.lat}, ${show.lng}" are not a valid latitude/longitude pair` });
+    }
+  }
+
+  URL_FIELDS.forEach(field => {
+    if (show[field] && !isValidUrl(show[field])) {
+      issues.push({ field, message: `${field} "${show[field]}" is not a valid http(s) URL` });
+    }
+  });
+
+  return issues;
+};
+
+// Split loaded shows into ones we can render and rejected rows (with their
+// position in the source so someone can go fix them).
+export const partitionShows = (shows, describeRow = (index) => `Row ${index + 1}`) => {
+  const valid = [];
+  const rejected = [];
+
+  shows.forEach((show, index) => {
+    const issues = validateShow(show);
+    if (issues.length === 0) {
+      valid.push(show);
+    } else {
+      rejected.push({ show, issues, row: describeRow(index) });
+    }
+  });
+
+  return { valid, rejected };
+};
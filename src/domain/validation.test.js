@@ -0,0 +1,81 @@
+import { isValidDateString, partitionShows, validateShow } from './validation';
+import { createEmptyShow } from './show';
+
+const makeShow = (overrides = {}) => ({
+  ...createEmptyShow(),
+  show_date: '03/14/2030',
+  show_time: '7:30pm',
+  venue: 'Jordan Hall',
+  ...overrides
+});
+
+const fieldsOf = (show) => validateShow(show).map(issue => issue.field);
+
+describe('isValidDateString', () => {
+  test.each([
+    ['03/14/2030', true],
+    ['3/4/2030', true],
+    ['02/29/2028', true],
+    ['02/30/2030', false],
+    ['13/01/2030', false],
+    ['2030-03-14', false],
+    ['March 14', false],
+    ['', false]
+  ])('%s', (value, expected) => {
+    expect(isValidDateString(value)).toBe(expected);
+  });
+});
+
+describe('validateShow', () => {
+  test('accepts a well-formed show', () => {
+    expect(validateShow(makeShow())).toEqual([]);
+  });
+
+  test.each([
+    [{ venue: '' }, ['venue']],
+    [{ show_date: '' }, ['show_date']],
+    [{ show_date: '14/03/2030' }, ['show_date']],
+    [{ launch_date: 'soon' }, ['launch_date']],
+    [{ launch_time: 'morning' }, ['launch_time']],
+    [{ launch_timezone: 'Eastern' }, ['launch_timezone']],
+    [{ show_time: '7:30pm, around 9' }, ['show_time']],
+    [{ performances: '9pm sold out' }, ['performances']],
+    [{ performances: '7:30pm https://[tickets' }, ['performances']],
+    [{ ticket_url: 'tickets at the door' }, ['ticket_url']],
+    [{ price: 'pay what you can' }, ['price']],
+    [{ currency: 'dollars' }, ['currency']],
+    [{ ticket_status: 'maybe' }, ['ticket_status']],
+    [{ status: 'maybe' }, ['status']],
+    [{ rescheduled_from: 'last week' }, ['rescheduled_from']],
+    [{ on_sale_date: 'next week' }, ['on_sale_date']],
+    [{ livestream_ticket_url: 'ftp://example.com/stream' }, ['livestream_ticket_url']],
+    [{ replay_url: 'watch later' }, ['replay_url']],
+    [{ show_image: 'image.jpg' }, ['show_image']],
+    [{ lat: '42.34' }, ['lat']],
+    [{ lat: '142.34', lng: '-71.09' }, ['lat']]
+  ])('flags %o', (overrides, expected) => {
+    expect(fieldsOf(makeShow(overrides))).toEqual(expected);
+  });
+
+  test('accepts performance details for the show times', () => {
+    expect(validateShow(makeShow({ show_time: '2pm, 7:30pm', performances: '2:00 PM sold out :: 7:30pm https://example.com/late' }))).toEqual([]);
+  });
+
+  test('allows times that have not been announced yet', () => {
+    expect(validateShow(makeShow({ show_time: 'TBA' }))).toEqual([]);
+    expect(validateShow(makeShow({ show_time: '' }))).toEqual([]);
+  });
+});
+
+describe('partitionShows', () => {
+  test('separates rejected rows and labels where they came from', () => {
+    const good = makeShow();
+    const bad = makeShow({ venue: '' });
+    const { valid, rejected } = partitionShows([good, bad], (index) => `Sheet row ${index + 2}`);
+
+    expect(valid).toEqual([good]);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].row).toBe('Sheet row 3');
+    expect(rejected[0].issues[0].message).toBe('Venue is missing');
+  });
+});
@@ -0,0 +1,174 @@
+import { formatLocationLabel, getShowLocation } from './addresses';
+import { parseDate } from './dates';
+import { createVenueSlug, slugify } from './show';
+
+// Venues are told apart by name and place: "Symphony Hall" in Boston and in
+// Birmingham are two venues, while "The Jordan Hall", "Jordan Hall" and
+// "NEC's Jordan Hall" in Boston are one.
+
+// Name key ignoring case, accents, punctuation, a leading "The" and & vs "and"
+export const createVenueNameKey = (name) => slugify((name || '').replace(/&/g, ' and ')).replace(/^the-/, '');
+
+// Venues closer than this (in degrees, roughly 150 m) are the same building
+const SAME_PLACE_DEGREES = 0.0015;
+
+// "jordan-hall" is part of "necs-jordan-hall"
+const containsName = (a, b) => `-${a}-`.includes(`-${b}-`) || `-${b}-`.includes(`-${a}-`);
+
+const nearby = (a, b) => (
+  Number.isFinite(a.lat) && Number.isFinite(b.lat) &&
+  Math.abs(a.lat - b.lat) < SAME_PLACE_DEGREES && Math.abs(a.lng - b.lng) < SAME_PLACE_DEGREES
+);
+
+const describeShow = (show) => {
+  const location = getShowLocation(show);
+  const lat = parseFloat(show.lat);
+  const lng = parseFloat(show.lng);
+  return {
+    nameKey: createVenueNameKey(show.venue),
+    cityKey: slugify(location.city),
+    lat: Number.isFinite(lat) && Number.isFinite(lng) ? lat : NaN,
+    lng: Number.isFinite(lat) && Number.isFinite(lng) ? lng : NaN
+  };
+};
+
+// Ties go to the first value, or the shorter one with `preferShort`
+const mostCommon = (values, { preferShort = false } = {}) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1] || (preferShort ? a[0].length - b[0].length : 0))[0][0];
+};
+
+const buildVenue = (cluster) => {
+  const shows = cluster.shows;
+  const latest = shows[shows.length - 1];
+  // The plainest of the most used names, as most recently spelled
+  const nameKey = mostCommon(shows.map(show => createVenueNameKey(show.venue)), { preferShort: true });
+  const name = mostCommon(shows
+    .map(show => show.venue.trim())
+    .filter(spelling => createVenueNameKey(spelling) === nameKey)
+    .reverse());
+  const location = getShowLocation(latest);
+  const located = cluster.places.find(place => Number.isFinite(place.lat));
+
+  return {
+    name,
+    aliases: [...new Set(shows.map(show => show.venue.trim()))].filter(alias => alias !== name),
+    address: latest.address,
+    location,
+    locationLabel: formatLocationLabel(location),
+    lat: located ? located.lat : null,
+    lng: located ? located.lng : null,
+    shows,
+    lastShowDate: parseDate(latest.show_date)
+  };
+};
+
+// Every venue with its shows (in date order), latest address and location.
+// find() takes a venue's slug or the name-only slug older links used;
+// getSlug() gives the venue slug for any show, including copies of one.
+export const createVenueIndex = (shows) => {
+  const sorted = [...shows]
+    .filter(show => createVenueNameKey(show.venue))
+    .sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date));
+
+  // Same name in the same city first; shows without a city join the only
+  // venue of that name, and names that contain each other join when they
+  // share a city or a spot on the map
+  const clusters = [];
+  const byKey = new Map();
+  sorted.forEach(show => {
+    const place = describeShow(show);
+    const key = `${place.nameKey}|${place.cityKey}`;
+    if (!byKey.has(key)) {
+      const cluster = { nameKey: place.nameKey, cityKey: place.cityKey, shows: [], places: [], keys: new Set([key]) };
+      byKey.set(key, cluster);
+      clusters.push(cluster);
+    }
+    byKey.get(key).shows.push(show);
+    byKey.get(key).places.push(place);
+  });
+
+  const merge = (into, from) => {
+    from.keys.forEach(key => {
+      into.keys.add(key);
+      byKey.set(key, into);
+    });
+    into.shows = [...into.shows, ...from.shows].sort((a, b) => parseDate(a.show_date) - parseDate(b.show_date));
+    into.places = [...into.places, ...from.places];
+    if (!into.cityKey) into.cityKey = from.cityKey;
+    clusters.splice(clusters.indexOf(from), 1);
+  };
+
+  clusters.filter(cluster => !cluster.cityKey).forEach(cluster => {
+    const named = clusters.filter(other => other !== cluster && other.nameKey === cluster.nameKey);
+    if (named.length === 1) merge(named[0], cluster);
+  });
+
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = clusters.length - 1; j > i; j--) {
+      const a = clusters[i];
+      const b = clusters[j];
+      const samePlace = (a.cityKey && a.cityKey === b.cityKey) ||
+        a.places.some(place => b.places.some(other => nearby(place, other)));
+      if (samePlace && containsName(a.nameKey, b.nameKey)) merge(a, b);
+    }
+  }
+
+  const venues = clusters.map(cluster => ({ cluster, ...buildVenue(cluster) }));
+
+  // The name alone where it's unique, otherwise name plus city
+  const nameCounts = new Map();
+  venues.forEach(venue => {
+    venue.slugBase = createVenueNameKey(venue.name);
+    nameCounts.set(venue.slugBase, (nameCounts.get(venue.slugBase) || 0) + 1);
+  });
+  const taken = new Set();
+  venues.forEach(venue => {
+    const { slugBase, cluster } = venue;
+    let slug = nameCounts.get(slugBase) > 1 && cluster.cityKey ? `${slugBase}-${cluster.cityKey}` : slugBase;
+    for (let n = 2; taken.has(slug); n++) slug = `${slugBase}-${n}`;
+    taken.add(slug);
+    venue.slug = slug;
+  });
+
+  const bySlug = new Map(venues.map(venue => [venue.slug, venue]));
+  const legacySlugs = new Map();
+  venues.forEach(venue => {
+    [venue.name, ...venue.aliases].forEach(name => {
+      const legacy = createVenueSlug(name);
+      legacySlugs.set(legacy, legacySlugs.has(legacy) && legacySlugs.get(legacy) !== venue ? null : venue);
+    });
+  });
+
+  const clusterOf = new Map(venues.map(venue => [venue.cluster, venue]));
+  venues.forEach(venue => {
+    delete venue.cluster;
+    delete venue.slugBase;
+  });
+
+  return {
+    venues,
+    find: (slug) => bySlug.get(slug) || legacySlugs.get(slug) || null,
+    getSlug: (show) => {
+      const place = describeShow(show);
+      const cluster = byKey.get(`${place.nameKey}|${place.cityKey}`);
+      if (cluster) return clusterOf.get(cluster).slug;
+      const legacy = legacySlugs.get(createVenueSlug(show.venue));
+      return legacy ? legacy.slug : createVenueSlug(show.venue);
+    }
+  };
+};
+
+export const VENUE_SORTS = {
+  shows: { label: 'Most shows', compare: (a, b) => b.shows.length - a.shows.length || a.name.localeCompare(b.name) },
+  recent: { label: 'Most recent show', compare: (a, b) => b.lastShowDate - a.lastShowDate || a.name.localeCompare(b.name) },
+  city: {
+    label: 'City',
+    // Venues without a known city go last
+    compare: (a, b) => (!a.locationLabel - !b.locationLabel) ||
+      a.locationLabel.localeCompare(b.locationLabel) || a.name.localeCompare(b.name)
+  }
+};
+
+export const sortVenues = (venues, sort) => [...venues].sort((VENUE_SORTS[sort] || VENUE_SORTS.shows).compare);
@@ -0,0 +1,76 @@
+import { createVenueIndex, createVenueNameKey, sortVenues } from './venues';
+
+const show = (date, venue, address, overrides) => ({ show_date: date, venue, address, lat: '', lng: '', ...overrides });
+
+const JORDAN = show('03/14/2030', 'Jordan Hall', '30 Gainsborough St, Boston, MA 02115');
+const THE_JORDAN = show('01/10/2030', 'The Jordan Hall', '30 Gainsborough St, Boston, MA 02115');
+const NEC_JORDAN = show('05/01/2030', "NEC's Jordan Hall", '30 Gainsborough St, Boston, MA 02115');
+const BOSTON_SYMPHONY = show('02/01/2030', 'Symphony Hall', '301 Massachusetts Ave, Boston, MA 02115');
+const BIRMINGHAM_SYMPHONY = show('04/01/2031', 'Symphony Hall', 'Broad St, Birmingham B1 2EA, UK');
+const BAR = show('06/01/2029', 'Bar & Grill', '1 Main St, Portland, ME 04101');
+const BAR_NO_CITY = show('07/01/2029', 'Bar and Grill', '');
+
+describe('createVenueNameKey', () => {
+  test.each([
+    ['Jordan Hall', 'jordan-hall'],
+    ['The Jordan Hall', 'jordan-hall'],
+    ['Bar & Grill', 'bar-and-grill'],
+    ['  Théâtre du Châtelet ', 'theatre-du-chatelet']
+  ])('%j', (name, expected) => {
+    expect(createVenueNameKey(name)).toBe(expected);
+  });
+});
+
+describe('createVenueIndex', () => {
+  const index = createVenueIndex([JORDAN, THE_JORDAN, NEC_JORDAN, BOSTON_SYMPHONY, BIRMINGHAM_SYMPHONY, BAR, BAR_NO_CITY]);
+
+  test('merges spelling variants in the same city', () => {
+    const jordan = index.find('jordan-hall');
+    expect(jordan.shows).toEqual([THE_JORDAN, JORDAN, NEC_JORDAN]);
+    expect(jordan.name).toBe('Jordan Hall');
+    expect(jordan.aliases).toEqual(['The Jordan Hall', "NEC's Jordan Hall"]);
+    expect(jordan.locationLabel).toBe('Boston, MA');
+  });
+
+  test('tells apart venues of the same name in different cities', () => {
+    expect(index.find('symphony-hall-boston').shows).toEqual([BOSTON_SYMPHONY]);
+    expect(index.find('symphony-hall-birmingham').shows).toEqual([BIRMINGHAM_SYMPHONY]);
+  });
+
+  test('adds shows without a city to the only venue of that name', () => {
+    expect(index.find('bar-and-grill').shows).toEqual([BAR, BAR_NO_CITY]);
+  });
+
+  test('merges names that contain each other at the same spot on the map', () => {
+    const located = createVenueIndex([
+      show('01/01/2030', 'Jordan Hall', '', { lat: '42.3403', lng: '-71.0870' }),
+      show('02/01/2030', "NEC's Jordan Hall", '', { lat: '42.3405', lng: '-71.0872' }),
+      show('03/01/2030', 'Jordan Hall Annex', '', { lat: '40.0000', lng: '-75.0000' })
+    ]);
+    expect(located.venues.map(venue => venue.shows.length).sort()).toEqual([1, 2]);
+  });
+
+  test('finds venues by slug, legacy slug and show', () => {
+    expect(index.find('the-jordan-hall')).toBe(index.find('jordan-hall'));
+    expect(index.getSlug({ ...NEC_JORDAN })).toBe('jordan-hall');
+    expect(index.getSlug(BIRMINGHAM_SYMPHONY)).toBe('symphony-hall-birmingham');
+    expect(index.find('nowhere')).toBeNull();
+  });
+});
+
+describe('sortVenues', () => {
+  const { venues } = createVenueIndex([JORDAN, THE_JORDAN, BOSTON_SYMPHONY, BIRMINGHAM_SYMPHONY, BAR]);
+  const names = (sort) => sortVenues(venues, sort).map(venue => venue.slug);
+
+  test('sorts by show count, most recent show or city', () => {
+    expect(names('shows')[0]).toBe('jordan-hall');
+    expect(names('recent')[0]).toBe('symphony-hall-birmingham');
+    expect(names('city')).toEqual(['symphony-hall-birmingham', 'jordan-hall', 'symphony-hall-boston', 'bar-and-grill']);
+  });
+
+  test('leaves the input in place', () => {
+    const before = [...venues];
+    sortVenues(venues, 'city');
+    expect(venues).toEqual(before);
+  });
+});
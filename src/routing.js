@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CALENDAR_LAYOUTS } from './domain/calendar';
+import { parseFilters, parseInputDate, writeFilters } from './domain/facets';
+
+// Client-side routes:
+//   /                      upcoming shows   (?q=search&page=2)
+//   /past                  past shows       (?q=search&page=2)
+//   /map                   map              (?filter=all|upcoming|past)
+//   /calendar              calendar         (?q=search&layout=month|week&date=2030-03-14)
+//   /livestreams           livestreams: live, coming up and replays
+//   /performers            performer directory (?q=search)
+//   /performers/<slug>     performer page
+//   /groups                group directory  (?q=search)
+//   /groups/<slug>         group page
+//   /venues                venue directory  (?q=search&sort=shows|recent|city)
+//   /venues/<slug>         venue page       (?filter=all|upcoming|past)
+// The four show views also carry facet filters (?type=Recital&livestream=1...,
+// see domain/facets.js).
+//   /shows/<id>            show details, over whatever view it was opened from
+//   /admin                 admin editor: the data source's shows
+//   /admin/new, /admin/<n> admin editor: a new show, or entry n (from 1)
+export const LIST_VIEWS = ['upcoming', 'past', 'map', 'calendar', 'livestreams', 'performers', 'groups', 'venues'];
+// Views listing performers, groups or venues rather than shows
+const DIRECTORY_VIEWS = ['performers', 'groups', 'venues'];
+const VENUE_SORTS = ['shows', 'recent', 'city'];
+const SHOW_FILTERS = ['all', 'upcoming', 'past'];
+
+// Apps built with a "homepage" live under a sub-path; routes are relative to it
+const getBasename = () => {
+  const publicUrl = process.env.PUBLIC_URL || '';
+  if (!publicUrl || publicUrl === '.') return '';
+  try {
+    return new URL(publicUrl, window.location.origin).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+const positiveInt = (value, fallback = 1) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const showFilter = (value, fallback) => (SHOW_FILTERS.includes(value) ? value : fallback);
+
+export const parseRoute = (pathname = '/', search = '') => {
+  const params = new URLSearchParams(search);
+  const [first, second] = pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  });
+
+  if (first === 'shows' && second) {
+    return { type: 'show', showId: second };
+  }
+
+  if (first === 'venues' && second) {
+    return { type: 'venue', venueSlug: second, filter: showFilter(params.get('filter'), 'all') };
+  }
+
+  if (first === 'admin') {
+    const entry = second === 'new' ? 'new' : positiveInt(second, null);
+    return { type: 'admin', entry };
+  }
+
+  if (first === 'performers' && second) {
+    return { type: 'performer', performerSlug: second };
+  }
+
+  if (first === 'groups' && second) {
+    return { type: 'group', groupSlug: second };
+  }
+
+  const view = LIST_VIEWS.includes(first) ? first : 'upcoming';
+  if (view === 'venues') {
+    const sort = params.get('sort');
+    return { type: 'view', view, q: params.get('q') || '', sort: VENUE_SORTS.includes(sort) ? sort : 'shows' };
+  }
+
+  if (DIRECTORY_VIEWS.includes(view)) {
+    return { type: 'view', view, q: params.get('q') || '' };
+  }
+
+  if (view === 'livestreams') {
+    return { type: 'view', view };
+  }
+
+  const filters = parseFilters(params);
+  if (view === 'calendar') {
+    const layout = params.get('layout');
+    // No date means the current month or week
+    const date = parseInputDate(params.get('date')) ? params.get('date') : '';
+    return { type: 'view', view, q: params.get('q') || '', layout: CALENDAR_LAYOUTS.includes(layout) ? layout : 'month', date, filters };
+  }
+
+  if (view === 'map') {
+    return { type: 'view', view, filter: showFilter(params.get('filter'), 'upcoming'), filters };
+  }
+
+  return { type: 'view', view, q: params.get('q') || '', page: positiveInt(params.get('page')), filters };
+};
+
+// Inverse of parseRoute; defaults are left out to keep shared links short
+export const buildPath = (route) => {
+  const params = new URLSearchParams();
+  let path;
+
+  if (route.type === 'show') {
+    path = `/shows/${encodeURIComponent(route.showId)}`;
+  } else if (route.type === 'venue') {
+    path = `/venues/${encodeURIComponent(route.venueSlug)}`;
+    if (route.filter && route.filter !== 'all') params.set('filter', route.filter);
+  } else if (route.type === 'admin') {
+    path = route.entry ? `/admin/${route.entry}` : '/admin';
+  } else if (route.type === 'performer') {
+    path = `/performers/${encodeURIComponent(route.performerSlug)}`;
+  } else if (route.type === 'group') {
+    path = `/groups/${encodeURIComponent(route.groupSlug)}`;
+  } else if (DIRECTORY_VIEWS.includes(route.view)) {
+    path = `/${route.view}`;
+    if (route.q) params.set('q', route.q);
+    if (route.sort && route.sort !== 'shows') params.set('sort', route.sort);
+  } else if (route.view === 'livestreams') {
+    path = '/livestreams';
+  } else if (route.view === 'calendar') {
+    path = '/calendar';
+    if (route.q) params.set('q', route.q);
+    if (route.layout && route.layout !== 'month') params.set('layout', route.layout);
+    if (route.date) params.set('date', route.date);
+    writeFilters(params, route.filters);
+  } else if (route.view === 'map') {
+    path = '/map';
+    if (route.filter && route.filter !== 'upcoming') params.set('filter', route.filter);
+    writeFilters(params, route.filters);
+  } else {
+    path = route.view === 'past' ? '/past' : '/';
+    if (route.q) params.set('q', route.q);
+    writeFilters(params, route.filters);
+    if (route.page && route.page > 1) params.set('page', String(route.page));
+  }
+
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+// Full URL for an app path, e.g. for links that leave the site
+export const buildAbsoluteUrl = (path) => new URL(`${getBasename()}${path}`, window.location.origin).href;
+
+const readLocation = () => {
+  const basename = getBasename();
+  const { pathname, search } = window.location;
+  const relative = basename && pathname.startsWith(basename) ? pathname.slice(basename.length) || '/' : pathname;
+  return { path: `${relative}${search}`, route: parseRoute(relative, search), state: window.history.state || {} };
+};
+
+// Current location plus a navigate(path, { replace, state }) that updates the
+// browser history. Back/forward re-render through popstate.
+export const useHistoryLocation = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false, state = {} } = {}) => {
+    const url = `${getBasename()}${path}`;
+    if (replace) {
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+    setLocation(readLocation());
+  }, []);
+
+  return [location, navigate];
+};
+
+// parseRoute for a "/path?query" string
+export const parsePath = (path) => {
+  const [pathname, search = ''] = (path || '/').split('?');
+  return parseRoute(pathname, search);
+};
@@ -0,0 +1,89 @@
+import { EMPTY_FILTERS } from './domain/facets';
+import { buildAbsoluteUrl, buildPath, parsePath, parseRoute } from './routing';
+
+describe('parseRoute', () => {
+  test.each([
+    ['/', '', { type: 'view', view: 'upcoming', q: '', page: 1, filters: EMPTY_FILTERS }],
+    ['/upcoming', '?q=jazz', { type: 'view', view: 'upcoming', q: 'jazz', page: 1, filters: EMPTY_FILTERS }],
+    ['/past', '?q=boston&page=2', { type: 'view', view: 'past', q: 'boston', page: 2, filters: EMPTY_FILTERS }],
+    ['/past', '?page=-3', { type: 'view', view: 'past', q: '', page: 1, filters: EMPTY_FILTERS }],
+    ['/map', '', { type: 'view', view: 'map', filter: 'upcoming', filters: EMPTY_FILTERS }],
+    ['/map', '?filter=past', { type: 'view', view: 'map', filter: 'past', filters: EMPTY_FILTERS }],
+    ['/map', '?filter=bogus', { type: 'view', view: 'map', filter: 'upcoming', filters: EMPTY_FILTERS }],
+    ['/calendar', '', { type: 'view', view: 'calendar', q: '', layout: 'month', date: '', filters: EMPTY_FILTERS }],
+    ['/calendar', '?layout=week&date=2030-03-14', { type: 'view', view: 'calendar', q: '', layout: 'week', date: '2030-03-14', filters: EMPTY_FILTERS }],
+    ['/calendar', '?layout=year&date=soon', { type: 'view', view: 'calendar', q: '', layout: 'month', date: '', filters: EMPTY_FILTERS }],
+    ['/shows/20300314-jordan-hall-1x2y', '', { type: 'show', showId: '20300314-jordan-hall-1x2y' }],
+    ['/venues/jordan-hall', '?filter=past', { type: 'venue', venueSlug: 'jordan-hall', filter: 'past' }],
+    ['/venues/jordan-hall', '', { type: 'venue', venueSlug: 'jordan-hall', filter: 'all' }],
+    ['/livestreams', '?q=ana', { type: 'view', view: 'livestreams' }],
+    ['/performers', '?q=ana', { type: 'view', view: 'performers', q: 'ana' }],
+    ['/performers/ana-ruiz', '', { type: 'performer', performerSlug: 'ana-ruiz' }],
+    ['/groups', '', { type: 'view', view: 'groups', q: '' }],
+    ['/groups/brass-quintet', '', { type: 'group', groupSlug: 'brass-quintet' }],
+    ['/venues', '?sort=city', { type: 'view', view: 'venues', q: '', sort: 'city' }],
+    ['/venues', '?sort=bogus', { type: 'view', view: 'venues', q: '', sort: 'shows' }],
+    ['/admin', '', { type: 'admin', entry: null }],
+    ['/admin/new', '', { type: 'admin', entry: 'new' }],
+    ['/admin/3', '', { type: 'admin', entry: 3 }],
+    ['/admin/0', '', { type: 'admin', entry: null }],
+    ['/nonsense', '', { type: 'view', view: 'upcoming', q: '', page: 1, filters: EMPTY_FILTERS }],
+    ['/', '?group=Brass+Quintet&from=soon', { type: 'view', view: 'upcoming', q: '', page: 1, filters: { ...EMPTY_FILTERS, group: ['Brass Quintet'] } }]
+  ])('%s%s', (pathname, search, expected) => {
+    expect(parseRoute(pathname, search)).toEqual(expected);
+  });
+});
+
+describe('buildPath', () => {
+  test.each([
+    [{ type: 'view', view: 'upcoming', q: '', page: 1 }, '/'],
+    [{ type: 'view', view: 'past', q: 'boston', page: 2 }, '/past?q=boston&page=2'],
+    [{ type: 'view', view: 'map', filter: 'past' }, '/map?filter=past'],
+    [{ type: 'view', view: 'map', filter: 'upcoming' }, '/map'],
+    [{ type: 'view', view: 'calendar', q: 'brass', layout: 'week', date: '2030-03-14' }, '/calendar?q=brass&layout=week&date=2030-03-14'],
+    [{ type: 'view', view: 'calendar', q: '', layout: 'month', date: '' }, '/calendar'],
+    [{ type: 'show', showId: 'a b' }, '/shows/a%20b'],
+    [{ type: 'admin', entry: null }, '/admin'],
+    [{ type: 'admin', entry: 'new' }, '/admin/new'],
+    [{ type: 'admin', entry: 3 }, '/admin/3'],
+    [{ type: 'view', view: 'livestreams' }, '/livestreams'],
+    [{ type: 'view', view: 'performers', q: 'ana' }, '/performers?q=ana'],
+    [{ type: 'performer', performerSlug: 'ana-ruiz' }, '/performers/ana-ruiz'],
+    [{ type: 'view', view: 'groups', q: 'brass' }, '/groups?q=brass'],
+    [{ type: 'group', groupSlug: 'brass-quintet' }, '/groups/brass-quintet'],
+    [{ type: 'view', view: 'venues', q: '', sort: 'recent' }, '/venues?sort=recent'],
+    [{ type: 'view', view: 'venues', q: '', sort: 'shows' }, '/venues'],
+    [{ type: 'venue', venueSlug: 'jordan-hall', filter: 'upcoming' }, '/venues/jordan-hall?filter=upcoming']
+  ])('%o', (route, expected) => {
+    expect(buildPath(route)).toBe(expected);
+  });
+
+  test('round-trips through parsePath', () => {
+    const route = { type: 'view', view: 'past', q: 'new york & co', page: 3, filters: EMPTY_FILTERS };
+    expect(parsePath(buildPath(route))).toEqual(route);
+  });
+
+  test('round-trips facet filters', () => {
+    const filters = { ...EMPTY_FILTERS, type: ['Recital', 'Concert'], city: ['Boston, MA'], livestream: true, from: '2030-03-01', to: '2030-03-31' };
+    const path = buildPath({ type: 'view', view: 'map', filter: 'all', filters });
+    expect(path).toBe('/map?filter=all&type=Recital&type=Concert&city=Boston%2C+MA&livestream=1&from=2030-03-01&to=2030-03-31');
+    expect(parsePath(path).filters).toEqual(filters);
+  });
+});
+
+describe('buildAbsoluteUrl', () => {
+  const publicUrl = process.env.PUBLIC_URL;
+  afterEach(() => {
+    process.env.PUBLIC_URL = publicUrl;
+  });
+
+  test('prefixes the origin', () => {
+    process.env.PUBLIC_URL = '';
+    expect(buildAbsoluteUrl('/shows/abc')).toBe('http://localhost/shows/abc');
+  });
+
+  test('keeps the app under its sub-path', () => {
+    process.env.PUBLIC_URL = 'https://example.com/shows-tracker';
+    expect(buildAbsoluteUrl('/shows/abc')).toBe('http://localhost/shows-tracker/shows/abc');
+  });
+});
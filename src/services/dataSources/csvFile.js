@@ -0,0 +1,24 @@
+import axios from 'axios';
+import { getMissingFields, normalizeShow } from '../../domain/show';
+import { parseCsv, rowsToRecords } from './csv';
+
+// CSV export of the sheet (or any CSV with a header row)
+export const createCsvFileSource = ({ url }) => ({
+  name: 'csv',
+
+  async loadShows() {
+    const response = await axios.get(url, { responseType: 'text' });
+    const [header, ...rows] = parseCsv(response.data || '');
+
+    if (!header) return [];
+
+    const missing = getMissingFields(header);
+    if (missing.length > 0) {
+      throw new Error(`CSV header is missing required column(s): ${missing.join(', ')}`);
+    }
+
+    return rowsToRecords(header, rows).map(normalizeShow);
+  },
+
+  describeRow: (index) => `CSV row ${index + 2}`
+});
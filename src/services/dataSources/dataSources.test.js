@@ -0,0 +1,177 @@
+import axios from 'axios';
+import { createDataSource, getDataSourceConfig } from './index';
+import { parseCsv } from './csv';
+import { normalizeShow } from '../../domain/show';
+
+jest.mock('axios', () => ({ get: jest.fn(), put: jest.fn() }));
+
+const SHEET_HEADER = [
+  'Launch_Date', 'Show_Date', 'Show_Time', 'Venue', 'Address', 'Group', 'Ticket_URL',
+  'Show_Type', 'Show_Description', 'Lineup', 'Show_Image', 'Livestream_Ticket_URL'
+];
+
+const SHEET_ROW = [
+  '', '03/14/2030', '7:30pm', 'Jordan Hall', '30 Gainsborough St, Boston, MA 02115',
+  'Brass Quintet', 'https://example.com/t', 'Concert', 'Desc', 'A (tbn)', '', ''
+];
+
+const EXPECTED_SHOW = {
+  id: '',
+  launch_date: '',
+  launch_time: '',
+  launch_timezone: '',
+  show_date: '03/14/2030',
+  show_time: '7:30pm',
+  performances: '',
+  status: '',
+  rescheduled_from: '',
+  venue: 'Jordan Hall',
+  address: '30 Gainsborough St, Boston, MA 02115',
+  city: '',
+  region: '',
+  country: '',
+  group: 'Brass Quintet',
+  ticket_url: 'https://example.com/t',
+  price: '',
+  currency: '',
+  ticket_status: '',
+  on_sale_date: '',
+  show_type: 'Concert',
+  show_description: 'Desc',
+  lineup: 'A (tbn)',
+  show_image: '',
+  livestream_ticket_url: '',
+  replay_url: '',
+  capacity: '',
+  lat: '',
+  lng: ''
+};
+
+afterEach(() => {
+  axios.get.mockReset();
+});
+
+describe('normalizeShow', () => {
+  test('maps any casing of the column names onto the show shape', () => {
+    const show = normalizeShow({ 'Show Date': '01/02/2030', showTime: ' 8pm ', Venue: 'Hall', Unknown: 'x' });
+    expect(show.show_date).toBe('01/02/2030');
+    expect(show.show_time).toBe('8pm');
+    expect(show.venue).toBe('Hall');
+    expect(show.unknown).toBeUndefined();
+    expect(show.lineup).toBe('');
+  });
+
+  test('reads explicit coordinates from Latitude/Longitude columns', () => {
+    expect(normalizeShow({ Latitude: '42.34', Longitude: '-71.09' })).toMatchObject({ lat: '42.34', lng: '-71.09' });
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted commas, escaped quotes and CRLF', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"']
+    ]);
+  });
+
+  test('keeps newlines inside quoted fields', () => {
+    expect(parseCsv('a\n"line 1\nline 2"')).toEqual([['a'], ['line 1\nline 2']]);
+  });
+});
+
+describe('getDataSourceConfig', () => {
+  test('defaults to Google Sheets', () => {
+    expect(getDataSourceConfig({}).type).toBe('sheets');
+  });
+
+  test('reads the source type and url from the environment', () => {
+    const config = getDataSourceConfig({ REACT_APP_DATA_SOURCE: 'CSV', REACT_APP_DATA_URL: '/fixtures/shows.csv' });
+    expect(config).toMatchObject({ type: 'csv', url: '/fixtures/shows.csv' });
+  });
+
+  test('points the local source at the development server', () => {
+    expect(getDataSourceConfig({ REACT_APP_DATA_SOURCE: 'local' }).url).toBe('/api/local-shows');
+  });
+});
+
+describe('createDataSource', () => {
+  test('rejects unknown source types', () => {
+    expect(() => createDataSource({ type: 'ftp' })).toThrow(/Unknown data source "ftp"/);
+  });
+
+  test('sheets adapter maps columns by header name', async () => {
+    axios.get.mockResolvedValue({ data: { values: [SHEET_HEADER, SHEET_ROW] } });
+    const source = createDataSource({ type: 'sheets', sheetId: 'id', apiKey: 'key' });
+    await expect(source.loadShows()).resolves.toEqual([EXPECTED_SHOW]);
+  });
+
+  test('sheets adapter is unaffected by inserted or reordered columns', async () => {
+    const header = ['Notes', ...SHEET_HEADER].reverse();
+    const row = ['ignore me', ...SHEET_ROW].reverse();
+    axios.get.mockResolvedValue({ data: { values: [header, row] } });
+    const source = createDataSource({ type: 'sheets', sheetId: 'id', apiKey: 'key' });
+    await expect(source.loadShows()).resolves.toEqual([EXPECTED_SHOW]);
+  });
+
+  test('sheets adapter rejects a header without the required columns', async () => {
+    axios.get.mockResolvedValue({ data: { values: [['Date', 'Where'], ['03/14/2030', 'Hall']] } });
+    const source = createDataSource({ type: 'sheets', sheetId: 'id', apiKey: 'key' });
+    await expect(source.loadShows()).rejects.toThrow(/missing required column\(s\): venue/);
+  });
+
+  test('sheets adapter names rows as they appear in the sheet', () => {
+    expect(createDataSource({ type: 'sheets' }).describeRow(0)).toBe('Sheet row 2');
+  });
+
+  test('sheets adapter fails fast without credentials', async () => {
+    const source = createDataSource({ type: 'sheets' });
+    await expect(source.loadShows()).rejects.toThrow(/REACT_APP_GOOGLE_SHEETS_ID/);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('json adapter accepts a bare array or a { shows } object', async () => {
+    const record = { Show_Date: '03/14/2030', Venue: 'Jordan Hall' };
+    const source = createDataSource({ type: 'json', url: '/shows.json' });
+
+    axios.get.mockResolvedValueOnce({ data: [record] });
+    expect((await source.loadShows())[0].venue).toBe('Jordan Hall');
+
+    axios.get.mockResolvedValueOnce({ data: { shows: [record] } });
+    expect((await source.loadShows())[0].show_date).toBe('03/14/2030');
+  });
+
+  test('csv adapter maps columns by header', async () => {
+    axios.get.mockResolvedValue({ data: 'Venue,Show_Date\n"Hall, The",03/14/2030\n' });
+    const [show] = await createDataSource({ type: 'csv', url: '/shows.csv' }).loadShows();
+    expect(show.venue).toBe('Hall, The');
+    expect(show.show_date).toBe('03/14/2030');
+  });
+
+  test('rest adapter rejects unexpected payloads', async () => {
+    axios.get.mockResolvedValue({ data: { message: 'nope' } });
+    await expect(createDataSource({ type: 'rest', url: '/api' }).loadShows()).rejects.toThrow(/Unexpected response/);
+  });
+
+  test('local adapter loads and saves the whole file', async () => {
+    const source = createDataSource({ type: 'local', url: '/api/local-shows' });
+    axios.get.mockResolvedValue({ data: [{ show_date: '03/14/2030', venue: 'Jordan Hall' }] });
+    const [show] = await source.loadShows();
+    expect(show.venue).toBe('Jordan Hall');
+
+    await source.saveShows([{ ...show, lat: 42.34, lng: -71.09, place: { city: 'Boston' } }]);
+    const [url, [saved]] = axios.put.mock.calls[0];
+    expect(url).toBe('/api/local-shows');
+    expect(saved).toEqual({ ...EXPECTED_SHOW, ...show, lat: '42.34', lng: '-71.09' });
+    expect(saved.place).toBeUndefined();
+  });
+
+  test('only writable sources can save', () => {
+    expect(createDataSource({ type: 'json', url: '/shows.json' }).saveShows).toBeUndefined();
+  });
+
+  test('every adapter produces the same shape', async () => {
+    axios.get.mockResolvedValue({ data: [{ venue: 'Hall' }] });
+    const [fromRest] = await createDataSource({ type: 'rest', url: '/api' }).loadShows();
+    expect(Object.keys(fromRest).sort()).toEqual(Object.keys(EXPECTED_SHOW).sort());
+  });
+});
@@ -0,0 +1,32 @@
+import axios from 'axios';
+import { getMissingFields, normalizeShow } from '../../domain/show';
+import { rowsToRecords } from './csv';
+
+// The first row of the range is the header; columns are matched by name
+// (Launch_Date, Show_Date, Venue, ...) so they can be reordered or added to.
+export const createGoogleSheetsSource = ({ sheetId, apiKey, range = 'Sheet1!A1:Z' }) => ({
+  name: 'sheets',
+
+  async loadShows() {
+    if (!sheetId || !apiKey) {
+      throw new Error('Google Sheets source needs REACT_APP_GOOGLE_SHEETS_ID and REACT_APP_GOOGLE_API_KEY');
+    }
+
+    const response = await axios.get(
+      `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/${encodeURIComponent(range)}?key=${apiKey}`
+    );
+
+    const [header, ...rows] = response.data.values || [];
+    if (!header) return [];
+
+    const missing = getMissingFields(header);
+    if (missing.length > 0) {
+      throw new Error(`Sheet header is missing required column(s): ${missing.join(', ')}`);
+    }
+
+    return rowsToRecords(header, rows).map(normalizeShow);
+  },
+
+  // Data row 0 is sheet row 2, under the header
+  describeRow: (index) => `Sheet row ${index + 2}`
+});
@@ -0,0 +1,41 @@
+import { createGoogleSheetsSource } from './googleSheets';
+import { createJsonFileSource } from './jsonFile';
+import { createCsvFileSource } from './csvFile';
+import { createRestSource } from './rest';
+import { createLocalFileSource } from './localFile';
+
+const SOURCE_FACTORIES = {
+  sheets: createGoogleSheetsSource,
+  json: createJsonFileSource,
+  csv: createCsvFileSource,
+  rest: createRestSource,
+  local: createLocalFileSource
+};
+
+// Served by the development server from a file on disk (src/setupProxy.js)
+const LOCAL_SHOWS_URL = '/api/local-shows';
+
+// Data source settings come from the environment so a build (or `npm start`
+// against fixtures) can switch sources without code changes.
+export const getDataSourceConfig = (env = process.env) => {
+  const type = (env.REACT_APP_DATA_SOURCE || 'sheets').toLowerCase();
+  return {
+    type,
+    url: env.REACT_APP_DATA_URL || (type === 'local' ? LOCAL_SHOWS_URL : `${env.PUBLIC_URL || ''}/shows.json`),
+    sheetId: env.REACT_APP_GOOGLE_SHEETS_ID,
+    apiKey: env.REACT_APP_GOOGLE_API_KEY,
+    range: env.REACT_APP_GOOGLE_SHEETS_RANGE || undefined
+  };
+};
+
+// Every source exposes `loadShows()` resolving to normalized shows
+// (see domain/show.js), and `describeRow(index)` naming where a show came
+// from so data problems can be traced back to the source. Sources that can be
+// written to also have `saveShows(shows)`, replacing every show at once.
+export const createDataSource = (config = getDataSourceConfig()) => {
+  const factory = SOURCE_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown data source "${config.type}". Use one of: ${Object.keys(SOURCE_FACTORIES).join(', ')}`);
+  }
+  return factory(config);
+};
@@ -0,0 +1,22 @@
+import axios from 'axios';
+import { normalizeShow } from '../../domain/show';
+
+// Static JSON file, usually served from public/. Accepts either an array of
+// shows or an object with a "shows" array.
+export const createJsonFileSource = ({ url }) => ({
+  name: 'json',
+
+  async loadShows() {
+    const response = await axios.get(url);
+    const data = response.data;
+    const records = Array.isArray(data) ? data : data && data.shows;
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Expected an array of shows in ${url}`);
+    }
+
+    return records.map(normalizeShow);
+  },
+
+  describeRow: (index) => `Entry ${index + 1}`
+});
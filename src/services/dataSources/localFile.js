@@ -0,0 +1,24 @@
+import axios from 'axios';
+import { normalizeShow } from '../../domain/show';
+
+// Local JSON file, read and written through the development server (see
+// src/setupProxy.js). The one source the admin editor can save to.
+export const createLocalFileSource = ({ url }) => ({
+  name: 'local',
+
+  async loadShows() {
+    const response = await axios.get(url);
+    if (!Array.isArray(response.data)) {
+      throw new Error(`Expected an array of shows from ${url}`);
+    }
+    return response.data.map(normalizeShow);
+  },
+
+  // Replaces the whole file. Only show fields are written, so anything the
+  // app adds while loading (coordinates from geocoding, places) stays out.
+  async saveShows(shows) {
+    await axios.put(url, shows.map(normalizeShow));
+  },
+
+  describeRow: (index) => `Entry ${index + 1}`
+});
@@ -0,0 +1,24 @@
+import axios from 'axios';
+import { normalizeShow } from '../../domain/show';
+
+// Generic JSON endpoint. The response can be an array of shows or an object
+// with the shows under `shows`, `data` or `items`.
+export const createRestSource = ({ url, headers = {} }) => ({
+  name: 'rest',
+
+  async loadShows() {
+    const response = await axios.get(url, { headers });
+    const data = response.data;
+    const records = Array.isArray(data)
+      ? data
+      : data && (data.shows || data.data || data.items);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Unexpected response shape from ${url}`);
+    }
+
+    return records.map(normalizeShow);
+  },
+
+  describeRow: (index) => `Record ${index + 1}`
+});
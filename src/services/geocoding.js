@@ -0,0 +1,200 @@
+import { getCountryName } from '../domain/addresses';
+
+// Mapbox geocoding with a persistent cache. Lookups are keyed by normalized
+// address, so a venue that appears in 40 rows is geocoded once, and at most
+// MAX_CONCURRENT requests are in flight at a time.
+// v2 entries carry the structured place as well as coordinates
+const CACHE_KEY = 'shows-tracker:geocode:v2';
+const LEGACY_CACHE_KEYS = ['shows-tracker:geocode'];
+const HIT_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // venues don't move
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;      // retry failed addresses daily
+const MAX_CONCURRENT = 4;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// "123 Main St.,  Boston , MA" and "123 main st, boston, ma" share a cache entry
+export const normalizeAddress = (address) => {
+  return (address || '')
+    .toLowerCase()
+    .replace(/[.#]/g, '')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Explicit coordinates from the data source skip geocoding entirely
+export const getShowCoordinates = (show) => {
+  const lat = parseFloat(show.lat);
+  const lng = parseFloat(show.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+};
+
+// Runs async tasks with at most `limit` running at once
+export const createLimiter = (limit) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+const readCache = () => {
+  try {
+    const cache = JSON.parse(window.localStorage.getItem(CACHE_KEY) || '{}');
+    const now = Date.now();
+    // Drop expired entries as we go so the cache doesn't grow forever
+    Object.keys(cache).forEach(key => {
+      const entry = cache[key];
+      const ttl = entry && entry.miss ? MISS_TTL_MS : HIT_TTL_MS;
+      if (!entry || now - entry.savedAt > ttl) delete cache[key];
+    });
+    return cache;
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeCache = (cache) => {
+  try {
+    LEGACY_CACHE_KEYS.forEach(key => window.localStorage.removeItem(key));
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn('Could not persist geocoding cache:', error.message);
+  }
+};
+
+// Countries where the region's short code ("US-MA" -> "MA") is what people write
+const REGION_CODE_COUNTRIES = ['US', 'CA', 'AU'];
+
+// { lat, lng, place: { city, region, postcode, country, countryCode } } from a
+// Mapbox feature. The feature's own text counts when it's the city or region
+// itself (an address of just "Berlin").
+export const parseGeocodeFeature = (feature) => {
+  const [lng, lat] = feature.center;
+  const entries = [feature, ...(feature.context || [])];
+  const find = (...types) => entries.find(entry => types.some(type => (entry.id || '').startsWith(`${type}.`)));
+
+  const country = find('country');
+  const region = find('region');
+  const countryCode = country && country.short_code ? country.short_code.toUpperCase() : '';
+  const regionCode = region && region.short_code ? region.short_code.split('-').pop() : '';
+  const city = find('place', 'locality');
+  const postcode = find('postcode');
+
+  return {
+    lat,
+    lng,
+    place: {
+      city: city ? city.text : '',
+      region: region ? (REGION_CODE_COUNTRIES.includes(countryCode) && regionCode ? regionCode : region.text) : '',
+      postcode: postcode ? postcode.text : '',
+      countryCode,
+      country: getCountryName(countryCode) || (country ? country.text : '')
+    }
+  };
+};
+
+const fetchCoordinates = async (address) => {
+  // Without a token every request would fail; leave addresses uncached
+  if (!process.env.REACT_APP_MAPBOX_TOKEN) return undefined;
+
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    const response = await fetch(
+      `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json?access_token=${process.env.REACT_APP_MAPBOX_TOKEN}&limit=1`,
+      { signal: controller.signal }
+    );
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`Geocoding failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.features && data.features.length > 0) {
+      return parseGeocodeFeature(data.features[0]);
+    }
+    return null;
+  } catch (error) {
+    console.error('Geocoding error for address:', address, {
+      errorMessage: error.message,
+      errorName: error.name,
+      isAbortError: error.name === 'AbortError',
+      isNetworkError: error.message.includes('fetch')
+    });
+    // Undefined (rather than null) marks a failure we shouldn't cache
+    return undefined;
+  }
+};
+
+export const createGeocoder = ({ fetcher = fetchCoordinates, concurrency = MAX_CONCURRENT } = {}) => {
+  const limit = createLimiter(concurrency);
+  const pending = new Map();
+  let cache = null;
+
+  const getCache = () => {
+    if (!cache) cache = readCache();
+    return cache;
+  };
+
+  // Resolves to { lat, lng, place } or null when the address can't be found
+  const geocodeAddress = (address) => {
+    const key = normalizeAddress(address);
+    if (!key) return Promise.resolve(null);
+
+    const cached = getCache()[key];
+    if (cached) return Promise.resolve(cached.miss ? null : { lat: cached.lat, lng: cached.lng, place: cached.place });
+
+    if (pending.has(key)) return pending.get(key);
+
+    const request = limit(() => fetcher(address)).then(coords => {
+      pending.delete(key);
+      if (coords !== undefined) {
+        getCache()[key] = coords
+          ? { lat: coords.lat, lng: coords.lng, place: coords.place, savedAt: Date.now() }
+          : { miss: true, savedAt: Date.now() };
+        writeCache(getCache());
+      }
+      return coords || null;
+    });
+
+    pending.set(key, request);
+    return request;
+  };
+
+  // Attach numeric lat/lng (and the geocoder's place, when it was looked up)
+  // to every show that has or can get coordinates; shows that can't be
+  // located come back unchanged.
+  const geocodeShows = (shows) => {
+    return Promise.all(shows.map(async show => {
+      const coords = getShowCoordinates(show) || await geocodeAddress(show.address);
+      return coords ? { ...show, ...coords } : show;
+    }));
+  };
+
+  return { geocodeAddress, geocodeShows };
+};
+
+// Shared instance so every view benefits from the same in-flight requests
+const defaultGeocoder = createGeocoder();
+
+export const geocodeAddress = defaultGeocoder.geocodeAddress;
+export const geocodeShows = defaultGeocoder.geocodeShows;
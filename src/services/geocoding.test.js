@@ -0,0 +1,133 @@
+import { createGeocoder, createLimiter, normalizeAddress, parseGeocodeFeature } from './geocoding';
+
+const BOSTON = { lat: 42.34, lng: -71.09 };
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('normalizeAddress', () => {
+  test('ignores case, punctuation and spacing differences', () => {
+    expect(normalizeAddress('30 Gainsborough St.,  Boston ,MA')).toBe('30 gainsborough st, boston, ma');
+    expect(normalizeAddress(undefined)).toBe('');
+  });
+});
+
+describe('parseGeocodeFeature', () => {
+  test('reads the place hierarchy from the feature context', () => {
+    expect(parseGeocodeFeature({
+      id: 'address.1',
+      center: [-71.09, 42.34],
+      context: [
+        { id: 'postcode.1', text: '02115' },
+        { id: 'place.1', text: 'Boston' },
+        { id: 'region.1', text: 'Massachusetts', short_code: 'US-MA' },
+        { id: 'country.1', text: 'United States', short_code: 'us' }
+      ]
+    })).toEqual({
+      ...BOSTON,
+      place: { city: 'Boston', region: 'MA', postcode: '02115', country: 'USA', countryCode: 'US' }
+    });
+  });
+
+  test('keeps region names outside the US, Canada and Australia', () => {
+    const { place } = parseGeocodeFeature({
+      id: 'place.2',
+      text: 'München',
+      center: [11.58, 48.14],
+      context: [
+        { id: 'region.2', text: 'Bavaria', short_code: 'DE-BY' },
+        { id: 'country.2', text: 'Germany', short_code: 'de' }
+      ]
+    });
+    expect(place).toEqual({ city: 'München', region: 'Bavaria', postcode: '', country: 'Germany', countryCode: 'DE' });
+  });
+});
+
+describe('createLimiter', () => {
+  test('never runs more than the limit at once', async () => {
+    const limit = createLimiter(2);
+    let running = 0;
+    let peak = 0;
+    const task = () => new Promise(resolve => {
+      running++;
+      peak = Math.max(peak, running);
+      setTimeout(() => {
+        running--;
+        resolve();
+      }, 5);
+    });
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => limit(task)));
+    expect(peak).toBe(2);
+  });
+});
+
+describe('createGeocoder', () => {
+  test('looks up each distinct address once', async () => {
+    const fetcher = jest.fn().mockResolvedValue(BOSTON);
+    const { geocodeShows } = createGeocoder({ fetcher });
+    const shows = [
+      { venue: 'Jordan Hall', address: '30 Gainsborough St, Boston, MA' },
+      { venue: 'Jordan Hall', address: '30 Gainsborough St., Boston, MA' },
+      { venue: 'Jordan Hall', address: '30 gainsborough st, boston, ma' }
+    ];
+
+    const result = await geocodeShows(shows);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(result.every(show => show.lat === BOSTON.lat && show.lng === BOSTON.lng)).toBe(true);
+  });
+
+  test('persists results across geocoder instances', async () => {
+    await createGeocoder({ fetcher: jest.fn().mockResolvedValue(BOSTON) }).geocodeAddress('Boston, MA');
+
+    const fetcher = jest.fn();
+    await expect(createGeocoder({ fetcher }).geocodeAddress('Boston, MA')).resolves.toEqual(BOSTON);
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  test('expires cached entries after their TTL', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    await createGeocoder({ fetcher: jest.fn().mockResolvedValue(BOSTON) }).geocodeAddress('Boston, MA');
+
+    now.mockReturnValue(31 * 24 * 60 * 60 * 1000);
+    const fetcher = jest.fn().mockResolvedValue(BOSTON);
+    await createGeocoder({ fetcher }).geocodeAddress('Boston, MA');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    now.mockRestore();
+  });
+
+  test('does not cache transient failures', async () => {
+    await createGeocoder({ fetcher: jest.fn().mockResolvedValue(undefined) }).geocodeAddress('Boston, MA');
+
+    const fetcher = jest.fn().mockResolvedValue(BOSTON);
+    await expect(createGeocoder({ fetcher }).geocodeAddress('Boston, MA')).resolves.toEqual(BOSTON);
+  });
+
+  test('uses explicit coordinates without a lookup', async () => {
+    const fetcher = jest.fn();
+    const [show] = await createGeocoder({ fetcher }).geocodeShows([
+      { address: 'Boston, MA', lat: '42.34', lng: '-71.09' }
+    ]);
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(show).toMatchObject(BOSTON);
+  });
+
+  test('attaches and caches the geocoded place', async () => {
+    const place = { city: 'Boston', region: 'MA', postcode: '', country: 'USA', countryCode: 'US' };
+    const fetcher = jest.fn().mockResolvedValue({ ...BOSTON, place });
+    await createGeocoder({ fetcher }).geocodeShows([{ address: 'Boston, MA' }]);
+
+    const [show] = await createGeocoder({ fetcher }).geocodeShows([{ address: 'Boston, MA' }]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(show.place).toEqual(place);
+  });
+
+  test('leaves unlocatable shows without coordinates', async () => {
+    const [show] = await createGeocoder({ fetcher: jest.fn().mockResolvedValue(null) }).geocodeShows([
+      { address: 'Nowhere' }
+    ]);
+    expect(show.lat).toBeUndefined();
+  });
+});
@@ -0,0 +1,56 @@
+import { formatLocationLabel } from '../domain/addresses';
+import { RADIUS_STEPS } from '../domain/distance';
+import { geocodeAddress } from './geocoding';
+
+// "Near me" is the visitor's own setting, kept in this browser rather than
+// the URL so shared links don't carry anyone's location:
+// { origin: { lat, lng, label }, radius } with the radius in the viewer's
+// unit (one of RADIUS_STEPS), or null for any distance.
+const NEAR_ME_KEY = 'shows-tracker:near-me';
+const GEOLOCATION_TIMEOUT_MS = 10000;
+
+const isOrigin = (origin) => !!origin && Number.isFinite(origin.lat) && Number.isFinite(origin.lng);
+
+export const readNearMe = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(NEAR_ME_KEY));
+    if (!saved || !isOrigin(saved.origin)) return null;
+    return { origin: saved.origin, radius: RADIUS_STEPS.includes(saved.radius) ? saved.radius : null };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveNearMe = (nearMe) => {
+  try {
+    if (nearMe) {
+      window.localStorage.setItem(NEAR_ME_KEY, JSON.stringify(nearMe));
+    } else {
+      window.localStorage.removeItem(NEAR_ME_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save near me setting:', error.message);
+  }
+};
+
+// The browser's position as an origin; rejects with a readable message when
+// the visitor says no or the position can't be found
+export const locateBrowser = (geolocation = navigator.geolocation) => new Promise((resolve, reject) => {
+  if (!geolocation) {
+    reject(new Error("This browser can't share its location"));
+    return;
+  }
+  geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude, label: 'your location' }),
+    (error) => reject(new Error(error.code === 1 ? 'Location access was denied' : "Couldn't find your location")),
+    { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 5 * 60 * 1000 }
+  );
+});
+
+// A typed city or address as an origin, or null if the geocoder doesn't know
+// it. The geocoder's cache means each place is only looked up once.
+export const locatePlace = async (query, geocode = geocodeAddress) => {
+  const result = await geocode(query);
+  if (!result) return null;
+  return { lat: result.lat, lng: result.lng, label: (result.place && formatLocationLabel(result.place)) || query.trim() };
+};
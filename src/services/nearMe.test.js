@@ -0,0 +1,46 @@
+import { locateBrowser, locatePlace, readNearMe, saveNearMe } from './nearMe';
+
+const BOSTON = { lat: 42.3601, lng: -71.0589, label: 'Boston, MA' };
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('remembers the origin and radius', () => {
+  expect(readNearMe()).toBeNull();
+  saveNearMe({ origin: BOSTON, radius: 50 });
+  expect(readNearMe()).toEqual({ origin: BOSTON, radius: 50 });
+  saveNearMe({ origin: BOSTON, radius: null });
+  expect(readNearMe()).toEqual({ origin: BOSTON, radius: null });
+  saveNearMe(null);
+  expect(readNearMe()).toBeNull();
+});
+
+test('ignores unreadable saved settings', () => {
+  window.localStorage.setItem('shows-tracker:near-me', '{"origin":{"lat":"x"}}');
+  expect(readNearMe()).toBeNull();
+  window.localStorage.setItem('shows-tracker:near-me', 'not json');
+  expect(readNearMe()).toBeNull();
+});
+
+test('uses the browser position', async () => {
+  const geolocation = { getCurrentPosition: (resolve) => resolve({ coords: { latitude: 42.36, longitude: -71.06 } }) };
+  await expect(locateBrowser(geolocation)).resolves.toEqual({ lat: 42.36, lng: -71.06, label: 'your location' });
+});
+
+test('explains why the browser position is missing', async () => {
+  const denied = { getCurrentPosition: (resolve, reject) => reject({ code: 1 }) };
+  await expect(locateBrowser(denied)).rejects.toThrow('Location access was denied');
+  await expect(locateBrowser(null)).rejects.toThrow("This browser can't share its location");
+});
+
+test('geocodes a typed place', async () => {
+  const geocode = jest.fn(() => Promise.resolve({
+    lat: 42.3601,
+    lng: -71.0589,
+    place: { city: 'Boston', region: 'MA', countryCode: 'US', country: 'USA' }
+  }));
+  await expect(locatePlace('boston', geocode)).resolves.toEqual(BOSTON);
+  expect(geocode).toHaveBeenCalledWith('boston');
+  await expect(locatePlace('nowhere', () => Promise.resolve(null))).resolves.toBeNull();
+});
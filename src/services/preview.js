@@ -0,0 +1,37 @@
+// Preview mode lets the team see embargoed shows before their launch date.
+// Opening any page with ?preview=<REACT_APP_PREVIEW_TOKEN> turns it on for the
+// rest of the browser session. The token keeps unannounced shows away from
+// casual visitors; it isn't access control, since the data source itself can
+// be read by anyone who goes looking.
+const PREVIEW_KEY = 'shows-tracker:preview';
+
+const getToken = (env) => env.REACT_APP_PREVIEW_TOKEN || '';
+
+// Whether preview mode is on, switching it on or off first if the query
+// string carries a preview token (a wrong token switches it off)
+export const readPreviewMode = (search = window.location.search, env = process.env) => {
+  const token = getToken(env);
+  if (!token) return false;
+
+  try {
+    const requested = new URLSearchParams(search).get('preview');
+    if (requested === token) {
+      window.sessionStorage.setItem(PREVIEW_KEY, token);
+    } else if (requested !== null) {
+      window.sessionStorage.removeItem(PREVIEW_KEY);
+    }
+    // A rotated token ends sessions started with the old one
+    return window.sessionStorage.getItem(PREVIEW_KEY) === token;
+  } catch (error) {
+    console.warn('Could not read preview mode:', error.message);
+    return false;
+  }
+};
+
+export const exitPreviewMode = () => {
+  try {
+    window.sessionStorage.removeItem(PREVIEW_KEY);
+  } catch (error) {
+    // Nothing to clear
+  }
+};
@@ -0,0 +1,33 @@
+import { exitPreviewMode, readPreviewMode } from './preview';
+
+const ENV = { REACT_APP_PREVIEW_TOKEN: 'sneak-peek' };
+
+afterEach(() => {
+  exitPreviewMode();
+});
+
+test('turns on with the right token and stays on for the session', () => {
+  expect(readPreviewMode('?preview=sneak-peek', ENV)).toBe(true);
+  expect(readPreviewMode('', ENV)).toBe(true);
+});
+
+test('stays off with a wrong token, and a wrong token turns it off', () => {
+  expect(readPreviewMode('?preview=guess', ENV)).toBe(false);
+  readPreviewMode('?preview=sneak-peek', ENV);
+  expect(readPreviewMode('?preview=guess', ENV)).toBe(false);
+});
+
+test('ends when the token changes', () => {
+  readPreviewMode('?preview=sneak-peek', ENV);
+  expect(readPreviewMode('', { REACT_APP_PREVIEW_TOKEN: 'new-token' })).toBe(false);
+});
+
+test('is unavailable without a configured token', () => {
+  expect(readPreviewMode('?preview=', {})).toBe(false);
+});
+
+test('turns off on exit', () => {
+  readPreviewMode('?preview=sneak-peek', ENV);
+  exitPreviewMode();
+  expect(readPreviewMode('', ENV)).toBe(false);
+});
@@ -0,0 +1,47 @@
+// Last successfully loaded dataset, kept in localStorage so the tracker can
+// still show something (clearly labelled as stale) when the source is down.
+const CACHE_KEY = 'shows-tracker:shows';
+// Bump whenever the shape of a saved show changes, so older caches are
+// dropped rather than served without the new fields
+const CACHE_VERSION = 2;
+
+export const saveShowCache = ({ shows, rejectedRows = [] }, now = new Date()) => {
+  try {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify({
+      version: CACHE_VERSION,
+      savedAt: now.toISOString(),
+      shows,
+      rejectedRows
+    }));
+  } catch (error) {
+    // Private browsing or a full quota; the app works without the cache
+    console.warn('Could not cache shows:', error.message);
+  }
+};
+
+// Returns { savedAt: Date, shows, rejectedRows } or null if nothing usable is cached
+export const loadShowCache = () => {
+  try {
+    const raw = window.localStorage.getItem(CACHE_KEY);
+    if (!raw) return null;
+
+    const cached = JSON.parse(raw);
+    const savedAt = new Date(cached.savedAt);
+    if (cached.version !== CACHE_VERSION || !Array.isArray(cached.shows) || isNaN(savedAt)) {
+      return null;
+    }
+
+    return { savedAt, shows: cached.shows, rejectedRows: cached.rejectedRows || [] };
+  } catch (error) {
+    console.warn('Could not read cached shows:', error.message);
+    return null;
+  }
+};
+
+export const clearShowCache = () => {
+  try {
+    window.localStorage.removeItem(CACHE_KEY);
+  } catch (error) {
+    // Nothing to clear
+  }
+};
@@ -0,0 +1,47 @@
+import { clearShowCache, loadShowCache, saveShowCache } from './showCache';
+
+const SHOW = { show_date: '03/14/2030', venue: 'Jordan Hall' };
+
+afterEach(() => {
+  clearShowCache();
+  jest.restoreAllMocks();
+});
+
+test('round-trips the dataset with its timestamp', () => {
+  const savedAt = new Date('2026-10-19T15:04:00Z');
+  saveShowCache({ shows: [SHOW], rejectedRows: [{ row: 'Sheet row 3' }] }, savedAt);
+
+  expect(loadShowCache()).toEqual({
+    savedAt,
+    shows: [SHOW],
+    rejectedRows: [{ row: 'Sheet row 3' }]
+  });
+});
+
+test('returns null when nothing has been cached', () => {
+  expect(loadShowCache()).toBeNull();
+});
+
+test('ignores corrupt cache entries', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.localStorage.setItem('shows-tracker:shows', '{not json');
+  expect(loadShowCache()).toBeNull();
+});
+
+test('ignores caches saved in an older shape', () => {
+  window.localStorage.setItem('shows-tracker:shows', JSON.stringify({
+    version: 1,
+    savedAt: '2026-10-19T15:04:00Z',
+    shows: [SHOW],
+    rejectedRows: []
+  }));
+  expect(loadShowCache()).toBeNull();
+});
+
+test('does not throw when storage is unavailable', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+  expect(() => saveShowCache({ shows: [SHOW] })).not.toThrow();
+});
@@ -0,0 +1,41 @@
+// Development server hook (picked up by `npm start`): serves the local JSON
+// file backend at /api/local-shows so the admin editor can save without a
+// spreadsheet. Production builds are static and have no such endpoint.
+
+const { LOCAL_SHOWS_URL, readLocalShows, writeLocalShows } = require('../scripts/localShowsFile');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+module.exports = (app) => {
+  app.get(LOCAL_SHOWS_URL, (req, res) => {
+    try {
+      res.json(readLocalShows());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put(LOCAL_SHOWS_URL, async (req, res) => {
+    try {
+      const shows = JSON.parse(await readBody(req));
+      writeLocalShows(shows);
+      res.json({ saved: shows.length });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+};